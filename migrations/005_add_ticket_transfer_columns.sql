@@ -0,0 +1,9 @@
+-- Ticket transfer between counters and services
+-- transferred_from_counter_id and transferred_by already exist on tickets
+ALTER TABLE tickets
+    ADD COLUMN transfer_reason VARCHAR(255) NULL AFTER transferred_by,
+    ADD COLUMN transferred_at DATETIME NULL AFTER transfer_reason,
+    ADD COLUMN front_of_queue TINYINT(1) NOT NULL DEFAULT 0 AFTER priority_level;
+
+-- Speeds up call-next lookups for tickets directed to a specific counter
+CREATE INDEX idx_tickets_waiting_counter ON tickets (status, counter_id, branch_id);
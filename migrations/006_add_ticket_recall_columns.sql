@@ -0,0 +1,8 @@
+-- Recall and no-show handling
+-- With call_next_starts_service off, call-next leaves tickets in 'called'
+-- until staff start serving them
+ALTER TABLE tickets
+    MODIFY COLUMN status ENUM('waiting', 'called', 'serving', 'done', 'skipped', 'cancelled') NOT NULL DEFAULT 'waiting',
+    ADD COLUMN recall_count INT NOT NULL DEFAULT 0 AFTER called_at,
+    ADD COLUMN last_recalled_at DATETIME NULL AFTER recall_count,
+    ADD COLUMN no_show_at DATETIME NULL AFTER last_recalled_at;
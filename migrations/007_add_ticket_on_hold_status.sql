@@ -0,0 +1,3 @@
+-- Ticket lifecycle state machine adds the on_hold status
+ALTER TABLE tickets
+    MODIFY COLUMN status ENUM('waiting', 'called', 'serving', 'on_hold', 'done', 'skipped', 'cancelled') NOT NULL DEFAULT 'waiting';
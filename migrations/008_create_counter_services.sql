@@ -0,0 +1,12 @@
+-- Counter-to-service routing rules
+-- Counters with no rows here keep taking tickets for every service
+CREATE TABLE IF NOT EXISTS counter_services (
+    counter_id VARCHAR(36) NOT NULL,
+    service_id VARCHAR(36) NOT NULL,
+    priority INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (counter_id, service_id),
+    INDEX idx_counter_services_service (service_id),
+    CONSTRAINT fk_counter_services_counter FOREIGN KEY (counter_id) REFERENCES counters(id) ON DELETE CASCADE,
+    CONSTRAINT fk_counter_services_service FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,25 @@
+-- Named priority lanes (senior citizens, PWDs, pregnant customers)
+-- Categories with a NULL branch_id apply to every branch
+CREATE TABLE IF NOT EXISTS priority_categories (
+    id VARCHAR(36) NOT NULL PRIMARY KEY,
+    branch_id VARCHAR(36) NULL,
+    code VARCHAR(30) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    priority_level INT NOT NULL DEFAULT 1,
+    allow_self_service TINYINT(1) NOT NULL DEFAULT 0,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_priority_categories_code (branch_id, code),
+    CONSTRAINT fk_priority_categories_branch FOREIGN KEY (branch_id) REFERENCES branches(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE tickets
+    ADD COLUMN priority_category_id VARCHAR(36) NULL AFTER priority_level,
+    ADD INDEX idx_tickets_priority_category (priority_category_id);
+
+-- Default lanes required by law; self-declared at the kiosk and verified at the counter
+INSERT INTO priority_categories (id, branch_id, code, name, priority_level, allow_self_service) VALUES
+    (UUID(), NULL, 'senior', 'Senior Citizen', 1, 1),
+    (UUID(), NULL, 'pwd', 'Person with Disability', 1, 1),
+    (UUID(), NULL, 'pregnant', 'Pregnant', 1, 1);
@@ -0,0 +1,30 @@
+-- Appointment booking; a confirmed appointment becomes a ticket on check-in
+CREATE TABLE IF NOT EXISTS appointments (
+    id VARCHAR(36) NOT NULL PRIMARY KEY,
+    reference_code VARCHAR(12) NOT NULL,
+    branch_id VARCHAR(36) NOT NULL,
+    service_id VARCHAR(36) NOT NULL,
+    customer_name VARCHAR(255) NOT NULL,
+    customer_phone VARCHAR(50) NULL,
+    customer_email VARCHAR(255) NULL,
+    slot_start DATETIME NOT NULL,
+    slot_end DATETIME NOT NULL,
+    status ENUM('confirmed', 'cancelled', 'checked_in', 'missed') NOT NULL DEFAULT 'confirmed',
+    ticket_id VARCHAR(36) NULL,
+    checked_in_at DATETIME NULL,
+    late_minutes INT NULL,
+    reschedule_count INT NOT NULL DEFAULT 0,
+    cancelled_at DATETIME NULL,
+    cancel_reason VARCHAR(255) NULL,
+    missed_at DATETIME NULL,
+    notes TEXT NULL,
+    booked_by VARCHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_appointments_reference (reference_code),
+    INDEX idx_appointments_slot (branch_id, service_id, slot_start),
+    INDEX idx_appointments_status (status, slot_end),
+    CONSTRAINT fk_appointments_branch FOREIGN KEY (branch_id) REFERENCES branches(id),
+    CONSTRAINT fk_appointments_service FOREIGN KEY (service_id) REFERENCES services(id),
+    CONSTRAINT fk_appointments_ticket FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,18 @@
+-- End-of-day queue close-out
+ALTER TABLE tickets
+    MODIFY COLUMN status ENUM('waiting', 'called', 'serving', 'on_hold', 'done', 'skipped', 'cancelled', 'expired') NOT NULL DEFAULT 'waiting';
+
+CREATE TABLE IF NOT EXISTS queue_closeouts (
+    id VARCHAR(36) NOT NULL PRIMARY KEY,
+    branch_id VARCHAR(36) NOT NULL,
+    business_date DATE NOT NULL,
+    `trigger` ENUM('scheduled', 'manual') NOT NULL,
+    triggered_by VARCHAR(36) NULL,
+    expired_count INT NOT NULL DEFAULT 0,
+    total_tickets INT NOT NULL DEFAULT 0,
+    completed_count INT NOT NULL DEFAULT 0,
+    summary JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_queue_closeouts_branch_date (branch_id, business_date),
+    CONSTRAINT fk_queue_closeouts_branch FOREIGN KEY (branch_id) REFERENCES branches(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,8 @@
+-- Hold / resume: track who parked a ticket and how long it was held
+ALTER TABLE tickets
+    ADD COLUMN held_at DATETIME NULL AFTER started_at,
+    ADD COLUMN held_by VARCHAR(36) NULL AFTER held_at,
+    ADD COLUMN hold_count INT NOT NULL DEFAULT 0 AFTER held_by,
+    ADD COLUMN hold_seconds INT NOT NULL DEFAULT 0 AFTER hold_count;
+
+CREATE INDEX idx_tickets_held_by_status ON tickets (held_by, status);
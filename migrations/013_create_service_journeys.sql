@@ -0,0 +1,41 @@
+-- Multi-step service journeys
+-- A service's route lists the services a customer visits after it, in order
+CREATE TABLE IF NOT EXISTS service_route_steps (
+    service_id VARCHAR(36) NOT NULL,
+    step_order INT NOT NULL,
+    step_service_id VARCHAR(36) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (service_id, step_order),
+    INDEX idx_service_route_steps_step_service (step_service_id),
+    CONSTRAINT fk_service_route_steps_service FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE,
+    CONSTRAINT fk_service_route_steps_step_service FOREIGN KEY (step_service_id) REFERENCES services(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- The journey is copied onto the ticket when issued so route edits don't affect tickets in flight
+-- queued_at is when the ticket joined its current service queue
+ALTER TABLE tickets
+    ADD COLUMN journey JSON NULL AFTER service_id,
+    ADD COLUMN current_step INT NOT NULL DEFAULT 1 AFTER journey,
+    ADD COLUMN total_steps INT NOT NULL DEFAULT 1 AFTER current_step,
+    ADD COLUMN queued_at DATETIME NULL AFTER created_at;
+
+UPDATE tickets SET queued_at = created_at WHERE queued_at IS NULL;
+
+-- One row per finished step of a multi-step ticket
+CREATE TABLE IF NOT EXISTS ticket_steps (
+    id VARCHAR(36) NOT NULL PRIMARY KEY,
+    ticket_id VARCHAR(36) NOT NULL,
+    step_number INT NOT NULL,
+    service_id VARCHAR(36) NOT NULL,
+    counter_id VARCHAR(36) NULL,
+    served_by VARCHAR(36) NULL,
+    queued_at DATETIME NOT NULL,
+    called_at DATETIME NULL,
+    started_at DATETIME NULL,
+    ended_at DATETIME NOT NULL,
+    hold_seconds INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_ticket_steps_ticket_step (ticket_id, step_number),
+    INDEX idx_ticket_steps_service (service_id),
+    CONSTRAINT fk_ticket_steps_ticket FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
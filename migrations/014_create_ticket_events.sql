@@ -0,0 +1,15 @@
+-- Append-only ticket history
+-- Rows are only ever inserted; id gives a stable order for events in the same second
+CREATE TABLE IF NOT EXISTS ticket_events (
+    id BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    ticket_id VARCHAR(36) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    actor_id VARCHAR(36) NULL,
+    counter_id VARCHAR(36) NULL,
+    from_status VARCHAR(20) NULL,
+    to_status VARCHAR(20) NULL,
+    metadata JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_ticket_events_ticket (ticket_id, id),
+    INDEX idx_ticket_events_type_created (event_type, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,14 @@
+-- Idempotency keys for retried ticket requests (e.g. kiosks on flaky Wi-Fi)
+-- The stored response is replayed for a repeated key until the row is cleaned up
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    idempotency_key VARCHAR(255) NOT NULL,
+    scope VARCHAR(255) NOT NULL,
+    user_id VARCHAR(36) NULL,
+    request_hash CHAR(64) NOT NULL,
+    status ENUM('pending', 'completed') NOT NULL DEFAULT 'pending',
+    response_status INT NULL,
+    response_body JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (idempotency_key, scope),
+    INDEX idx_idempotency_keys_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
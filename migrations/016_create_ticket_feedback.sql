@@ -0,0 +1,20 @@
+-- Post-service customer feedback
+-- A row (with its token) is created when a ticket is done; rating is filled in once
+CREATE TABLE IF NOT EXISTS ticket_feedback (
+    id VARCHAR(36) NOT NULL PRIMARY KEY,
+    ticket_id VARCHAR(36) NOT NULL,
+    token CHAR(64) NOT NULL,
+    branch_id VARCHAR(36) NOT NULL,
+    service_id VARCHAR(36) NULL,
+    counter_id VARCHAR(36) NULL,
+    served_by VARCHAR(36) NULL,
+    rating TINYINT NULL,
+    comment TEXT NULL,
+    source VARCHAR(20) NULL,
+    submitted_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_ticket_feedback_ticket (ticket_id),
+    UNIQUE KEY uq_ticket_feedback_token (token),
+    INDEX idx_ticket_feedback_branch_submitted (branch_id, submitted_at),
+    CONSTRAINT fk_ticket_feedback_ticket FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,50 @@
+-- Customer SMS notifications
+ALTER TABLE tickets
+    ADD COLUMN notify_opt_in TINYINT(1) NOT NULL DEFAULT 0 AFTER customer_phone,
+    ADD COLUMN approaching_notified_at DATETIME NULL AFTER notify_opt_in;
+
+-- Branch templates override the global ones (branch_id NULL)
+CREATE TABLE IF NOT EXISTS notification_templates (
+    id VARCHAR(36) NOT NULL PRIMARY KEY,
+    branch_id VARCHAR(36) NULL,
+    event_type ENUM('approaching', 'called') NOT NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_notification_templates_branch_event (branch_id, event_type),
+    CONSTRAINT fk_notification_templates_branch FOREIGN KEY (branch_id) REFERENCES branches(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Outgoing messages; pending rows form the retry queue
+CREATE TABLE IF NOT EXISTS notifications (
+    id VARCHAR(36) NOT NULL PRIMARY KEY,
+    ticket_id VARCHAR(36) NOT NULL,
+    branch_id VARCHAR(36) NOT NULL,
+    event_type ENUM('approaching', 'called') NOT NULL,
+    recipient VARCHAR(50) NOT NULL,
+    message TEXT NOT NULL,
+    status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME NOT NULL,
+    locked_at DATETIME NULL,
+    last_error VARCHAR(500) NULL,
+    sent_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_notifications_status_next (status, next_attempt_at),
+    INDEX idx_notifications_ticket (ticket_id),
+    CONSTRAINT fk_notifications_ticket FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Delivery log: one row per send attempt
+CREATE TABLE IF NOT EXISTS notification_attempts (
+    id BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    notification_id VARCHAR(36) NOT NULL,
+    attempt INT NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    status ENUM('sent', 'failed') NOT NULL,
+    provider_message_id VARCHAR(255) NULL,
+    error VARCHAR(500) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_notification_attempts_notification (notification_id),
+    CONSTRAINT fk_notification_attempts_notification FOREIGN KEY (notification_id) REFERENCES notifications(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
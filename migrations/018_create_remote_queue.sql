@@ -0,0 +1,23 @@
+-- Remote virtual queue: tickets issued from a phone wait in 'remote'
+-- until the customer checks in at the branch
+ALTER TABLE tickets
+    MODIFY COLUMN status ENUM('remote', 'waiting', 'called', 'serving', 'on_hold', 'done', 'skipped', 'cancelled', 'expired') NOT NULL DEFAULT 'waiting',
+    ADD COLUMN check_in_token_hash CHAR(64) NULL AFTER notify_opt_in,
+    ADD COLUMN checked_in_at DATETIME NULL AFTER check_in_token_hash,
+    ADD COLUMN check_in_method VARCHAR(20) NULL AFTER checked_in_at,
+    ADD UNIQUE KEY uq_tickets_check_in_token_hash (check_in_token_hash);
+
+-- One-time codes sent to verify a phone before joining remotely
+CREATE TABLE IF NOT EXISTS phone_verifications (
+    id VARCHAR(36) NOT NULL PRIMARY KEY,
+    phone VARCHAR(20) NOT NULL,
+    branch_id VARCHAR(36) NOT NULL,
+    ip_address VARCHAR(45) NULL,
+    code_hash CHAR(64) NOT NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_phone_verifications_phone_created (phone, created_at),
+    INDEX idx_phone_verifications_ip_created (ip_address, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
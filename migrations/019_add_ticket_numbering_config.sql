@@ -0,0 +1,11 @@
+-- Per-service ticket numbering schemes
+ALTER TABLE services
+    ADD COLUMN number_padding INT NOT NULL DEFAULT 3 AFTER prefix,
+    ADD COLUMN number_separator VARCHAR(3) NOT NULL DEFAULT '-' AFTER number_padding,
+    ADD COLUMN number_reset ENUM('daily', 'weekly', 'never') NOT NULL DEFAULT 'daily' AFTER number_separator,
+    ADD COLUMN number_start INT NOT NULL DEFAULT 1 AFTER number_reset,
+    ADD COLUMN include_branch_code TINYINT(1) NOT NULL DEFAULT 0 AFTER number_start;
+
+-- Short code printed in front of ticket numbers when a service asks for it
+ALTER TABLE branches
+    ADD COLUMN code VARCHAR(10) NULL AFTER name;
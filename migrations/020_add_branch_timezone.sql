@@ -0,0 +1,3 @@
+-- IANA time zone each branch does business in (NULL = server default)
+ALTER TABLE branches
+    ADD COLUMN timezone VARCHAR(64) NULL AFTER code;
@@ -0,0 +1,3 @@
+-- Per-counter auto call-next (NULL = follow the branch's auto_call_next setting)
+ALTER TABLE counters
+    ADD COLUMN auto_call_next TINYINT(1) NULL DEFAULT NULL AFTER is_paused;
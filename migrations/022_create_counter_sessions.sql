@@ -0,0 +1,32 @@
+-- Who staffed which counter and when; one row per sign-in
+CREATE TABLE IF NOT EXISTS counter_sessions (
+    id VARCHAR(36) NOT NULL PRIMARY KEY,
+    counter_id VARCHAR(36) NOT NULL,
+    staff_id VARCHAR(36) NOT NULL,
+    branch_id VARCHAR(36) NOT NULL,
+    signed_in_at DATETIME NOT NULL,
+    signed_out_at DATETIME NULL,
+    sign_out_reason VARCHAR(30) NULL,
+    signed_out_by VARCHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_counter_sessions_counter_open (counter_id, signed_out_at),
+    INDEX idx_counter_sessions_staff_open (staff_id, signed_out_at),
+    INDEX idx_counter_sessions_branch_signed_in (branch_id, signed_in_at),
+    CONSTRAINT fk_counter_sessions_counter FOREIGN KEY (counter_id) REFERENCES counters(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Breaks taken during a session; the counter is paused while one is open
+CREATE TABLE IF NOT EXISTS counter_breaks (
+    id VARCHAR(36) NOT NULL PRIMARY KEY,
+    session_id VARCHAR(36) NOT NULL,
+    counter_id VARCHAR(36) NOT NULL,
+    staff_id VARCHAR(36) NOT NULL,
+    reason_code VARCHAR(30) NOT NULL,
+    note VARCHAR(255) NULL,
+    started_at DATETIME NOT NULL,
+    ended_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_counter_breaks_session (session_id),
+    INDEX idx_counter_breaks_staff_started (staff_id, started_at),
+    CONSTRAINT fk_counter_breaks_session FOREIGN KEY (session_id) REFERENCES counter_sessions(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
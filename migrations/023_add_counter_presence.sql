@@ -0,0 +1,8 @@
+-- Counter consoles send socket heartbeats; the monitor flips is_online
+-- off when they stop. Counters start online and only those that have sent
+-- a heartbeat (last_heartbeat_at) are ever taken offline, so consoles
+-- without heartbeat support keep working.
+ALTER TABLE counters
+    ADD COLUMN is_online TINYINT(1) NOT NULL DEFAULT 1 AFTER is_paused,
+    ADD COLUMN last_heartbeat_at DATETIME NULL AFTER last_ping,
+    ADD COLUMN went_offline_at DATETIME NULL AFTER last_heartbeat_at;
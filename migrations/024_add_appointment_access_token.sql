@@ -0,0 +1,5 @@
+-- Customers manage appointments with a long random token; only its
+-- hash is stored. reference_code stays as the short desk reference.
+ALTER TABLE appointments
+    ADD COLUMN access_token_hash CHAR(64) NULL AFTER reference_code,
+    ADD UNIQUE KEY uq_appointments_access_token_hash (access_token_hash);
@@ -16,6 +16,12 @@ const cookieParser = require('cookie-parser');
 // Import configurations
 const { pool } = require('./src/config/database');
 const { initializeSocketIO } = require('./src/socket/socketHandler');
+const { startNoShowMonitor } = require('./src/jobs/noShowMonitor');
+const { startAppointmentMonitor } = require('./src/jobs/appointmentMonitor');
+const { startCloseOutScheduler } = require('./src/jobs/closeOutScheduler');
+const { startIdempotencyCleanup } = require('./src/jobs/idempotencyCleanup');
+const { startNotificationDispatcher } = require('./src/jobs/notificationDispatcher');
+const { startCounterHeartbeatMonitor } = require('./src/jobs/counterHeartbeatMonitor');
 
 // Import routes
 const authRoutes = require('./src/routes/auth');
@@ -27,6 +33,11 @@ const branchRoutes = require('./src/routes/branches');
 const announcementRoutes = require('./src/routes/announcements');
 const reportRoutes = require('./src/routes/reports');
 const settingsRoutes = require('./src/routes/settings');
+const priorityCategoryRoutes = require('./src/routes/priorityCategories');
+const appointmentRoutes = require('./src/routes/appointments');
+const feedbackRoutes = require('./src/routes/feedback');
+const notificationRoutes = require('./src/routes/notifications');
+const remoteQueueRoutes = require('./src/routes/remoteQueue');
 
 // Initialize Express app
 const app = express();
@@ -52,7 +63,8 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  exposedHeaders: ['Idempotent-Replayed']
 };
 
 // Initialize Socket.IO
@@ -92,6 +104,11 @@ app.use('/api/branches', branchRoutes);
 app.use('/api/announcements', announcementRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/priority-categories', priorityCategoryRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/feedback', feedbackRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/remote-queue', remoteQueueRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -110,6 +127,14 @@ app.use((err, req, res, next) => {
 // Initialize Socket.IO handlers
 initializeSocketIO(io);
 
+// Start background jobs
+startNoShowMonitor(io);
+startAppointmentMonitor();
+startCloseOutScheduler(io);
+startIdempotencyCleanup();
+startNotificationDispatcher();
+startCounterHeartbeatMonitor(io);
+
 // Start server
 const PORT = process.env.PORT || 5000;
 const HOST = process.env.HOST || 'localhost';
@@ -0,0 +1,61 @@
+process.env.TZ = 'UTC';
+
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+jest.mock('../../utils/queueCloseOut');
+
+const db = require('../../config/database');
+const { closeOutBranch, expireStaleTickets } = require('../../utils/queueCloseOut');
+const { runScheduledCloseOuts } = require('../closeOutScheduler');
+
+const io = {};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.reset();
+  db.when(/FROM branches/, [{ id: 'b1' }]);
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('runScheduledCloseOuts', () => {
+  it('closes out a branch once its closing time has passed', async () => {
+    // Monday, default hours 08:00-17:00
+    jest.setSystemTime(new Date('2026-03-02T17:05:00Z'));
+
+    await runScheduledCloseOuts(io);
+
+    expect(closeOutBranch).toHaveBeenCalledWith(io, 'b1', { trigger: 'scheduled' });
+  });
+
+  it('waits until closing time', async () => {
+    jest.setSystemTime(new Date('2026-03-02T16:55:00Z'));
+
+    await runScheduledCloseOuts(io);
+
+    expect(closeOutBranch).not.toHaveBeenCalled();
+  });
+
+  it('closes out a branch only once a day', async () => {
+    jest.setSystemTime(new Date('2026-03-02T18:00:00Z'));
+    db.when(/FROM queue_closeouts/, [{ id: 'q1' }]);
+
+    await runScheduledCloseOuts(io);
+
+    expect(db.statements(/FROM queue_closeouts/)[0].params).toEqual(['b1', '2026-03-02']);
+    expect(closeOutBranch).not.toHaveBeenCalled();
+  });
+
+  it('skips days the branch is closed', async () => {
+    // Sunday
+    jest.setSystemTime(new Date('2026-03-01T20:00:00Z'));
+
+    await runScheduledCloseOuts(io);
+
+    expect(closeOutBranch).not.toHaveBeenCalled();
+    // Leftovers from Saturday still expire
+    expect(expireStaleTickets).toHaveBeenCalledWith(io, 'b1');
+  });
+});
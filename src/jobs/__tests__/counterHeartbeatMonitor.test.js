@@ -0,0 +1,64 @@
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+jest.mock('../../socket/socketHandler');
+
+const db = require('../../config/database');
+const socketHandler = require('../../socket/socketHandler');
+const { markOfflineCounters } = require('../counterHeartbeatMonitor');
+
+const io = {};
+const counter = { id: 'c1', name: 'Counter 1', branch_id: 'b1', staff_id: 'u1', last_ping: '2026-03-02 09:00:00' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.reset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  db.when(/SELECT DISTINCT branch_id/, [{ branch_id: 'b1' }])
+    .when(/SELECT id FROM counters/, [{ id: 'c1' }])
+    .when(/SELECT \* FROM counters/, [counter]);
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('markOfflineCounters', () => {
+  it('takes silent counters offline and alerts supervisors about waiting customers', async () => {
+    db.when(/COUNT\(\*\) as count FROM tickets/, [{ count: 2 }]);
+
+    await markOfflineCounters(io);
+
+    expect(db.statements(/SELECT id FROM counters/)[0].params).toEqual(['b1', 60]);
+    expect(socketHandler.emitCounterUpdated).toHaveBeenCalledWith(io, counter);
+    expect(socketHandler.emitCounterOfflineAlert).toHaveBeenCalledWith(io, expect.objectContaining({
+      counter_id: 'c1',
+      branch_id: 'b1',
+      staff_id: 'u1',
+      waiting: 2
+    }));
+  });
+
+  it('does not alert when nobody was waiting', async () => {
+    db.when(/COUNT\(\*\) as count FROM tickets/, [{ count: 0 }]);
+
+    await markOfflineCounters(io);
+
+    expect(socketHandler.emitCounterUpdated).toHaveBeenCalled();
+    expect(socketHandler.emitCounterOfflineAlert).not.toHaveBeenCalled();
+  });
+
+  it('leaves counters that sent a heartbeat in the meantime', async () => {
+    db.when(/SET is_online = 0/, { affectedRows: 0 });
+
+    await markOfflineCounters(io);
+
+    expect(socketHandler.emitCounterUpdated).not.toHaveBeenCalled();
+  });
+
+  it('does nothing for branches that turned the timeout off', async () => {
+    db.when(/FROM system_settings/, [{ setting_value: JSON.stringify({ counter_offline_seconds: 0 }) }]);
+
+    await markOfflineCounters(io);
+
+    expect(db.statements(/SET is_online = 0/)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,55 @@
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+jest.mock('../../socket/socketHandler');
+jest.mock('../../utils/queueTracking');
+jest.mock('../../utils/ticketDispatcher');
+
+const db = require('../../config/database');
+const socketHandler = require('../../socket/socketHandler');
+const { autoCallNext } = require('../../utils/ticketDispatcher');
+const { skipNoShowTickets } = require('../noShowMonitor');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.reset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('skipNoShowTickets', () => {
+  it('skips called tickets past the grace period', async () => {
+    db.when(/SELECT DISTINCT branch_id/, [{ branch_id: 'b1' }])
+      .when(/WHERE status = 'called'/, [{ id: 't1', status: 'called', counter_id: 'c1' }])
+      .when(/FROM tickets t/, [{ id: 't1', ticket_number: 'A-001', status: 'skipped' }]);
+
+    await skipNoShowTickets({});
+
+    const [update] = db.statements(/UPDATE tickets/);
+    expect(update.sql).toMatch(/no_show_at = NOW\(\)/);
+    expect(update.sql).toMatch(/status = 'called'/);
+    expect(socketHandler.emitTicketUpdated).toHaveBeenCalledWith({}, expect.objectContaining({ id: 't1' }));
+    expect(autoCallNext).toHaveBeenCalledWith({}, 'c1', null);
+  });
+
+  it('leaves tickets that were picked up in the meantime', async () => {
+    db.when(/SELECT DISTINCT branch_id/, [{ branch_id: 'b1' }])
+      .when(/WHERE status = 'called'/, [{ id: 't1', status: 'called', counter_id: 'c1' }])
+      .when(/UPDATE tickets/, { affectedRows: 0 });
+
+    await skipNoShowTickets({});
+
+    expect(socketHandler.emitTicketUpdated).not.toHaveBeenCalled();
+    expect(autoCallNext).not.toHaveBeenCalled();
+  });
+
+  it('does nothing when the grace period is disabled', async () => {
+    db.when(/SELECT DISTINCT branch_id/, [{ branch_id: 'b1' }])
+      .when(/FROM system_settings/, [{ setting_value: JSON.stringify({ no_show_grace_minutes: 0 }) }]);
+
+    await skipNoShowTickets({});
+
+    expect(db.statements(/last_recalled_at/)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Appointment Monitor
+ * Marks confirmed appointments as missed once their slot (plus the late
+ * grace period) has passed without a check-in
+ */
+
+const { query } = require('../config/database');
+const { getSystemSettings } = require('../utils/systemSettings');
+const { getBranchTimeZone, toBranchTimeSql } = require('../utils/businessDate');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Mark overdue appointments as missed, per branch grace period
+ * Slot times are branch wall-clock, so NOW() is moved into the branch zone.
+ */
+async function markMissedAppointments() {
+  const branches = await query(
+    "SELECT DISTINCT branch_id FROM appointments WHERE status = 'confirmed'"
+  );
+
+  for (const { branch_id } of branches) {
+    const settings = await getSystemSettings(branch_id);
+    const graceMinutes = parseInt(settings.appointment_late_grace_minutes) || 0;
+    const branchNow = toBranchTimeSql('NOW()', await getBranchTimeZone(branch_id));
+
+    const result = await query(
+      `UPDATE appointments
+       SET status = 'missed', missed_at = NOW()
+       WHERE branch_id = ? AND status = 'confirmed'
+         AND slot_end < ${branchNow} - INTERVAL ? MINUTE`,
+      [branch_id, graceMinutes]
+    );
+
+    if (result.affectedRows > 0) {
+      console.log(`📅 Marked ${result.affectedRows} appointment(s) as missed in branch ${branch_id}`);
+    }
+  }
+}
+
+/**
+ * Start the periodic missed-appointment check
+ */
+function startAppointmentMonitor() {
+  const timer = setInterval(() => {
+    markMissedAppointments().catch(error => {
+      console.error('Appointment monitor error:', error);
+    });
+  }, CHECK_INTERVAL_MS);
+
+  // Don't keep the process alive just for this timer
+  timer.unref();
+
+  console.log('✅ Appointment monitor started');
+  return timer;
+}
+
+module.exports = {
+  startAppointmentMonitor,
+  markMissedAppointments
+};
@@ -0,0 +1,66 @@
+/**
+ * Close-Out Scheduler
+ * Runs the end-of-day queue close-out for each branch once its
+ * configured closing time has passed, and expires anything left open
+ * from earlier days
+ */
+
+const { query } = require('../config/database');
+const { getSystemSettings } = require('../utils/systemSettings');
+const { getOpeningHours } = require('../utils/businessHours');
+const { closeOutBranch, expireStaleTickets } = require('../utils/queueCloseOut');
+const { getBranchClock } = require('../utils/businessDate');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Close out every open branch whose closing time has passed today
+ */
+async function runScheduledCloseOuts(io) {
+  const branches = await query('SELECT id FROM branches WHERE is_active = 1');
+
+  for (const { id } of branches) {
+    // Leftovers from a day that was never closed out, e.g. before a closed day
+    await expireStaleTickets(io, id);
+
+    // Each branch closes on its own clock
+    const { date: today, minutes: minutesNow } = await getBranchClock(id);
+    const settings = await getSystemSettings(id);
+    const hours = getOpeningHours(settings, today);
+
+    if (!hours || minutesNow < hours.close) {
+      continue;
+    }
+
+    const done = await query(
+      "SELECT id FROM queue_closeouts WHERE branch_id = ? AND business_date = ? AND `trigger` = 'scheduled'",
+      [id, today]
+    );
+
+    if (done.length === 0) {
+      await closeOutBranch(io, id, { trigger: 'scheduled' });
+    }
+  }
+}
+
+/**
+ * Start the periodic close-out check
+ */
+function startCloseOutScheduler(io) {
+  const timer = setInterval(() => {
+    runScheduledCloseOuts(io).catch(error => {
+      console.error('Close-out scheduler error:', error);
+    });
+  }, CHECK_INTERVAL_MS);
+
+  // Don't keep the process alive just for this timer
+  timer.unref();
+
+  console.log('✅ Close-out scheduler started');
+  return timer;
+}
+
+module.exports = {
+  startCloseOutScheduler,
+  runScheduledCloseOuts
+};
@@ -0,0 +1,76 @@
+/**
+ * Counter Heartbeat Monitor
+ * Marks counters offline when their console stops sending heartbeats and
+ * alerts supervisors if customers were waiting for that counter
+ */
+
+const { query } = require('../config/database');
+const { getSystemSettings } = require('../utils/systemSettings');
+const { emitCounterUpdated, emitCounterOfflineAlert } = require('../socket/socketHandler');
+const { getStaleCounters, markCounterOffline, countWaitingForCounter } = require('../utils/counterPresence');
+
+const CHECK_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Take every counter past its branch's heartbeat timeout offline
+ */
+async function markOfflineCounters(io) {
+  const branches = await query('SELECT DISTINCT branch_id FROM counters WHERE is_online = 1');
+
+  for (const { branch_id } of branches) {
+    const settings = await getSystemSettings(branch_id);
+    const timeoutSeconds = parseInt(settings.counter_offline_seconds) || 0;
+
+    if (timeoutSeconds <= 0) {
+      continue;
+    }
+
+    const stale = await getStaleCounters(branch_id, timeoutSeconds);
+
+    for (const { id } of stale) {
+      // A heartbeat may have arrived since the stale list was read
+      if (!(await markCounterOffline(id, timeoutSeconds))) {
+        continue;
+      }
+
+      const counters = await query('SELECT * FROM counters WHERE id = ?', [id]);
+      const counter = counters[0];
+      emitCounterUpdated(io, counter);
+      console.log(`📴 Counter ${counter.name} went offline`);
+
+      const waiting = await countWaitingForCounter(counter);
+      if (waiting > 0) {
+        emitCounterOfflineAlert(io, {
+          counter_id: counter.id,
+          counter_name: counter.name,
+          branch_id: counter.branch_id,
+          staff_id: counter.staff_id,
+          last_ping: counter.last_ping,
+          waiting
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Start the periodic heartbeat check
+ */
+function startCounterHeartbeatMonitor(io) {
+  const timer = setInterval(() => {
+    markOfflineCounters(io).catch(error => {
+      console.error('Counter heartbeat monitor error:', error);
+    });
+  }, CHECK_INTERVAL_MS);
+
+  // Don't keep the process alive just for this timer
+  timer.unref();
+
+  console.log('✅ Counter heartbeat monitor started');
+  return timer;
+}
+
+module.exports = {
+  startCounterHeartbeatMonitor,
+  markOfflineCounters
+};
@@ -0,0 +1,35 @@
+/**
+ * Idempotency Key Cleanup
+ * Periodically removes idempotency keys past their retention window
+ */
+
+const { purgeExpiredKeys } = require('../middleware/idempotency');
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Start the periodic cleanup
+ */
+function startIdempotencyCleanup() {
+  const timer = setInterval(() => {
+    purgeExpiredKeys()
+      .then(removed => {
+        if (removed > 0) {
+          console.log(`🧹 Removed ${removed} expired idempotency key(s)`);
+        }
+      })
+      .catch(error => {
+        console.error('Idempotency cleanup error:', error);
+      });
+  }, CHECK_INTERVAL_MS);
+
+  // Don't keep the process alive just for this timer
+  timer.unref();
+
+  console.log('✅ Idempotency key cleanup started');
+  return timer;
+}
+
+module.exports = {
+  startIdempotencyCleanup
+};
@@ -0,0 +1,104 @@
+/**
+ * No-Show Monitor
+ * Marks called tickets as skipped when the customer does not turn up
+ * within the configured grace period
+ */
+
+const { query } = require('../config/database');
+const { getSystemSettings } = require('../utils/systemSettings');
+const { emitTicketUpdated } = require('../socket/socketHandler');
+const { buildTransition } = require('../utils/ticketStateMachine');
+const { refreshQueueTracking } = require('../utils/queueTracking');
+const { fetchTicket } = require('../utils/ticketQueries');
+const { recordTicketEvent } = require('../utils/ticketEvents');
+const { autoCallNext } = require('../utils/ticketDispatcher');
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Skip every called ticket whose last call is older than its branch's grace period
+ */
+async function skipNoShowTickets(io) {
+  const branches = await query("SELECT DISTINCT branch_id FROM tickets WHERE status = 'called'");
+
+  for (const { branch_id } of branches) {
+    const settings = await getSystemSettings(branch_id);
+    const graceMinutes = parseInt(settings.no_show_grace_minutes) || 0;
+
+    if (graceMinutes <= 0) {
+      continue;
+    }
+
+    const expired = await query(
+      `SELECT id, status, counter_id FROM tickets
+       WHERE status = 'called' AND branch_id = ?
+         AND COALESCE(last_recalled_at, called_at) < NOW() - INTERVAL ? MINUTE`,
+      [branch_id, graceMinutes]
+    );
+
+    for (const current of expired) {
+      await skipTicket(io, current);
+    }
+  }
+}
+
+/**
+ * Mark a single called ticket as a no-show
+ */
+async function skipTicket(io, current) {
+  const { updates, params } = buildTransition(current, 'skipped');
+  const result = await query(
+    `UPDATE tickets SET ${updates.join(', ')}, no_show_at = NOW() WHERE id = ? AND status = 'called'`,
+    [...params, current.id]
+  );
+
+  // Staff may have started serving in the meantime
+  if (result.affectedRows === 0) {
+    return;
+  }
+
+  await recordTicketEvent({
+    ticketId: current.id,
+    type: 'no_show',
+    counterId: current.counter_id,
+    fromStatus: 'called',
+    toStatus: 'skipped'
+  });
+
+  const ticket = await fetchTicket(current.id);
+
+  emitTicketUpdated(io, ticket);
+  refreshQueueTracking(io, ticket);
+  console.log(`⏭️ Ticket ${ticket.ticket_number} skipped as no-show`);
+
+  // The counter is free again and may call its next ticket
+  if (current.counter_id) {
+    try {
+      await autoCallNext(io, current.counter_id, null);
+    } catch (error) {
+      console.error('Auto call-next failed:', error);
+    }
+  }
+}
+
+/**
+ * Start the periodic no-show check
+ */
+function startNoShowMonitor(io) {
+  const timer = setInterval(() => {
+    skipNoShowTickets(io).catch(error => {
+      console.error('No-show monitor error:', error);
+    });
+  }, CHECK_INTERVAL_MS);
+
+  // Don't keep the process alive just for this timer
+  timer.unref();
+
+  console.log('✅ No-show monitor started');
+  return timer;
+}
+
+module.exports = {
+  startNoShowMonitor,
+  skipNoShowTickets
+};
@@ -0,0 +1,29 @@
+/**
+ * Notification Dispatcher
+ * Works through the notification retry queue
+ */
+
+const { processPendingNotifications } = require('../notifications/notificationService');
+
+const CHECK_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Start the periodic delivery run
+ */
+function startNotificationDispatcher() {
+  const timer = setInterval(() => {
+    processPendingNotifications().catch(error => {
+      console.error('Notification dispatcher error:', error);
+    });
+  }, CHECK_INTERVAL_MS);
+
+  // Don't keep the process alive just for this timer
+  timer.unref();
+
+  console.log('✅ Notification dispatcher started');
+  return timer;
+}
+
+module.exports = {
+  startNotificationDispatcher
+};
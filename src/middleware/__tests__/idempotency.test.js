@@ -0,0 +1,142 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+
+const crypto = require('crypto');
+const { query } = require('../../config/database');
+const { idempotent } = require('../idempotency');
+
+const body = { service_id: 's1', branch_id: 'b1' };
+const bodyHash = crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+
+function mockRequest(overrides = {}) {
+  return {
+    method: 'POST',
+    baseUrl: '/api/tickets',
+    path: '/',
+    headers: { 'idempotency-key': 'key-1' },
+    user: { id: 'u1' },
+    body,
+    ...overrides
+  };
+}
+
+function mockResponse() {
+  const res = { statusCode: 200, headers: {} };
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(() => res);
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  return res;
+}
+
+/**
+ * Answer the middleware's queries; `stored` is the existing key row, if any
+ */
+function mockKeys(stored = null) {
+  query.mockImplementation(async sql => {
+    if (sql.startsWith('INSERT IGNORE')) {
+      return { affectedRows: stored ? 0 : 1 };
+    }
+    if (sql.startsWith('SELECT')) {
+      return stored ? [stored] : [];
+    }
+    return { affectedRows: 1 };
+  });
+}
+
+describe('idempotent middleware', () => {
+  afterEach(() => {
+    query.mockReset();
+  });
+
+  it('passes requests without a key straight through', async () => {
+    const next = jest.fn();
+    await idempotent(mockRequest({ headers: {} }), mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('rejects keys that are too long', async () => {
+    const res = mockResponse();
+    await idempotent(mockRequest({ headers: { 'idempotency-key': 'x'.repeat(256) } }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('stores the response of a first request', async () => {
+    mockKeys();
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await idempotent(mockRequest(), res, next);
+    expect(next).toHaveBeenCalled();
+
+    res.status(201).json({ ticket: { id: 't1' } });
+
+    const [sql, params] = query.mock.calls[query.mock.calls.length - 1];
+    expect(sql).toContain("SET status = 'completed'");
+    expect(params).toEqual([201, JSON.stringify({ ticket: { id: 't1' } }), 'key-1', 'POST /api/tickets/']);
+  });
+
+  it('releases the key when the request fails so it can be retried', async () => {
+    mockKeys();
+    const res = mockResponse();
+
+    await idempotent(mockRequest(), res, jest.fn());
+    res.status(500).json({ error: 'Failed to create ticket' });
+
+    const [sql] = query.mock.calls[query.mock.calls.length - 1];
+    expect(sql).toMatch(/^DELETE FROM idempotency_keys/);
+  });
+
+  it('replays a completed response', async () => {
+    mockKeys({
+      user_id: 'u1',
+      request_hash: bodyHash,
+      status: 'completed',
+      response_status: 201,
+      response_body: JSON.stringify({ ticket: { id: 't1' } })
+    });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await idempotent(mockRequest(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ ticket: { id: 't1' } });
+    expect(res.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('answers 409 while the first request is still running', async () => {
+    mockKeys({ user_id: 'u1', request_hash: bodyHash, status: 'pending' });
+    const res = mockResponse();
+
+    await idempotent(mockRequest(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('answers 422 when the key is reused for a different request', async () => {
+    mockKeys({ user_id: 'u1', request_hash: 'other', status: 'completed' });
+    const res = mockResponse();
+
+    await idempotent(mockRequest(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(422);
+  });
+
+  it('answers 422 when another user reuses the key', async () => {
+    mockKeys({ user_id: 'u2', request_hash: bodyHash, status: 'completed' });
+    const res = mockResponse();
+
+    await idempotent(mockRequest(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(422);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Idempotency Middleware
+ * Lets clients safely retry a mutating request by sending an
+ * `Idempotency-Key` header: the first response is stored and replayed
+ * for repeats of the same key within the retention window
+ */
+
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+const RETENTION_HOURS = parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Fingerprint of the request body, to catch a key reused for a different request
+ */
+function hashRequest(req) {
+  return crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+}
+
+/**
+ * Replay or record the response for an idempotency key
+ * Must run after authentication so the key is scoped to the caller.
+ */
+async function idempotent(req, res, next) {
+  const key = req.headers['idempotency-key'];
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  // Same key on a different route or by a different user is a different request
+  const scope = `${req.method} ${req.baseUrl}${req.path}`;
+  const userId = req.user?.id || null;
+  const requestHash = hashRequest(req);
+
+  try {
+    // Keys past the retention window are free to be reused
+    await query(
+      `DELETE FROM idempotency_keys
+       WHERE idempotency_key = ? AND scope = ? AND created_at < NOW() - INTERVAL ? HOUR`,
+      [key, scope, RETENTION_HOURS]
+    );
+
+    const inserted = await query(
+      `INSERT IGNORE INTO idempotency_keys (idempotency_key, scope, user_id, request_hash)
+       VALUES (?, ?, ?, ?)`,
+      [key, scope, userId, requestHash]
+    );
+
+    if (inserted.affectedRows === 0) {
+      const existing = await query(
+        'SELECT * FROM idempotency_keys WHERE idempotency_key = ? AND scope = ?',
+        [key, scope]
+      );
+      const record = existing[0];
+
+      if (!record || record.user_id !== userId || record.request_hash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+      }
+
+      if (record.status === 'pending') {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+      }
+
+      const body = typeof record.response_body === 'string'
+        ? JSON.parse(record.response_body)
+        : record.response_body;
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(body);
+    }
+  } catch (error) {
+    console.error('Idempotency check error:', error);
+    return res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+  }
+
+  // Store the outcome once the route responds
+  const originalJson = res.json.bind(res);
+  res.json = body => {
+    // Only successes are final; after an error the client may retry with the same key
+    const save = res.statusCode >= 400
+      ? query('DELETE FROM idempotency_keys WHERE idempotency_key = ? AND scope = ?', [key, scope])
+      : query(
+        `UPDATE idempotency_keys
+         SET status = 'completed', response_status = ?, response_body = ?
+         WHERE idempotency_key = ? AND scope = ?`,
+        [res.statusCode, JSON.stringify(body), key, scope]
+      );
+
+    save.catch(error => console.error('Idempotency save error:', error));
+    return originalJson(body);
+  };
+
+  next();
+}
+
+/**
+ * Delete keys older than the retention window
+ * @returns {Promise<number>} rows removed
+ */
+async function purgeExpiredKeys() {
+  const result = await query(
+    'DELETE FROM idempotency_keys WHERE created_at < NOW() - INTERVAL ? HOUR',
+    [RETENTION_HOURS]
+  );
+  return result.affectedRows;
+}
+
+module.exports = {
+  idempotent,
+  purgeExpiredKeys
+};
@@ -0,0 +1,51 @@
+/**
+ * Rate Limit Middleware
+ * Fixed-window request limit per client IP for anonymous endpoints.
+ * Counts are kept in memory, so each process limits on its own.
+ */
+
+/**
+ * Build a limiter allowing `max` anonymous requests per IP per window
+ * Signed-in staff (req.user) are not limited, so place it after optionalAuth.
+ */
+function rateLimit({ windowMs, max, message = 'Too many requests, please try again later' }) {
+  const hits = new Map();
+
+  // Drop finished windows so the map doesn't grow without bound
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    }
+  }, windowMs);
+  timer.unref();
+
+  return (req, res, next) => {
+    if (req.user) {
+      return next();
+    }
+
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: message });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  rateLimit
+};
@@ -0,0 +1,220 @@
+/**
+ * Notification Service
+ * Queues customer SMS messages as the queue moves and delivers them
+ * through the configured provider, retrying failures with backoff
+ */
+
+const { query } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const { getSystemSettings } = require('../utils/systemSettings');
+const { getQueueOrder } = require('../utils/queueOrder');
+const { OPEN_STATUSES } = require('../utils/ticketStateMachine');
+const { getTemplate, renderTemplate } = require('./templates');
+const { getProvider } = require('./providers');
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 30;       // 30s, 60s, 120s, ...
+const BATCH_SIZE = 20;
+const STALE_LOCK_MINUTES = 5;        // A send that never finished is retried
+
+/**
+ * Render the branch's template for a ticket and queue the message
+ */
+async function enqueueNotification(ticket, eventType, values = {}) {
+  const body = await getTemplate(ticket.branch_id, eventType);
+  const message = renderTemplate(body, {
+    ticket_number: ticket.ticket_number,
+    service_name: ticket.service_name,
+    counter_name: ticket.counter_name,
+    branch_name: ticket.branch_name,
+    ...values
+  });
+
+  await query(
+    `INSERT INTO notifications (id, ticket_id, branch_id, event_type, recipient, message, next_attempt_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [uuidv4(), ticket.id, ticket.branch_id, eventType, ticket.customer_phone, message]
+  );
+}
+
+/**
+ * Tell opted-in customers near the front of a service queue that
+ * their turn is close (once per ticket)
+ */
+async function notifyApproaching(branchId, serviceId) {
+  const settings = await getSystemSettings(branchId);
+  const threshold = parseInt(settings.notify_people_ahead) || 0;
+
+  if (threshold <= 0) {
+    return;
+  }
+
+  const order = (await getQueueOrder(branchId, serviceId)).slice(1, threshold + 1);
+
+  if (order.length === 0) {
+    return;
+  }
+
+  const placeholders = order.map(() => '?').join(',');
+  const candidates = await query(
+    `SELECT t.id, t.ticket_number, t.branch_id, t.customer_phone,
+            s.name as service_name, b.name as branch_name
+     FROM tickets t
+     LEFT JOIN services s ON t.service_id = s.id
+     LEFT JOIN branches b ON t.branch_id = b.id
+     WHERE t.id IN (${placeholders})
+       AND t.notify_opt_in = 1 AND t.customer_phone IS NOT NULL
+       AND t.approaching_notified_at IS NULL`,
+    order
+  );
+
+  for (const ticket of candidates) {
+    // Claim first so concurrent queue changes don't send twice
+    const claimed = await query(
+      'UPDATE tickets SET approaching_notified_at = NOW() WHERE id = ? AND approaching_notified_at IS NULL',
+      [ticket.id]
+    );
+
+    if (claimed.affectedRows > 0) {
+      await enqueueNotification(ticket, 'approaching', { people_ahead: order.indexOf(ticket.id) });
+    }
+  }
+}
+
+/**
+ * Deliver queued messages in the background
+ */
+function deliverPending() {
+  processPendingNotifications().catch(error => {
+    console.error('Notification delivery error:', error);
+  });
+}
+
+/**
+ * Queue the notification for a called customer
+ * Customers who moved close to the front hear from notifyQueueMoved.
+ * Never rejects; notification problems must not break queue operations.
+ *
+ * @param {Object} ticket - called ticket as returned by fetchTicket
+ */
+async function notifyTicketCalled(ticket) {
+  try {
+    if (ticket.notify_opt_in && ticket.customer_phone) {
+      await enqueueNotification(ticket, 'called');
+      deliverPending();
+    }
+  } catch (error) {
+    console.error('Notification queue error:', error);
+  }
+}
+
+/**
+ * Queue "approaching" notifications after a service queue moved
+ * Never rejects; notification problems must not break queue operations.
+ */
+async function notifyQueueMoved(branchId, serviceId) {
+  try {
+    await notifyApproaching(branchId, serviceId);
+    deliverPending();
+  } catch (error) {
+    console.error('Notification queue error:', error);
+  }
+}
+
+/**
+ * Record a send attempt in the delivery log
+ */
+async function logAttempt(notification, provider, { status, providerMessageId = null, error = null }) {
+  await query(
+    `INSERT INTO notification_attempts (notification_id, attempt, provider, status, provider_message_id, error)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [notification.id, notification.attempts, provider, status, providerMessageId, error]
+  );
+}
+
+/**
+ * Send one claimed notification and schedule a retry if it fails
+ */
+async function deliver(notification) {
+  // Don't text customers about a ticket that has already left the queue
+  if (!OPEN_STATUSES.includes(notification.ticket_status)) {
+    await query(
+      "UPDATE notifications SET status = 'failed', locked_at = NULL, last_error = ? WHERE id = ?",
+      ['Ticket is no longer in the queue', notification.id]
+    );
+    return;
+  }
+
+  let provider = { name: process.env.NOTIFICATION_PROVIDER || 'console' };
+
+  try {
+    provider = getProvider();
+    const { providerMessageId } = await provider.send({ to: notification.recipient, message: notification.message });
+
+    await query(
+      `UPDATE notifications
+       SET status = 'sent', sent_at = NOW(), locked_at = NULL, last_error = NULL
+       WHERE id = ?`,
+      [notification.id]
+    );
+    await logAttempt(notification, provider.name, { status: 'sent', providerMessageId });
+  } catch (error) {
+    const message = String(error.message).slice(0, 500);
+    const exhausted = notification.attempts >= MAX_ATTEMPTS;
+    const retryInSeconds = RETRY_BASE_SECONDS * 2 ** (notification.attempts - 1);
+
+    await query(
+      `UPDATE notifications
+       SET status = ?, locked_at = NULL, last_error = ?,
+           next_attempt_at = NOW() + INTERVAL ? SECOND
+       WHERE id = ?`,
+      [exhausted ? 'failed' : 'pending', message, retryInSeconds, notification.id]
+    );
+    await logAttempt(notification, provider.name, { status: 'failed', error: message });
+  }
+}
+
+/**
+ * Deliver every notification that is due
+ */
+async function processPendingNotifications() {
+  await query(
+    `UPDATE notifications SET status = 'pending', locked_at = NULL
+     WHERE status = 'sending' AND locked_at < NOW() - INTERVAL ${STALE_LOCK_MINUTES} MINUTE`
+  );
+
+  const due = await query(
+    `SELECT id FROM notifications
+     WHERE status = 'pending' AND next_attempt_at <= NOW()
+     ORDER BY next_attempt_at ASC
+     LIMIT ${BATCH_SIZE}`
+  );
+
+  for (const { id } of due) {
+    const claimed = await query(
+      `UPDATE notifications SET status = 'sending', locked_at = NOW(), attempts = attempts + 1
+       WHERE id = ? AND status = 'pending'`,
+      [id]
+    );
+
+    if (claimed.affectedRows === 0) {
+      continue;
+    }
+
+    const notifications = await query(
+      `SELECT n.*, t.status as ticket_status
+       FROM notifications n
+       JOIN tickets t ON n.ticket_id = t.id
+       WHERE n.id = ?`,
+      [id]
+    );
+
+    await deliver(notifications[0]);
+  }
+}
+
+module.exports = {
+  notifyTicketCalled,
+  notifyQueueMoved,
+  processPendingNotifications
+};
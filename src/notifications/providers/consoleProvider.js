@@ -0,0 +1,26 @@
+/**
+ * Console Provider
+ * Development/test provider: prints each message and, when
+ * NOTIFICATION_LOG_FILE is set, appends it to that file as a JSON line
+ */
+
+const fs = require('fs/promises');
+const { v4: uuidv4 } = require('uuid');
+
+const consoleProvider = {
+  name: 'console',
+
+  async send({ to, message }) {
+    const providerMessageId = uuidv4();
+    console.log(`📱 SMS to ${to}: ${message}`);
+
+    if (process.env.NOTIFICATION_LOG_FILE) {
+      const line = JSON.stringify({ id: providerMessageId, to, message, sent_at: new Date().toISOString() });
+      await fs.appendFile(process.env.NOTIFICATION_LOG_FILE, `${line}\n`);
+    }
+
+    return { providerMessageId };
+  }
+};
+
+module.exports = consoleProvider;
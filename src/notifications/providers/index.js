@@ -0,0 +1,33 @@
+/**
+ * Notification Providers
+ * A provider is { name, send({ to, message }) } where send resolves to
+ * { providerMessageId } and throws when the message was not accepted.
+ * NOTIFICATION_PROVIDER picks one (defaults to console).
+ */
+
+const consoleProvider = require('./consoleProvider');
+const smsGatewayProvider = require('./smsGatewayProvider');
+
+const PROVIDERS = {
+  [consoleProvider.name]: consoleProvider,
+  [smsGatewayProvider.name]: smsGatewayProvider
+};
+
+/**
+ * The configured provider
+ */
+function getProvider() {
+  const name = process.env.NOTIFICATION_PROVIDER || consoleProvider.name;
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown notification provider '${name}'`);
+  }
+
+  return provider;
+}
+
+module.exports = {
+  PROVIDERS,
+  getProvider
+};
@@ -0,0 +1,39 @@
+/**
+ * SMS Gateway Provider
+ * Posts messages to an HTTP SMS gateway:
+ *   SMS_GATEWAY_URL      endpoint accepting { to, message, sender } as JSON
+ *   SMS_GATEWAY_API_KEY  sent as a Bearer token
+ *   SMS_SENDER_ID        optional sender name
+ */
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const smsGatewayProvider = {
+  name: 'sms_gateway',
+
+  async send({ to, message }) {
+    if (!process.env.SMS_GATEWAY_URL) {
+      throw new Error('SMS_GATEWAY_URL is not configured');
+    }
+
+    const response = await fetch(process.env.SMS_GATEWAY_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY || ''}`
+      },
+      body: JSON.stringify({ to, message, sender: process.env.SMS_SENDER_ID || undefined }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded ${response.status}: ${body.error || body.message || response.statusText}`);
+    }
+
+    return { providerMessageId: body.id || body.message_id || null };
+  }
+};
+
+module.exports = smsGatewayProvider;
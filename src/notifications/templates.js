@@ -0,0 +1,46 @@
+/**
+ * Notification Templates
+ * Message bodies use {placeholders} filled from the ticket:
+ * {ticket_number}, {service_name}, {counter_name}, {branch_name}, {people_ahead}
+ */
+
+const { query } = require('../config/database');
+
+const EVENT_TYPES = ['approaching', 'called'];
+
+// Used when neither the branch nor the global template exists
+const DEFAULT_TEMPLATES = {
+  approaching: 'Ticket {ticket_number}: you are {people_ahead} away at {branch_name}. Please stay nearby.',
+  called: 'Ticket {ticket_number}: you are now being called at {counter_name}.'
+};
+
+/**
+ * Template body for an event, branch first, then global, then default
+ */
+async function getTemplate(branchId, eventType) {
+  const templates = await query(
+    `SELECT body FROM notification_templates
+     WHERE event_type = ? AND (branch_id = ? OR branch_id IS NULL)
+     ORDER BY branch_id IS NULL ASC
+     LIMIT 1`,
+    [eventType, branchId]
+  );
+
+  return templates[0]?.body || DEFAULT_TEMPLATES[eventType];
+}
+
+/**
+ * Fill in {placeholders}; unknown ones are left as-is
+ */
+function renderTemplate(body, values) {
+  return body.replace(/\{(\w+)\}/g, (match, key) => (
+    values[key] === undefined || values[key] === null ? match : String(values[key])
+  ));
+}
+
+module.exports = {
+  EVENT_TYPES,
+  DEFAULT_TEMPLATES,
+  getTemplate,
+  renderTemplate
+};
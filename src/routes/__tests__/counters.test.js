@@ -0,0 +1,113 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+jest.mock('../../socket/socketHandler');
+
+const db = require('../../config/database');
+const counterRoutes = require('../counters');
+
+const io = {};
+const app = express();
+app.use(express.json());
+app.set('io', io);
+app.use('/api/counters', counterRoutes);
+
+const staffToken = jwt.sign({ id: 'u1', role: 'staff', branch_id: 'b1' }, process.env.JWT_SECRET);
+const adminToken = jwt.sign({ id: 'a1', role: 'admin', branch_id: 'b1' }, process.env.JWT_SECRET);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.reset();
+});
+
+describe('POST /api/counters', () => {
+  function create(body) {
+    return request(app)
+      .post('/api/counters')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Counter 1', branch_id: 'b1', ...body });
+  }
+
+  it('creates the counter and signs the staff member in within one transaction', async () => {
+    db.when(/FROM counters WHERE id = \? FOR UPDATE/, params => [{ id: params[0], branch_id: 'b1', is_active: 1 }])
+      .when(/SELECT \* FROM counters/, params => [{ id: params[0], name: 'Counter 1', staff_id: 'u1' }]);
+
+    const res = await create({ staff_id: 'u1' });
+
+    expect(res.status).toBe(201);
+    expect(db.statements(/INSERT INTO counters/)).toHaveLength(1);
+    expect(db.statements(/INSERT INTO counter_sessions/)).toHaveLength(1);
+    expect(db.connection.beginTransaction).toHaveBeenCalledTimes(1);
+    expect(db.connection.commit).toHaveBeenCalledTimes(1);
+    expect(db.connection.release).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not create the counter when the staff member cannot sign in', async () => {
+    db.when(/FROM counters WHERE id = \? FOR UPDATE/, params => [{ id: params[0], branch_id: 'b1', is_active: 1 }])
+      .when(/SELECT counter_id FROM counter_sessions/, [{ counter_id: 'c2' }]);
+
+    const res = await create({ staff_id: 'u1' });
+
+    expect(res.status).toBe(409);
+    // The insert ran in the transaction that was rolled back
+    expect(db.connection.execute).toHaveBeenCalledWith(expect.stringMatching(/INSERT INTO counters/), expect.any(Array));
+    expect(db.connection.rollback).toHaveBeenCalled();
+    expect(db.connection.commit).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/counters/:id/assign', () => {
+  function assign(staffId, token = staffToken) {
+    return request(app)
+      .post('/api/counters/c1/assign')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ staff_id: staffId });
+  }
+
+  it('only lets staff assign themselves', async () => {
+    const res = await assign('u2');
+
+    expect(res.status).toBe(403);
+    expect(db.statements(/UPDATE counters/)).toHaveLength(0);
+  });
+
+  it('leaves the counter alone when someone else is signed in', async () => {
+    db.when(/FROM counter_sessions s/, [{ id: 'cs1', counter_id: 'c1', staff_id: 'u2', break_id: null }]);
+
+    const res = await assign('u1');
+
+    expect(res.status).toBe(403);
+    expect(db.statements(/UPDATE counters/)).toHaveLength(0);
+  });
+
+  it('activates the counter and signs the staff member in', async () => {
+    db.when(/FROM counters WHERE id = \? FOR UPDATE/, [{ id: 'c1', branch_id: 'b1', is_active: 1 }])
+      .when(/SELECT \* FROM counters/, [{ id: 'c1', staff_id: 'u1' }]);
+
+    const res = await assign('u1');
+
+    expect(res.status).toBe(200);
+    expect(db.statements(/SET is_active = 1/)).toHaveLength(1);
+    expect(db.statements(/INSERT INTO counter_sessions/)).toHaveLength(1);
+  });
+
+  it('lets a manager reassign the counter', async () => {
+    let signedOut = false;
+    db.when(/FROM counter_sessions s/, () => (signedOut ? [] : [{ id: 'cs1', counter_id: 'c1', staff_id: 'u2', break_id: null }]))
+      .when(/UPDATE counter_sessions/, () => {
+        signedOut = true;
+        return { affectedRows: 1 };
+      })
+      .when(/FROM counters WHERE id = \? FOR UPDATE/, [{ id: 'c1', branch_id: 'b1', is_active: 1, staff_id: 'u2' }]);
+
+    const res = await assign('u1', adminToken);
+
+    expect(res.status).toBe(200);
+    expect(db.statements(/UPDATE counter_sessions/)[0].params).toEqual(['reassigned', 'a1', 'cs1']);
+    expect(db.statements(/INSERT INTO counter_sessions/)[0].params).toEqual([expect.any(String), 'c1', 'u1', 'b1']);
+  });
+});
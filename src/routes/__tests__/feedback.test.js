@@ -0,0 +1,57 @@
+const express = require('express');
+const request = require('supertest');
+const { assignments } = require('../../../test/fakeDatabase');
+
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+
+const db = require('../../config/database');
+const feedbackRoutes = require('../feedback');
+
+const app = express();
+app.use(express.json());
+app.use('/api/feedback', feedbackRoutes);
+
+function submit(body) {
+  return request(app)
+    .post('/api/feedback/feedback-token')
+    .send(body);
+}
+
+beforeEach(() => {
+  db.reset();
+  db.when(/FROM ticket_feedback WHERE token = \?/, [{ id: 'f1', submitted_at: null }]);
+});
+
+describe('POST /api/feedback/:token', () => {
+  it('records the rating from the counter tablet', async () => {
+    const res = await submit({ rating: 5, comment: ' Quick service ', source: 'tablet' });
+
+    expect(res.status).toBe(201);
+    expect(assignments(db.statements(/UPDATE ticket_feedback/)[0])).toMatchObject({
+      rating: 5,
+      comment: 'Quick service',
+      source: 'tablet'
+    });
+  });
+
+  it('rejects sources that have no way to get a token', async () => {
+    const res = await submit({ rating: 4, source: 'tracking' });
+
+    expect(res.status).toBe(400);
+    expect(db.statements(/UPDATE ticket_feedback/)).toHaveLength(0);
+  });
+
+  it('rejects ratings outside 1-5', async () => {
+    const res = await submit({ rating: 6 });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('only counts the first submission', async () => {
+    db.when(/UPDATE ticket_feedback/, { affectedRows: 0 });
+
+    const res = await submit({ rating: 3 });
+
+    expect(res.status).toBe(409);
+  });
+});
@@ -0,0 +1,202 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { assignments } = require('../../../test/fakeDatabase');
+
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+jest.mock('../../socket/socketHandler');
+jest.mock('../../utils/queueTracking');
+jest.mock('../../utils/issuancePolicy');
+jest.mock('../../utils/ticketIssuer');
+jest.mock('../../notifications/providers');
+
+const db = require('../../config/database');
+const socketHandler = require('../../socket/socketHandler');
+const { getRefusalReasons } = require('../../utils/issuancePolicy');
+const { issueTicket } = require('../../utils/ticketIssuer');
+const { getProvider } = require('../../notifications/providers');
+const remoteQueueRoutes = require('../remoteQueue');
+
+const io = {};
+const app = express();
+app.use(express.json());
+app.set('io', io);
+app.use('/api/remote-queue', remoteQueueRoutes);
+
+const staffToken = jwt.sign({ id: 'u1', role: 'staff', branch_id: 'b1' }, process.env.JWT_SECRET);
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+const provider = { send: jest.fn() };
+
+function verification(fields = {}) {
+  return { id: 'v1', phone: '+639171234567', branch_id: 'b1', code_hash: hash('123456'), attempts: 0, used_at: null, is_expired: 0, ...fields };
+}
+
+function hybridBranch() {
+  db.when(/FROM branches WHERE id = \?/, [{ id: 'b1', name: 'Naga', mode: 'hybrid' }]);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.reset();
+  getProvider.mockReturnValue(provider);
+  getRefusalReasons.mockResolvedValue([]);
+  issueTicket.mockResolvedValue({ ticketId: 't1', ticketNumber: 'A-001' });
+});
+
+describe('POST /api/remote-queue/verify', () => {
+  it('texts a code to the customer', async () => {
+    hybridBranch();
+    db.when(/COUNT\(\*\) as count FROM phone_verifications/, [{ count: 0 }]);
+
+    const res = await request(app)
+      .post('/api/remote-queue/verify')
+      .send({ branch_id: 'b1', phone: '0917 123 4567' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.verification_id).toBeDefined();
+    expect(provider.send).toHaveBeenCalledWith(expect.objectContaining({ to: '09171234567' }));
+  });
+
+  it('refuses branches that do not take remote joins', async () => {
+    db.when(/FROM branches WHERE id = \?/, [{ id: 'b1', name: 'Naga', mode: 'walk_in' }]);
+
+    const res = await request(app)
+      .post('/api/remote-queue/verify')
+      .send({ branch_id: 'b1', phone: '09171234567' });
+
+    expect(res.status).toBe(403);
+    expect(provider.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/remote-queue/join', () => {
+  function join(body = {}) {
+    return request(app)
+      .post('/api/remote-queue/join')
+      .send({ verification_id: 'v1', code: '123456', service_id: 's1', ...body });
+  }
+
+  it('issues a remote ticket for a verified phone', async () => {
+    hybridBranch();
+    db.when(/FROM phone_verifications WHERE id = \?/, [verification()])
+      .when(/FROM services WHERE id = \?/, [{ id: 's1' }])
+      .when(/FROM tickets t/, [{ id: 't1', status: 'remote', branch_id: 'b1' }]);
+
+    const res = await join({ customer_name: 'Ana' });
+
+    expect(res.status).toBe(201);
+    expect(issueTicket).toHaveBeenCalledWith(db.connection, expect.objectContaining({
+      serviceId: 's1',
+      branchId: 'b1',
+      customerPhone: '+639171234567',
+      status: 'remote'
+    }));
+    const [tokenUpdate] = db.statements(/check_in_token_hash = \?/);
+    expect(tokenUpdate.params).toEqual([hash(res.body.check_in_token), 't1']);
+    expect(db.statements(/SET used_at = NOW\(\)/)[0].params).toEqual(['v1']);
+    expect(db.connection.commit).toHaveBeenCalled();
+    expect(socketHandler.emitTicketCreated).toHaveBeenCalled();
+  });
+
+  it('rejects a wrong code without issuing a ticket', async () => {
+    db.when(/FROM phone_verifications WHERE id = \?/, [verification()]);
+
+    const res = await join({ code: '654321' });
+
+    expect(res.status).toBe(400);
+    expect(issueTicket).not.toHaveBeenCalled();
+  });
+
+  it('applies the walk-in issuance rules', async () => {
+    hybridBranch();
+    db.when(/FROM phone_verifications WHERE id = \?/, [verification()])
+      .when(/FROM services WHERE id = \?/, [{ id: 's1' }]);
+    getRefusalReasons.mockResolvedValue([{ code: 'queue_full', message: 'This service queue is full' }]);
+
+    const res = await join();
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ can_override: false, reasons: [expect.objectContaining({ code: 'queue_full' })] });
+    expect(issueTicket).not.toHaveBeenCalled();
+    // The customer can try again with the same code
+    expect(db.statements(/SET used_at = NOW\(\)/)).toHaveLength(0);
+  });
+
+  it('allows one remote ticket per phone and branch', async () => {
+    hybridBranch();
+    db.when(/FROM phone_verifications WHERE id = \?/, [verification()])
+      .when(/FROM services WHERE id = \?/, [{ id: 's1' }])
+      .when(/status = 'remote'/, [{ id: 't0' }]);
+
+    const res = await join();
+
+    expect(res.status).toBe(409);
+    expect(issueTicket).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/remote-queue/check-in', () => {
+  const checkInToken = 'check-in-token';
+
+  function remoteTicket(fields = {}) {
+    db.when(/WHERE check_in_token_hash = \?/, [{ id: 't1', status: 'remote', counter_id: null, branch_id: 'b1', ...fields }]);
+  }
+
+  it('needs the branch code unless staff check the customer in', async () => {
+    remoteTicket();
+
+    const res = await request(app)
+      .post('/api/remote-queue/check-in')
+      .send({ check_in_token: checkInToken, branch_id: 'b1', check_in_code: 'guessed' });
+
+    expect(res.status).toBe(403);
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('puts the customer in line from the moment they arrive', async () => {
+    remoteTicket();
+    db.when(/FROM tickets t/, [{ id: 't1', status: 'waiting', branch_id: 'b1' }]);
+
+    const res = await request(app)
+      .post('/api/remote-queue/check-in')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ check_in_token: checkInToken, branch_id: 'b1', method: 'kiosk' });
+
+    expect(res.status).toBe(200);
+    const [update] = db.statements(/UPDATE tickets/);
+    expect(db.statements(/WHERE check_in_token_hash = \?/)[0].params).toEqual([hash(checkInToken)]);
+    expect(assignments(update)).toMatchObject({
+      status: 'waiting',
+      queued_at: 'NOW()',
+      checked_in_at: 'NOW()',
+      check_in_method: 'kiosk'
+    });
+    expect(update.sql).toMatch(/status = 'remote'/);
+  });
+
+  it('does not check in a ticket from another branch', async () => {
+    remoteTicket({ branch_id: 'b2' });
+
+    const res = await request(app)
+      .post('/api/remote-queue/check-in')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ check_in_token: checkInToken, branch_id: 'b1' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('does not check in twice', async () => {
+    remoteTicket({ status: 'waiting' });
+
+    const res = await request(app)
+      .post('/api/remote-queue/check-in')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ check_in_token: checkInToken, branch_id: 'b1' });
+
+    expect(res.status).toBe(409);
+  });
+});
@@ -0,0 +1,60 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+
+const db = require('../../config/database');
+const reportRoutes = require('../reports');
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportRoutes);
+
+const token = jwt.sign({ id: 'u1', role: 'admin', branch_id: 'b1' }, process.env.JWT_SECRET);
+
+function dailySummary(start_date, end_date) {
+  return request(app)
+    .get('/api/reports/daily-summary')
+    .query({ branch_id: 'b1', start_date, end_date })
+    .set('Authorization', `Bearer ${token}`);
+}
+
+// Period params of the first ticket summary query
+function period() {
+  return db.statements(/FROM tickets/)[0].params;
+}
+
+beforeEach(() => {
+  db.reset();
+  db.when(/FROM branches WHERE id = \?/, [{ timezone: 'Asia/Manila' }]);
+});
+
+describe('GET /api/reports/daily-summary dates', () => {
+  it('reads whole business days in the branch time zone', async () => {
+    const res = await dailySummary('2026-03-02', '2026-03-03');
+
+    expect(res.status).toBe(200);
+    expect(period()).toEqual(['b1', expect.any(String), expect.any(String)]);
+  });
+
+  it('takes the date part of ISO datetimes', async () => {
+    await dailySummary('2026-03-02', '2026-03-03');
+    const expected = period();
+    db.executed = [];
+
+    const res = await dailySummary('2026-03-02T00:00:00Z', '2026-03-03T23:59:59.999+08:00');
+
+    expect(res.status).toBe(200);
+    expect(period()).toEqual(expected);
+  });
+
+  it('rejects values that are not dates', async () => {
+    const res = await dailySummary('last monday', '2026-03-03');
+
+    expect(res.status).toBe(400);
+    expect(db.statements(/FROM tickets/)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,225 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { assignments, sortRows } = require('../../../test/fakeDatabase');
+
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+jest.mock('../../socket/socketHandler');
+jest.mock('../../utils/queueTracking');
+jest.mock('../../notifications/notificationService');
+
+const db = require('../../config/database');
+const socketHandler = require('../../socket/socketHandler');
+const ticketRoutes = require('../tickets');
+
+const io = {};
+const app = express();
+app.use(express.json());
+app.set('io', io);
+app.use('/api/tickets', ticketRoutes);
+
+const staffToken = jwt.sign({ id: 'u1', role: 'staff', branch_id: 'b1' }, process.env.JWT_SECRET);
+
+// counter_services rows for counter c1: service id -> weight
+let routes;
+
+function waiting(id, minute, fields = {}) {
+  const queuedAt = `2026-03-02 09:${String(minute).padStart(2, '0')}:00`;
+  return {
+    id,
+    service_id: 's1',
+    counter_id: null,
+    front_of_queue: 0,
+    priority_level: 0,
+    created_at: queuedAt,
+    queued_at: queuedAt,
+    ...fields
+  };
+}
+
+/**
+ * Answer the call-next SELECT from an in-memory queue: apply the
+ * counter/service filter, join the counter's routes and sort
+ */
+function serveQueue(tickets) {
+  db.when(/FROM counter_services WHERE counter_id = \?/, () => [{ count: Object.keys(routes).length }]);
+  db.when(/FOR UPDATE/, (params, sql) => {
+    const counterId = params[0];
+    const serviceId = /AND t\.service_id = \?/.test(sql) ? params[3] : null;
+
+    const rows = tickets
+      .map(ticket => ({
+        ...ticket,
+        'cs.service_id': ticket.service_id in routes ? ticket.service_id : null,
+        'cs.priority': ticket.service_id in routes ? routes[ticket.service_id] : null
+      }))
+      .filter(row => {
+        if (row.counter_id) return row.counter_id === counterId;
+        if (serviceId) return row.service_id === serviceId;
+        if (/cs\.service_id IS NOT NULL/.test(sql)) return row['cs.service_id'] !== null;
+        return true;
+      });
+
+    return sortRows(sql, rows).slice(0, 1).map(row => ({ id: row.id }));
+  });
+  db.when(/FROM tickets t/, params => [{ id: params[0], status: 'called', counter_id: 'c1' }]);
+}
+
+function callNext(body = { counter_id: 'c1' }) {
+  return request(app)
+    .post('/api/tickets/call-next')
+    .set('Authorization', `Bearer ${staffToken}`)
+    .send(body);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.reset();
+  // u1 is signed in to counter c1
+  db.when(/FROM counter_sessions s/, params => (params[0] === 'c1' ? [{ id: 'cs1', counter_id: 'c1', staff_id: 'u1', break_id: null }] : []));
+  routes = {};
+});
+
+describe('POST /api/tickets/call-next', () => {
+  it('calls the longest waiting ticket and assigns it to the counter', async () => {
+    serveQueue([waiting('t2', 5), waiting('t1', 1)]);
+
+    const res = await callNext();
+
+    expect(res.status).toBe(200);
+    expect(res.body.ticket.id).toBe('t1');
+    const [update] = db.statements(/UPDATE tickets/);
+    expect(assignments(update)).toMatchObject({ status: 'called', counter_id: 'c1', called_at: 'NOW()' });
+    expect(update.params[update.params.length - 1]).toBe('t1');
+    expect(db.connection.commit).toHaveBeenCalled();
+    expect(socketHandler.emitTicketCalled).toHaveBeenCalledWith(io, expect.objectContaining({ id: 't1' }));
+  });
+
+  it('starts service with the call by default', async () => {
+    serveQueue([waiting('t1', 1)]);
+
+    await callNext();
+
+    const [, serving] = db.statements(/UPDATE tickets/);
+    expect(assignments(serving)).toMatchObject({ status: 'serving', started_at: 'COALESCE(started_at, NOW())' });
+    expect(serving.params[serving.params.length - 1]).toBe('t1');
+  });
+
+  it('leaves the ticket called for branches that start service separately', async () => {
+    db.when(/FROM system_settings/, [{ setting_value: JSON.stringify({ call_next_starts_service: 0 }) }]);
+    serveQueue([waiting('t1', 1)]);
+
+    await callNext();
+
+    const updates = db.statements(/UPDATE tickets/);
+    expect(updates).toHaveLength(1);
+    expect(assignments(updates[0])).toMatchObject({ status: 'called', started_at: null });
+  });
+
+  it('calls priority tickets before regular ones', async () => {
+    serveQueue([waiting('t1', 1), waiting('t2', 5, { priority_level: 1 })]);
+
+    const res = await callNext();
+
+    expect(res.body.ticket.id).toBe('t2');
+  });
+
+  it('calls regular tickets between priority ones when interleaving', async () => {
+    db.when(/FROM system_settings/, [{ setting_value: JSON.stringify({ priority_interleave_ratio: 2 }) }])
+      .when(/^SELECT branch_id FROM counters/, [{ branch_id: 'b1' }])
+      .when(/SELECT priority_level FROM tickets/, [{ priority_level: 0 }, { priority_level: 1 }]);
+    serveQueue([waiting('t1', 1, { priority_level: 1 }), waiting('t2', 5)]);
+
+    const res = await callNext();
+
+    expect(res.body.ticket.id).toBe('t2');
+  });
+
+  it('goes back to priority order once enough regular tickets were called', async () => {
+    db.when(/FROM system_settings/, [{ setting_value: JSON.stringify({ priority_interleave_ratio: 2 }) }])
+      .when(/^SELECT branch_id FROM counters/, [{ branch_id: 'b1' }])
+      .when(/SELECT priority_level FROM tickets/, [{ priority_level: 0 }, { priority_level: 0 }]);
+    serveQueue([waiting('t1', 1), waiting('t2', 5, { priority_level: 1 })]);
+
+    const res = await callNext();
+
+    expect(res.body.ticket.id).toBe('t2');
+  });
+
+  it('calls tickets transferred to this counter first', async () => {
+    serveQueue([
+      waiting('t1', 1, { front_of_queue: 1, priority_level: 2 }),
+      waiting('t2', 5, { counter_id: 'c1' }),
+      waiting('t3', 0, { counter_id: 'c2' })
+    ]);
+
+    const res = await callNext();
+
+    expect(res.body.ticket.id).toBe('t2');
+  });
+
+  it('only calls the services routed to the counter', async () => {
+    routes = { s2: 0 };
+    serveQueue([waiting('t1', 1), waiting('t2', 5, { service_id: 's2' })]);
+
+    const res = await callNext();
+
+    expect(res.body.ticket.id).toBe('t2');
+  });
+
+  it('prefers the counter\'s weighted services', async () => {
+    routes = { s1: 0, s2: 5 };
+    serveQueue([waiting('t1', 1), waiting('t2', 5, { service_id: 's2' })]);
+
+    const res = await callNext();
+
+    expect(res.body.ticket.id).toBe('t2');
+  });
+
+  it('does not let a service weight jump ahead of priority tickets', async () => {
+    routes = { s1: 0, s2: 5 };
+    serveQueue([waiting('t1', 1, { priority_level: 1 }), waiting('t2', 0, { service_id: 's2' })]);
+
+    const res = await callNext();
+
+    expect(res.body.ticket.id).toBe('t1');
+  });
+
+  it('lets an explicit service override the routes', async () => {
+    routes = { s2: 0 };
+    serveQueue([waiting('t1', 1), waiting('t2', 5, { service_id: 's2' })]);
+
+    const res = await callNext({ counter_id: 'c1', service_id: 's1' });
+
+    expect(res.body.ticket.id).toBe('t1');
+  });
+
+  it('returns no ticket when the queue is empty', async () => {
+    serveQueue([waiting('t1', 1, { counter_id: 'c2' })]);
+
+    const res = await callNext();
+
+    expect(res.status).toBe(200);
+    expect(res.body.ticket).toBeNull();
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('only calls tickets to a counter the user is signed in to', async () => {
+    serveQueue([waiting('t1', 1)]);
+
+    const res = await callNext({ counter_id: 'c2' });
+
+    expect(res.status).toBe(403);
+    expect(db.connection.beginTransaction).not.toHaveBeenCalled();
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+    expect(db.connection.release).toHaveBeenCalled();
+  });
+
+  it('requires a counter', async () => {
+    const res = await callNext({});
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,165 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { assignments } = require('../../../test/fakeDatabase');
+
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+jest.mock('../../socket/socketHandler');
+jest.mock('../../utils/queueTracking');
+jest.mock('../../notifications/notificationService');
+
+const db = require('../../config/database');
+const socketHandler = require('../../socket/socketHandler');
+const ticketRoutes = require('../tickets');
+
+const io = {};
+const app = express();
+app.use(express.json());
+app.set('io', io);
+app.use('/api/tickets', ticketRoutes);
+
+const staffToken = jwt.sign({ id: 'u1', role: 'staff', branch_id: 'b1' }, process.env.JWT_SECRET);
+
+function post(action, body = {}) {
+  return request(app)
+    .post(`/api/tickets/t1/${action}`)
+    .set('Authorization', `Bearer ${staffToken}`)
+    .send(body);
+}
+
+// Counters u1 is signed in to
+let signedIn;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.reset();
+  signedIn = ['c1'];
+  db.when(/FROM counter_sessions s/, params => (
+    signedIn.includes(params[0]) ? [{ id: 'cs1', counter_id: params[0], staff_id: 'u1', break_id: null }] : []
+  ));
+});
+
+describe('POST /api/tickets/:id/hold', () => {
+  it('parks a ticket being served', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', branch_id: 'b1', status: 'serving', counter_id: 'c1' }])
+      .when(/FROM tickets t/, [{ id: 't1', status: 'on_hold', counter_id: 'c1' }]);
+
+    const res = await post('hold', { notes: 'Fetching documents' });
+
+    expect(res.status).toBe(200);
+    const [update] = db.statements(/UPDATE tickets/);
+    expect(assignments(update)).toMatchObject({
+      status: 'on_hold',
+      held_at: 'NOW()',
+      hold_count: 'hold_count + 1',
+      held_by: 'u1',
+      notes: 'Fetching documents'
+    });
+    expect(update.sql).toMatch(/status = 'serving'/);
+    expect(socketHandler.emitTicketUpdated).toHaveBeenCalledWith(io, expect.objectContaining({ status: 'on_hold' }));
+  });
+
+  it('only holds tickets at a counter the user is signed in to', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', branch_id: 'b1', status: 'serving', counter_id: 'c3' }]);
+
+    const res = await post('hold');
+
+    expect(res.status).toBe(403);
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('only holds tickets being served', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', branch_id: 'b1', status: 'called', counter_id: 'c1' }]);
+
+    const res = await post('hold');
+
+    expect(res.status).toBe(409);
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('returns 409 when the ticket changed meanwhile', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', branch_id: 'b1', status: 'serving', counter_id: 'c1' }])
+      .when(/UPDATE tickets/, { affectedRows: 0 });
+
+    const res = await post('hold');
+
+    expect(res.status).toBe(409);
+    expect(socketHandler.emitTicketUpdated).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/tickets/:id/resume', () => {
+  it('calls a held ticket back to its counter and banks the hold time', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', branch_id: 'b1', status: 'on_hold', counter_id: 'c1' }])
+      .when(/FROM tickets t/, [{ id: 't1', status: 'called', counter_id: 'c1' }]);
+
+    const res = await post('resume');
+
+    expect(res.status).toBe(200);
+    const [update] = db.statements(/UPDATE tickets/);
+    const values = assignments(update);
+    expect(values).toMatchObject({
+      status: 'called',
+      counter_id: 'c1',
+      held_at: null,
+      hold_seconds: 'hold_seconds + TIMESTAMPDIFF(SECOND, held_at, NOW())'
+    });
+    expect(values).not.toHaveProperty('started_at');
+    expect(update.sql).toMatch(/status = 'on_hold'/);
+    expect(socketHandler.emitTicketCalled).toHaveBeenCalledWith(io, expect.objectContaining({ id: 't1' }));
+  });
+
+  it('can resume at another counter', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', branch_id: 'b1', status: 'on_hold', counter_id: 'c1' }])
+      .when(/FROM counters WHERE id = \?/, [{ id: 'c2', branch_id: 'b1', is_active: 1 }]);
+
+    signedIn.push('c2');
+
+    await post('resume', { counter_id: 'c2' });
+
+    expect(assignments(db.statements(/UPDATE tickets/)[0])).toMatchObject({ counter_id: 'c2' });
+  });
+
+  it('does not resume at a counter from another branch', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', branch_id: 'b1', status: 'on_hold', counter_id: 'c1' }])
+      .when(/FROM counters WHERE id = \?/, [{ id: 'c9', branch_id: 'b2' }]);
+    signedIn.push('c9');
+
+    const res = await post('resume', { counter_id: 'c9' });
+
+    expect(res.status).toBe(400);
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('does not resume at an unknown or inactive counter', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', branch_id: 'b1', status: 'on_hold', counter_id: 'c1' }]);
+    signedIn.push('c8');
+
+    const res = await post('resume', { counter_id: 'c8' });
+
+    expect(res.status).toBe(400);
+    expect(db.statements(/FROM counters WHERE id = \?/)[0].sql).toMatch(/is_active = 1/);
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('only resumes at a counter the user is signed in to', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', branch_id: 'b1', status: 'on_hold', counter_id: 'c1' }])
+      .when(/FROM counters WHERE id = \?/, [{ id: 'c2', branch_id: 'b1', is_active: 1 }]);
+
+    const res = await post('resume', { counter_id: 'c2' });
+
+    expect(res.status).toBe(403);
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('only resumes held tickets', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', branch_id: 'b1', status: 'serving', counter_id: 'c1' }]);
+
+    const res = await post('resume');
+
+    expect(res.status).toBe(409);
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+});
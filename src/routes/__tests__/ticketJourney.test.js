@@ -0,0 +1,133 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { assignments } = require('../../../test/fakeDatabase');
+
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+jest.mock('../../socket/socketHandler');
+jest.mock('../../utils/queueTracking');
+jest.mock('../../notifications/notificationService');
+
+const db = require('../../config/database');
+const socketHandler = require('../../socket/socketHandler');
+const ticketRoutes = require('../tickets');
+
+const app = express();
+app.use(express.json());
+app.set('io', {});
+app.use('/api/tickets', ticketRoutes);
+
+const staffToken = jwt.sign({ id: 'u1', role: 'staff', branch_id: 'b1' }, process.env.JWT_SECRET);
+
+// Second of three steps, being served at counter c2
+const journeyTicket = {
+  id: 't1',
+  status: 'serving',
+  counter_id: 'c2',
+  service_id: 's2',
+  journey: '["s1","s2","s3"]',
+  current_step: 2,
+  total_steps: 3,
+  created_at: '2026-03-02 09:00:00',
+  queued_at: '2026-03-02 09:20:00',
+  called_at: '2026-03-02 09:30:00',
+  started_at: '2026-03-02 09:31:00',
+  hold_seconds: 0
+};
+
+function finish() {
+  // Ticket as re-read after the update, unless the test gave one
+  db.when(/FROM tickets t/, [{ ...journeyTicket, branch_id: 'b1' }]);
+
+  return request(app)
+    .patch('/api/tickets/t1')
+    .set('Authorization', `Bearer ${staffToken}`)
+    .send({ status: 'done' });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.reset();
+  // u1 is signed in to counter c2
+  db.when(/FROM counter_sessions s/, params => (params[0] === 'c2' ? [{ id: 'cs1', counter_id: 'c2', staff_id: 'u1', break_id: null }] : []));
+});
+
+describe('PATCH /api/tickets/:id on a multi-step journey', () => {
+  it('sends the ticket on to the next service instead of closing it', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [journeyTicket])
+      .when(/FROM tickets t/, [{ ...journeyTicket, status: 'waiting', service_id: 's3', counter_id: null, current_step: 3 }]);
+
+    const res = await finish();
+
+    expect(res.status).toBe(200);
+    expect(res.body.ticket).toMatchObject({ status: 'waiting', service_id: 's3' });
+    expect(assignments(db.statements(/UPDATE tickets/)[0])).toMatchObject({
+      status: 'waiting',
+      service_id: 's3',
+      counter_id: null,
+      current_step: 'current_step + 1',
+      queued_at: 'NOW()'
+    });
+  });
+
+  it('logs the finished step with its own timestamps', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [journeyTicket]);
+
+    await finish();
+
+    const [step] = db.statements(/INSERT INTO ticket_steps/);
+    expect(step.params.slice(1)).toEqual([
+      't1', 2, 's2', 'c2', 'u1',
+      '2026-03-02 09:20:00', '2026-03-02 09:30:00', '2026-03-02 09:31:00', 0
+    ]);
+  });
+
+  it('writes the step in the same transaction as the update', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [journeyTicket]);
+
+    await finish();
+
+    const sqls = db.connection.execute.mock.calls.map(([sql]) => sql);
+    expect(sqls).toEqual(expect.arrayContaining([
+      expect.stringMatching(/UPDATE tickets/),
+      expect.stringMatching(/INSERT INTO ticket_steps/)
+    ]));
+    expect(db.connection.commit).toHaveBeenCalled();
+  });
+
+  it('leaves the ticket on its step when the step cannot be logged', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.when(/FROM tickets WHERE id = \?/, [journeyTicket])
+      .when(/INSERT INTO ticket_steps/, () => {
+        throw new Error('Deadlock found');
+      });
+
+    const res = await finish();
+
+    expect(res.status).toBe(500);
+    expect(db.connection.rollback).toHaveBeenCalled();
+    expect(db.connection.commit).not.toHaveBeenCalled();
+    expect(socketHandler.emitTicketUpdated).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  it('closes the ticket on the last step', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ ...journeyTicket, service_id: 's3', current_step: 3 }]);
+
+    await finish();
+
+    expect(assignments(db.statements(/UPDATE tickets/)[0])).toMatchObject({ status: 'done', served_by: 'u1' });
+    expect(db.statements(/INSERT INTO ticket_steps/)[0].params).toContain('s3');
+  });
+
+  it('does not log steps for single-service tickets', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ ...journeyTicket, journey: null, current_step: 1, total_steps: 1 }]);
+
+    await finish();
+
+    expect(assignments(db.statements(/UPDATE tickets/)[0])).toMatchObject({ status: 'done' });
+    expect(db.statements(/INSERT INTO ticket_steps/)).toHaveLength(0);
+  });
+});
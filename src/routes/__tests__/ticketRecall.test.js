@@ -0,0 +1,184 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { assignments } = require('../../../test/fakeDatabase');
+
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+jest.mock('../../socket/socketHandler');
+jest.mock('../../utils/queueTracking');
+jest.mock('../../notifications/notificationService');
+jest.mock('../../utils/ticketDispatcher');
+
+const db = require('../../config/database');
+const socketHandler = require('../../socket/socketHandler');
+const { autoCallNext } = require('../../utils/ticketDispatcher');
+const ticketRoutes = require('../tickets');
+
+const io = {};
+const app = express();
+app.use(express.json());
+app.set('io', io);
+app.use('/api/tickets', ticketRoutes);
+
+const staffToken = jwt.sign({ id: 'u1', role: 'staff', branch_id: 'b1' }, process.env.JWT_SECRET);
+
+function post(action, body = {}) {
+  return request(app)
+    .post(`/api/tickets/t1/${action}`)
+    .set('Authorization', `Bearer ${staffToken}`)
+    .send(body);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.reset();
+});
+
+describe('POST /api/tickets/:id/recall', () => {
+  it('calls the customer again and counts the recall', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'called', recall_count: 1 }])
+      .when(/FROM tickets t/, [{ id: 't1', status: 'called', recall_count: 2 }]);
+
+    const res = await post('recall');
+
+    expect(res.status).toBe(200);
+    expect(res.body.no_show).toBe(false);
+    const [update] = db.statements(/UPDATE tickets/);
+    expect(assignments(update)).toMatchObject({
+      recall_count: 'recall_count + 1',
+      last_recalled_at: 'NOW()'
+    });
+    expect(update.sql).toMatch(/status = 'called'/);
+    expect(socketHandler.emitTicketCalled).toHaveBeenCalledWith(io, expect.objectContaining({ id: 't1' }));
+  });
+
+  it('skips the ticket as a no-show once the recall limit is reached', async () => {
+    db.when(/FROM system_settings/, [{ setting_value: JSON.stringify({ max_recalls: 2 }) }])
+      .when(/FROM counter_sessions s/, [{ id: 'cs1', counter_id: 'c1', staff_id: 'u1', break_id: null }])
+      .when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'called', recall_count: 2, counter_id: 'c1' }])
+      .when(/FROM tickets t/, [{ id: 't1', status: 'skipped' }]);
+    autoCallNext.mockResolvedValue({ id: 't2', status: 'called' });
+
+    const res = await post('recall');
+
+    expect(res.status).toBe(200);
+    expect(res.body.no_show).toBe(true);
+    expect(assignments(db.statements(/UPDATE tickets/)[0])).toMatchObject({
+      status: 'skipped',
+      no_show_at: 'NOW()',
+      ended_at: 'NOW()',
+      served_by: 'u1'
+    });
+    expect(socketHandler.emitTicketCalled).not.toHaveBeenCalled();
+    expect(autoCallNext).toHaveBeenCalledWith(io, 'c1', 'u1');
+    expect(res.body.next_ticket).toMatchObject({ id: 't2' });
+  });
+
+  it('does not announce a recall that lost a race with another request', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'called', recall_count: 1 }])
+      .when(/UPDATE tickets/, { affectedRows: 0 });
+
+    const res = await post('recall');
+
+    expect(res.status).toBe(409);
+    expect(db.statements(/UPDATE tickets/)[0].params).toEqual(['t1', 1]);
+    expect(db.statements(/INSERT INTO ticket_events/)).toHaveLength(0);
+    expect(socketHandler.emitTicketCalled).not.toHaveBeenCalled();
+  });
+
+  it('only recalls called tickets', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'serving', recall_count: 0 }]);
+
+    const res = await post('recall');
+
+    expect(res.status).toBe(409);
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+});
+
+describe('POST /api/tickets/:id/requeue', () => {
+  it('puts a skipped ticket back in the queue', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'skipped', counter_id: 'c1' }])
+      .when(/FROM tickets t/, [{ id: 't1', status: 'waiting' }]);
+
+    const res = await post('requeue');
+
+    expect(res.status).toBe(200);
+    const [update] = db.statements(/UPDATE tickets/);
+    expect(assignments(update)).toMatchObject({
+      status: 'waiting',
+      counter_id: null,
+      called_at: null,
+      ended_at: null,
+      front_of_queue: 0,
+      recall_count: 0,
+      last_recalled_at: null,
+      no_show_at: null
+    });
+    expect(update.sql).toMatch(/status = 'skipped'/);
+    expect(socketHandler.emitTicketUpdated).toHaveBeenCalled();
+  });
+
+  it('sends the customer to the back of the queue by default', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'skipped', counter_id: 'c1' }]);
+
+    await post('requeue');
+
+    expect(assignments(db.statements(/UPDATE tickets/)[0])).toMatchObject({ front_of_queue: 0, queued_at: 'NOW()' });
+  });
+
+  it('can put a late customer at the front without losing their place in line', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'skipped', counter_id: 'c1' }]);
+
+    await post('requeue', { to_front: true });
+
+    const values = assignments(db.statements(/UPDATE tickets/)[0]);
+    expect(values).toMatchObject({ front_of_queue: 1, recall_count: 0 });
+    expect(values).not.toHaveProperty('queued_at');
+  });
+
+  it('gives a requeued ticket a fresh set of recalls', async () => {
+    // One ticket row that the route's updates are applied to
+    const ticket = { id: 't1', status: 'skipped', counter_id: 'c1', recall_count: 3, no_show_at: 'earlier' };
+    db.when(/FROM tickets WHERE id = \?/, () => [{ ...ticket }])
+      .when(/FROM tickets t/, () => [{ ...ticket }])
+      .when(/UPDATE tickets/, (params, sql) => {
+        Object.entries(assignments({ sql, params })).forEach(([column, value]) => {
+          ticket[column] = value === 'recall_count + 1' ? ticket.recall_count + 1 : value;
+        });
+        return { affectedRows: 1 };
+      });
+
+    await post('requeue');
+    expect(ticket).toMatchObject({ status: 'waiting', recall_count: 0, no_show_at: null });
+
+    // Called again at the counter, then the customer steps away once more
+    Object.assign(ticket, { status: 'called', counter_id: 'c1' });
+    const res = await post('recall');
+
+    expect(res.status).toBe(200);
+    expect(res.body.no_show).toBe(false);
+    expect(ticket.recall_count).toBe(1);
+  });
+
+  it('returns 409 when the ticket changed before the requeue', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'skipped', counter_id: 'c1' }])
+      .when(/UPDATE tickets/, { affectedRows: 0 });
+
+    const res = await post('requeue');
+
+    expect(res.status).toBe(409);
+    expect(socketHandler.emitTicketUpdated).not.toHaveBeenCalled();
+  });
+
+  it('only requeues skipped tickets', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'done' }]);
+
+    const res = await post('requeue');
+
+    expect(res.status).toBe(409);
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,194 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { assignments } = require('../../../test/fakeDatabase');
+
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+jest.mock('../../socket/socketHandler');
+jest.mock('../../utils/queueTracking');
+jest.mock('../../notifications/notificationService');
+
+const db = require('../../config/database');
+const socketHandler = require('../../socket/socketHandler');
+const ticketRoutes = require('../tickets');
+
+const io = {};
+const app = express();
+app.use(express.json());
+app.set('io', io);
+app.use('/api/tickets', ticketRoutes);
+
+const staffToken = jwt.sign({ id: 'u1', role: 'staff', branch_id: 'b1' }, process.env.JWT_SECRET);
+const supervisorToken = jwt.sign({ id: 'u9', role: 'supervisor', branch_id: 'b1' }, process.env.JWT_SECRET);
+
+function patch(body, token = staffToken) {
+  return request(app)
+    .patch('/api/tickets/t1')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.reset();
+  // u1 is signed in to counter c1
+  db.when(/FROM counter_sessions s/, params => (params[0] === 'c1' ? [{ id: 'cs1', counter_id: 'c1', staff_id: 'u1', break_id: null }] : []));
+});
+
+describe('PATCH /api/tickets/:id', () => {
+  it('starts serving a called ticket', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'called', counter_id: 'c1' }])
+      .when(/FROM tickets t/, [{ id: 't1', status: 'serving' }]);
+
+    const res = await patch({ status: 'serving' });
+
+    expect(res.status).toBe(200);
+    const [update] = db.statements(/UPDATE tickets/);
+    expect(assignments(update)).toMatchObject({
+      status: 'serving',
+      counter_id: 'c1',
+      started_at: 'COALESCE(started_at, NOW())'
+    });
+    expect(update.sql).toMatch(/WHERE id = \? AND status = \?/);
+    expect(update.params.slice(-2)).toEqual(['t1', 'called']);
+    expect(socketHandler.emitTicketUpdated).toHaveBeenCalled();
+  });
+
+  it('records who finished the ticket', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'serving', counter_id: 'c1' }])
+      .when(/FROM tickets t/, [{ id: 't1', status: 'done', branch_id: 'b1', service_id: 's1' }])
+      .when(/SELECT token FROM ticket_feedback/, [{ token: 'feedback-token' }]);
+
+    const res = await patch({ status: 'done' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.feedback_token).toBe('feedback-token');
+    expect(assignments(db.statements(/UPDATE tickets/)[0])).toMatchObject({
+      status: 'done',
+      ended_at: 'NOW()',
+      served_by: 'u1'
+    });
+  });
+
+  it('rejects a transition the lifecycle does not allow', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'waiting', counter_id: null }]);
+
+    const res = await patch({ status: 'done' });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ from: 'waiting', to: 'done' });
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('rejects an unknown status', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'waiting', counter_id: null }]);
+
+    const res = await patch({ status: 'finished' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('returns 409 when the ticket changed since it was read', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'called', counter_id: 'c1' }])
+      .when(/UPDATE tickets/, { affectedRows: 0 });
+
+    const res = await patch({ status: 'serving' });
+
+    expect(res.status).toBe(409);
+    expect(socketHandler.emitTicketUpdated).not.toHaveBeenCalled();
+  });
+
+  it('treats re-applying the current status as a no-op', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'serving', counter_id: 'c1' }])
+      .when(/FROM tickets t/, [{ id: 't1', status: 'serving' }]);
+
+    const res = await patch({ status: 'serving' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.ticket).toMatchObject({ id: 't1', status: 'serving' });
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('sends tickets back to the queue only through transfer or requeue', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'serving', counter_id: 'c1' }]);
+
+    const res = await patch({ status: 'waiting' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch('transfer or requeue');
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+});
+
+describe('PATCH /api/tickets/:id serving sessions', () => {
+  it('refuses to serve at a counter the user is not signed in to', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'called', counter_id: 'c2' }]);
+
+    const res = await patch({ status: 'serving' });
+
+    expect(res.status).toBe(403);
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('refuses to serve while on a break', async () => {
+    db.reset();
+    db.when(/FROM counter_sessions s/, [{ id: 'cs1', counter_id: 'c1', staff_id: 'u1', break_id: 'br1' }])
+      .when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'called', counter_id: 'c1' }]);
+
+    const res = await patch({ status: 'serving' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('End your break before serving tickets');
+  });
+
+  it('lets a supervisor close a ticket on a counter\'s behalf', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', status: 'serving', counter_id: 'c2' }])
+      .when(/FROM tickets t/, [{ id: 't1', status: 'done', branch_id: 'b1', service_id: 's1', counter_id: 'c2' }])
+      .when(/SELECT token FROM ticket_feedback/, [{ token: 'feedback-token' }]);
+
+    const res = await patch({ status: 'done' }, supervisorToken);
+
+    expect(res.status).toBe(200);
+    expect(db.statements(/FROM counter_sessions/)).toHaveLength(0);
+  });
+});
+
+describe('DELETE /api/tickets/:id', () => {
+  function cancel() {
+    return request(app)
+      .delete('/api/tickets/t1')
+      .set('Authorization', `Bearer ${staffToken}`);
+  }
+
+  it('cancels the ticket and announces it', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', branch_id: 'b1', service_id: 's1', status: 'waiting', counter_id: null }]);
+
+    const res = await cancel();
+
+    expect(res.status).toBe(200);
+    expect(assignments(db.statements(/UPDATE tickets/)[0])).toMatchObject({ status: 'cancelled' });
+    expect(socketHandler.emitTicketDeleted).toHaveBeenCalledWith(io, 't1', 'b1');
+  });
+
+  it('returns 409 when the ticket changed concurrently', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', branch_id: 'b1', service_id: 's1', status: 'waiting', counter_id: null }])
+      .when(/UPDATE tickets/, { affectedRows: 0 });
+
+    const res = await cancel();
+
+    expect(res.status).toBe(409);
+    expect(socketHandler.emitTicketDeleted).not.toHaveBeenCalled();
+  });
+
+  it('does not announce a ticket that was already cancelled', async () => {
+    db.when(/FROM tickets WHERE id = \?/, [{ id: 't1', branch_id: 'b1', service_id: 's1', status: 'cancelled', counter_id: null }]);
+
+    const res = await cancel();
+
+    expect(res.status).toBe(200);
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+    expect(socketHandler.emitTicketDeleted).not.toHaveBeenCalled();
+  });
+});
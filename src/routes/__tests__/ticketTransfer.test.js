@@ -0,0 +1,150 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { assignments } = require('../../../test/fakeDatabase');
+
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+jest.mock('../../socket/socketHandler');
+jest.mock('../../utils/queueTracking');
+jest.mock('../../notifications/notificationService');
+
+const db = require('../../config/database');
+const socketHandler = require('../../socket/socketHandler');
+const ticketRoutes = require('../tickets');
+
+const io = {};
+const app = express();
+app.use(express.json());
+app.set('io', io);
+app.use('/api/tickets', ticketRoutes);
+
+const staffToken = jwt.sign({ id: 'u1', role: 'staff', branch_id: 'b1' }, process.env.JWT_SECRET);
+
+const servingTicket = {
+  id: 't1',
+  branch_id: 'b1',
+  service_id: 's1',
+  counter_id: 'c1',
+  ticket_number: 'A-001',
+  status: 'serving'
+};
+
+function transfer(body) {
+  return request(app)
+    .post('/api/tickets/t1/transfer')
+    .set('Authorization', `Bearer ${staffToken}`)
+    .send(body);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.reset();
+  // u1 is signed in to counter c1
+  db.when(/FROM counter_sessions s/, params => (params[0] === 'c1' ? [{ id: 'cs1', counter_id: 'c1', staff_id: 'u1', break_id: null }] : []));
+});
+
+describe('POST /api/tickets/:id/transfer', () => {
+  it('requires a target counter or service', async () => {
+    const res = await transfer({});
+
+    expect(res.status).toBe(400);
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('only transfers tickets being served', async () => {
+    db.when(/FROM tickets WHERE id = \? FOR UPDATE/, [{ ...servingTicket, status: 'waiting' }]);
+
+    const res = await transfer({ target_counter_id: 'c2' });
+
+    expect(res.status).toBe(409);
+    expect(db.connection.rollback).toHaveBeenCalled();
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('sends the ticket back to waiting at the front for the target counter', async () => {
+    db.when(/FROM tickets WHERE id = \? FOR UPDATE/, [servingTicket])
+      .when(/FROM counters WHERE id = \?/, [{ id: 'c2', branch_id: 'b1' }])
+      .when(/FROM tickets t/, [{ ...servingTicket, status: 'waiting', counter_id: 'c2' }]);
+
+    const res = await transfer({ target_counter_id: 'c2', reason: 'Needs billing' });
+
+    expect(res.status).toBe(200);
+    expect(assignments(db.statements(/UPDATE tickets/)[0])).toMatchObject({
+      status: 'waiting',
+      service_id: 's1',
+      counter_id: 'c2',
+      transferred_from_counter_id: 'c1',
+      transferred_by: 'u1',
+      transfer_reason: 'Needs billing',
+      front_of_queue: 1,
+      called_at: null,
+      started_at: null
+    });
+    expect(db.connection.commit).toHaveBeenCalled();
+    expect(socketHandler.emitTransferNotification).toHaveBeenCalledWith(
+      io,
+      expect.objectContaining({ ticket_id: 't1', from_counter_id: 'c1', target_counter_id: 'c2' })
+    );
+  });
+
+  it('queues a service transfer behind the others when to_front is false', async () => {
+    db.when(/FROM tickets WHERE id = \? FOR UPDATE/, [servingTicket])
+      .when(/FROM services WHERE id = \?/, [{ id: 's2', branch_id: 'b1' }])
+      .when(/FROM tickets t/, [{ ...servingTicket, status: 'waiting', service_id: 's2', counter_id: null }]);
+
+    const res = await transfer({ target_service_id: 's2', to_front: false });
+
+    expect(res.status).toBe(200);
+    expect(assignments(db.statements(/UPDATE tickets/)[0])).toMatchObject({
+      status: 'waiting',
+      service_id: 's2',
+      counter_id: null,
+      front_of_queue: 0
+    });
+    expect(socketHandler.emitTransferNotification).not.toHaveBeenCalled();
+  });
+
+  it('rejects a counter from another branch', async () => {
+    db.when(/FROM tickets WHERE id = \? FOR UPDATE/, [servingTicket])
+      .when(/FROM counters WHERE id = \?/, [{ id: 'c9', branch_id: 'b2' }]);
+
+    const res = await transfer({ target_counter_id: 'c9' });
+
+    expect(res.status).toBe(400);
+    expect(db.connection.rollback).toHaveBeenCalled();
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('rejects a service that is not offered in the ticket\'s branch', async () => {
+    db.when(/FROM tickets WHERE id = \? FOR UPDATE/, [servingTicket])
+      .when(/FROM services WHERE id = \?/, (params, sql) => (/branch_id = \?/.test(sql) && params[1] === 'b1' ? [] : [{ id: 's9' }]));
+
+    const res = await transfer({ target_service_id: 's9' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch('not available in this branch');
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('only transfers tickets from a counter the user is signed in to', async () => {
+    db.when(/FROM tickets WHERE id = \? FOR UPDATE/, [{ ...servingTicket, counter_id: 'c3' }]);
+
+    const res = await transfer({ target_service_id: 's2' });
+
+    expect(res.status).toBe(403);
+    expect(db.connection.rollback).toHaveBeenCalled();
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+
+  it('rejects transferring to the same counter', async () => {
+    db.when(/FROM tickets WHERE id = \? FOR UPDATE/, [servingTicket])
+      .when(/FROM counters WHERE id = \?/, [{ id: 'c1', branch_id: 'b1' }]);
+
+    const res = await transfer({ target_counter_id: 'c1' });
+
+    expect(res.status).toBe(400);
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+  });
+});
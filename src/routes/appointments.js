@@ -0,0 +1,483 @@
+/**
+ * Appointment Routes
+ * Customers reserve a slot ahead of time; check-in turns the
+ * appointment into a ticket
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { query, pool } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const { emitTicketCreated } = require('../socket/socketHandler');
+const { getSystemSettings } = require('../utils/systemSettings');
+const { getSlots, findSlot, countBookings } = require('../utils/appointmentSlots');
+const { getBranchClock, addDays } = require('../utils/businessDate');
+const { issueTicket } = require('../utils/ticketIssuer');
+const { fetchTicket } = require('../utils/ticketQueries');
+const { refreshQueueTracking } = require('../utils/queueTracking');
+
+// Customer routes authenticate by access token, so guessing is rate limited
+const customerLimit = rateLimit({ windowMs: 15 * 60 * 1000, max: 30 });
+
+// Contact details are left out of responses to customers
+const PRIVATE_FIELDS = ['customer_name', 'customer_phone', 'customer_email', 'notes', 'booked_by'];
+
+const hash = value => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+/**
+ * Fetch an appointment with its service and branch names
+ */
+async function fetchAppointment(appointmentId) {
+  const appointments = await query(`
+    SELECT a.*, s.name as service_name, s.prefix as service_prefix, b.name as branch_name
+    FROM appointments a
+    LEFT JOIN services s ON a.service_id = s.id
+    LEFT JOIN branches b ON a.branch_id = b.id
+    WHERE a.id = ?
+  `, [appointmentId]);
+
+  return appointments[0];
+}
+
+/**
+ * Milliseconds for a 'YYYY-MM-DD HH:MM:SS' wall-clock time
+ * Both sides of a difference must be in the same zone.
+ */
+function toWallClockMs(value) {
+  return Date.parse(`${value.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Staff can manage any appointment; customers need its access token
+ */
+function canManage(req, appointment) {
+  if (req.user) {
+    return true;
+  }
+  const token = req.body.access_token;
+  return Boolean(token && appointment.access_token_hash) && hash(token) === appointment.access_token_hash;
+}
+
+/**
+ * Appointment as returned to the caller: never the token hash, and
+ * without contact details unless a staff member is asking
+ */
+function presentAppointment(req, appointment) {
+  const { access_token_hash, ...visible } = appointment;
+  if (!req.user) {
+    PRIVATE_FIELDS.forEach(field => delete visible[field]);
+  }
+  return visible;
+}
+
+/**
+ * Validate a requested slot for booking or rescheduling
+ * Returns an error message, or null when the slot can be booked
+ */
+async function validateSlot(branchId, slot) {
+  if (!slot) {
+    return 'slot_start is not a bookable slot for this service';
+  }
+
+  // Slot times are branch wall-clock
+  const clock = await getBranchClock(branchId);
+
+  if (slot.slot_start <= clock.now) {
+    return 'Slot has already started';
+  }
+
+  const settings = await getSystemSettings(branchId);
+  const lastDay = addDays(clock.date, parseInt(settings.appointment_booking_days_ahead) || 14);
+
+  if (slot.slot_start.slice(0, 10) > lastDay) {
+    return `Appointments can only be booked ${settings.appointment_booking_days_ahead} days ahead`;
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/appointments/slots
+ * Available slots for a service at a branch on a date
+ */
+router.get('/slots', async (req, res) => {
+  try {
+    const { branch_id, service_id, date } = req.query;
+
+    if (!branch_id || !service_id || !date) {
+      return res.status(400).json({ error: 'branch_id, service_id and date are required' });
+    }
+
+    const schedule = await getSlots(branch_id, service_id, date);
+    res.json({ date, ...schedule });
+  } catch (error) {
+    console.error('Error fetching appointment slots:', error);
+    res.status(500).json({ error: 'Failed to fetch appointment slots' });
+  }
+});
+
+/**
+ * GET /api/appointments
+ * List appointments (staff)
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { branch_id, service_id, status, date } = req.query;
+
+    let sql = `
+      SELECT a.*, s.name as service_name, s.prefix as service_prefix
+      FROM appointments a
+      LEFT JOIN services s ON a.service_id = s.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (branch_id) {
+      sql += ' AND a.branch_id = ?';
+      params.push(branch_id);
+    }
+
+    if (service_id) {
+      sql += ' AND a.service_id = ?';
+      params.push(service_id);
+    }
+
+    if (status) {
+      const statuses = status.split(',').map(s => s.trim());
+      sql += ` AND a.status IN (${statuses.map(() => '?').join(',')})`;
+      params.push(...statuses);
+    }
+
+    // Slot times are branch wall-clock, so the date bounds them directly
+    if (date) {
+      sql += ' AND a.slot_start >= ? AND a.slot_start < ?';
+      params.push(date, addDays(date, 1));
+    }
+
+    sql += ' ORDER BY a.slot_start ASC';
+
+    const appointments = await query(sql, params);
+    res.json({ appointments: appointments.map(appointment => presentAppointment(req, appointment)) });
+  } catch (error) {
+    console.error('Error fetching appointments:', error);
+    res.status(500).json({ error: 'Failed to fetch appointments' });
+  }
+});
+
+/**
+ * GET /api/appointments/reference/:code
+ * Look up an appointment by its reference code (staff at the desk)
+ */
+router.get('/reference/:code', authenticateToken, async (req, res) => {
+  try {
+    const rows = await query('SELECT id FROM appointments WHERE reference_code = ?', [req.params.code]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    res.json({ appointment: presentAppointment(req, await fetchAppointment(rows[0].id)) });
+  } catch (error) {
+    console.error('Error fetching appointment:', error);
+    res.status(500).json({ error: 'Failed to fetch appointment' });
+  }
+});
+
+/**
+ * GET /api/appointments/token/:token
+ * Look up an appointment by the access token given at booking (customer)
+ */
+router.get('/token/:token', customerLimit, async (req, res) => {
+  try {
+    const rows = await query('SELECT id FROM appointments WHERE access_token_hash = ?', [hash(req.params.token)]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    res.json({ appointment: presentAppointment(req, await fetchAppointment(rows[0].id)) });
+  } catch (error) {
+    console.error('Error fetching appointment:', error);
+    res.status(500).json({ error: 'Failed to fetch appointment' });
+  }
+});
+
+/**
+ * POST /api/appointments
+ * Book an appointment slot
+ */
+router.post('/', optionalAuth, async (req, res) => {
+  const connection = await pool.getConnection();
+
+  try {
+    const { branch_id, service_id, slot_start, customer_name, customer_phone, customer_email, notes } = req.body;
+
+    if (!branch_id || !service_id || !slot_start || !customer_name) {
+      return res.status(400).json({ error: 'branch_id, service_id, slot_start and customer_name are required' });
+    }
+
+    const services = await query(
+      'SELECT id FROM services WHERE id = ? AND is_active = 1 AND (branch_id = ? OR branch_id IS NULL)',
+      [service_id, branch_id]
+    );
+    if (services.length === 0) {
+      return res.status(400).json({ error: 'Invalid service_id - service is not available in this branch' });
+    }
+
+    const slot = await findSlot(branch_id, service_id, slot_start);
+    const slotError = await validateSlot(branch_id, slot);
+    if (slotError) {
+      return res.status(400).json({ error: slotError });
+    }
+
+    await connection.beginTransaction();
+
+    // Lock the slot's bookings so two customers can't take the last place
+    const booked = await countBookings(connection, {
+      branchId: branch_id,
+      serviceId: service_id,
+      slotStart: slot.slot_start,
+      slotEnd: slot.slot_end
+    });
+
+    if (booked >= slot.capacity) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'Slot is fully booked' });
+    }
+
+    const id = uuidv4();
+    const referenceCode = crypto.randomBytes(4).toString('hex').toUpperCase();
+    const accessToken = crypto.randomBytes(24).toString('hex');
+
+    await connection.execute(
+      `INSERT INTO appointments (
+        id, reference_code, access_token_hash, branch_id, service_id, customer_name, customer_phone,
+        customer_email, slot_start, slot_end, notes, booked_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        referenceCode,
+        hash(accessToken),
+        branch_id,
+        service_id,
+        customer_name,
+        customer_phone || null,
+        customer_email || null,
+        slot.slot_start,
+        slot.slot_end,
+        notes || null,
+        req.user?.id || null
+      ]
+    );
+
+    await connection.commit();
+
+    // The token is only ever shown here; customers need it to manage the booking
+    res.status(201).json({
+      appointment: presentAppointment(req, await fetchAppointment(id)),
+      access_token: accessToken
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error booking appointment:', error);
+    res.status(500).json({ error: 'Failed to book appointment' });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * POST /api/appointments/:id/cancel
+ * Cancel a confirmed appointment
+ */
+router.post('/:id/cancel', optionalAuth, customerLimit, async (req, res) => {
+  try {
+    const appointment = await fetchAppointment(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    if (!canManage(req, appointment)) {
+      return res.status(403).json({ error: 'A valid access_token is required' });
+    }
+
+    if (appointment.status !== 'confirmed') {
+      return res.status(409).json({ error: `Appointment is already ${appointment.status}` });
+    }
+
+    await query(
+      `UPDATE appointments
+       SET status = 'cancelled', cancelled_at = NOW(), cancel_reason = ?
+       WHERE id = ? AND status = 'confirmed'`,
+      [req.body.reason || null, appointment.id]
+    );
+
+    res.json({ appointment: presentAppointment(req, await fetchAppointment(appointment.id)) });
+  } catch (error) {
+    console.error('Error cancelling appointment:', error);
+    res.status(500).json({ error: 'Failed to cancel appointment' });
+  }
+});
+
+/**
+ * POST /api/appointments/:id/reschedule
+ * Move a confirmed appointment to another slot
+ */
+router.post('/:id/reschedule', optionalAuth, customerLimit, async (req, res) => {
+  const connection = await pool.getConnection();
+
+  try {
+    const { slot_start } = req.body;
+    const appointment = await fetchAppointment(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    if (!canManage(req, appointment)) {
+      return res.status(403).json({ error: 'A valid access_token is required' });
+    }
+
+    if (appointment.status !== 'confirmed') {
+      return res.status(409).json({ error: `Appointment is already ${appointment.status}` });
+    }
+
+    if (!slot_start) {
+      return res.status(400).json({ error: 'slot_start is required' });
+    }
+
+    const slot = await findSlot(appointment.branch_id, appointment.service_id, slot_start);
+    const slotError = await validateSlot(appointment.branch_id, slot);
+    if (slotError) {
+      return res.status(400).json({ error: slotError });
+    }
+
+    await connection.beginTransaction();
+
+    const booked = await countBookings(connection, {
+      branchId: appointment.branch_id,
+      serviceId: appointment.service_id,
+      slotStart: slot.slot_start,
+      slotEnd: slot.slot_end,
+      excludeId: appointment.id
+    });
+
+    if (booked >= slot.capacity) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'Slot is fully booked' });
+    }
+
+    await connection.execute(
+      `UPDATE appointments
+       SET slot_start = ?, slot_end = ?, reschedule_count = reschedule_count + 1
+       WHERE id = ? AND status = 'confirmed'`,
+      [slot.slot_start, slot.slot_end, appointment.id]
+    );
+
+    await connection.commit();
+
+    res.json({ appointment: presentAppointment(req, await fetchAppointment(appointment.id)) });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error rescheduling appointment:', error);
+    res.status(500).json({ error: 'Failed to reschedule appointment' });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * POST /api/appointments/:id/check-in
+ * Convert a confirmed appointment into a ticket
+ * Customers arriving around their slot get the appointment priority;
+ * late arrivals beyond the grace period join the regular queue.
+ */
+router.post('/:id/check-in', optionalAuth, customerLimit, async (req, res) => {
+  const connection = await pool.getConnection();
+
+  try {
+    const appointment = await fetchAppointment(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    if (!canManage(req, appointment)) {
+      return res.status(403).json({ error: 'A valid access_token is required' });
+    }
+
+    if (appointment.status !== 'confirmed') {
+      return res.status(409).json({ error: `Appointment is already ${appointment.status}` });
+    }
+
+    const settings = await getSystemSettings(appointment.branch_id);
+    const earlyMinutes = parseInt(settings.appointment_checkin_early_minutes) || 0;
+    const graceMinutes = parseInt(settings.appointment_late_grace_minutes) || 0;
+
+    const { now } = await getBranchClock(appointment.branch_id);
+    const minutesFromStart = Math.floor((toWallClockMs(now) - toWallClockMs(appointment.slot_start)) / 60000);
+
+    if (minutesFromStart < -earlyMinutes) {
+      return res.status(409).json({
+        error: `Check-in opens ${earlyMinutes} minutes before the appointment`,
+        slot_start: appointment.slot_start
+      });
+    }
+
+    const lateMinutes = Math.max(minutesFromStart, 0);
+    const onTime = lateMinutes <= graceMinutes;
+
+    await connection.beginTransaction();
+
+    // Lock the appointment so a double tap can't issue two tickets
+    const [locked] = await connection.execute(
+      'SELECT status FROM appointments WHERE id = ? FOR UPDATE',
+      [appointment.id]
+    );
+
+    if (locked[0].status !== 'confirmed') {
+      await connection.rollback();
+      return res.status(409).json({ error: `Appointment is already ${locked[0].status}` });
+    }
+
+    const { ticketId } = await issueTicket(connection, {
+      serviceId: appointment.service_id,
+      branchId: appointment.branch_id,
+      priorityLevel: onTime ? parseInt(settings.appointment_priority_level) || 0 : 0,
+      customerName: appointment.customer_name,
+      customerPhone: appointment.customer_phone,
+      notes: `Appointment ${appointment.reference_code}`,
+      issuedBy: req.user?.id || null
+    });
+
+    await connection.execute(
+      `UPDATE appointments
+       SET status = 'checked_in', ticket_id = ?, checked_in_at = NOW(), late_minutes = ?
+       WHERE id = ?`,
+      [ticketId, lateMinutes, appointment.id]
+    );
+
+    await connection.commit();
+
+    const ticket = await fetchTicket(ticketId);
+
+    // Emit real-time event
+    const io = req.app.get('io');
+    emitTicketCreated(io, ticket);
+    refreshQueueTracking(io, ticket);
+
+    res.json({ appointment: presentAppointment(req, await fetchAppointment(appointment.id)), ticket, late: !onTime });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error checking in appointment:', error);
+    res.status(500).json({ error: 'Failed to check in appointment' });
+  } finally {
+    connection.release();
+  }
+});
+
+module.exports = router;
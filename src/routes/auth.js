@@ -9,6 +9,8 @@ const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const { authenticateToken } = require('../middleware/auth');
+const { emitCounterUpdated } = require('../socket/socketHandler');
+const { signOutStaff } = require('../utils/counterSessions');
 
 /**
  * POST /api/auth/login
@@ -157,11 +159,24 @@ router.get('/me', authenticateToken, async (req, res) => {
 /**
  * POST /api/auth/logout
  * User logout (client-side token removal)
+ * Signs the user out of their counters so they stop auto-calling tickets.
  */
-router.post('/logout', authenticateToken, (req, res) => {
-  // With JWT, logout is handled client-side by removing the token
-  // This endpoint is here for consistency
-  res.json({ message: 'Logged out successfully' });
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    // With JWT, logout is handled client-side by removing the token
+    const counterIds = await signOutStaff(req.user.id, 'logout');
+
+    const io = req.app.get('io');
+    for (const id of counterIds) {
+      const counters = await query('SELECT * FROM counters WHERE id = ?', [id]);
+      emitCounterUpdated(io, { ...counters[0], session: null });
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
 });
 
 /**
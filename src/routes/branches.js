@@ -3,6 +3,9 @@ const router = express.Router();
 const { query } = require('../config/database');
 const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
 const { v4: uuidv4 } = require('uuid');
+const { closeOutBranch } = require('../utils/queueCloseOut');
+const { isValidTimeZone } = require('../utils/businessDate');
+const { buildDisplayState } = require('../utils/displayState');
 
 router.get('/', optionalAuth, async (req, res) => {
   try {
@@ -15,12 +18,17 @@ router.get('/', optionalAuth, async (req, res) => {
 
 router.post('/', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
-    const { name, mode, settings } = req.body;
+    const { name, code, timezone, mode, settings } = req.body;
+
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone such as Asia/Manila' });
+    }
+
     const id = uuidv4();
     
     await query(
-      'INSERT INTO branches (id, name, mode, settings) VALUES (?, ?, ?, ?)',
-      [id, name, mode || 'hybrid', JSON.stringify(settings || {})]
+      'INSERT INTO branches (id, name, code, timezone, mode, settings) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, name, code || null, timezone || null, mode || 'hybrid', JSON.stringify(settings || {})]
     );
 
     const branches = await query('SELECT * FROM branches WHERE id = ?', [id]);
@@ -32,10 +40,14 @@ router.post('/', authenticateToken, requireRole('admin'), async (req, res) => {
 
 router.patch('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
+    if (req.body.timezone && !isValidTimeZone(req.body.timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone such as Asia/Manila' });
+    }
+
     const updates = [];
     const params = [];
 
-    ['name', 'mode', 'is_active'].forEach(field => {
+    ['name', 'code', 'timezone', 'mode', 'is_active'].forEach(field => {
       if (req.body[field] !== undefined) {
         updates.push(`${field} = ?`);
         params.push(req.body[field]);
@@ -57,4 +69,61 @@ router.patch('/:id', authenticateToken, requireRole('admin'), async (req, res) =
   }
 });
 
+// GET display snapshot: ticket per counter, next waiting per service, recent calls, announcements
+// `version` matches the last display:state pushed, so screens can tell if they missed one
+router.get('/:id/display', optionalAuth, async (req, res) => {
+  try {
+    const branches = await query('SELECT id FROM branches WHERE id = ?', [req.params.id]);
+    if (branches.length === 0) {
+      return res.status(404).json({ error: 'Branch not found' });
+    }
+
+    const { waiting_limit, recent_limit } = req.query;
+    const display = await buildDisplayState(req.params.id, {
+      waitingLimit: waiting_limit,
+      recentLimit: recent_limit
+    });
+
+    res.json({ display });
+  } catch (error) {
+    console.error('Display state error:', error);
+    res.status(500).json({ error: 'Failed to fetch display state' });
+  }
+});
+
+// POST close out the branch's queue now (expires all open tickets)
+router.post('/:id/close-out', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const branches = await query('SELECT id FROM branches WHERE id = ?', [req.params.id]);
+    if (branches.length === 0) {
+      return res.status(404).json({ error: 'Branch not found' });
+    }
+
+    const io = req.app.get('io');
+    const closeout = await closeOutBranch(io, req.params.id, { trigger: 'manual', triggeredBy: req.user.id });
+    res.json({ closeout });
+  } catch (error) {
+    console.error('Close-out error:', error);
+    res.status(500).json({ error: 'Failed to close out branch' });
+  }
+});
+
+// GET close-out history for a branch
+router.get('/:id/close-outs', authenticateToken, async (req, res) => {
+  try {
+    const closeouts = await query(
+      'SELECT * FROM queue_closeouts WHERE branch_id = ? ORDER BY created_at DESC LIMIT 100',
+      [req.params.id]
+    );
+    res.json({
+      closeouts: closeouts.map(closeout => ({
+        ...closeout,
+        summary: typeof closeout.summary === 'string' ? JSON.parse(closeout.summary) : closeout.summary
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch close-outs' });
+  }
+});
+
 module.exports = router;
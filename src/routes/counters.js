@@ -1,9 +1,81 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../config/database');
+const { query, pool } = require('../config/database');
 const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
 const { v4: uuidv4 } = require('uuid');
 const { emitCounterUpdated } = require('../socket/socketHandler');
+const {
+  BREAK_REASONS,
+  SIGN_OUT_REASONS,
+  CounterSessionError,
+  getActiveSession,
+  signIn,
+  signOut,
+  startBreak,
+  endBreak
+} = require('../utils/counterSessions');
+
+const { getBranchTimeZone, getDateRange } = require('../utils/businessDate');
+
+const MANAGER_ROLES = ['admin', 'supervisor'];
+
+/**
+ * Get the services routed to each counter, keyed by counter id
+ */
+async function getCounterServices(counterIds) {
+  if (counterIds.length === 0) {
+    return {};
+  }
+
+  const placeholders = counterIds.map(() => '?').join(',');
+  const rows = await query(
+    `SELECT cs.counter_id, cs.service_id, cs.priority, s.name AS service_name, s.prefix AS service_prefix
+     FROM counter_services cs
+     JOIN services s ON cs.service_id = s.id
+     WHERE cs.counter_id IN (${placeholders})
+     ORDER BY cs.priority DESC, s.name ASC`,
+    counterIds
+  );
+
+  return rows.reduce((grouped, row) => {
+    const { counter_id, ...service } = row;
+    (grouped[counter_id] = grouped[counter_id] || []).push(service);
+    return grouped;
+  }, {});
+}
+
+/**
+ * Counter row with its open session, broadcast to the branch
+ */
+async function publishCounter(req, counterId) {
+  const counters = await query('SELECT * FROM counters WHERE id = ?', [counterId]);
+  const counter = { ...counters[0], session: await getActiveSession(counterId) };
+
+  emitCounterUpdated(req.app.get('io'), counter);
+  return counter;
+}
+
+/**
+ * Send a session error, or a 500 for anything unexpected
+ */
+function sendSessionError(res, error, fallback) {
+  if (error instanceof CounterSessionError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(error);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * Only the signed-in staff member or a manager may change a session
+ */
+async function canManageSession(req, counterId) {
+  if (MANAGER_ROLES.includes(req.user.role)) {
+    return true;
+  }
+  const session = await getActiveSession(counterId);
+  return !session || session.staff_id === req.user.id;
+}
 
 // GET all counters
 router.get('/', optionalAuth, async (req, res) => {
@@ -45,10 +117,12 @@ router.get('/', optionalAuth, async (req, res) => {
     sql += ' ORDER BY c.name ASC';
 
     const counters = await query(sql, params);
+    const servicesByCounter = await getCounterServices(counters.map(counter => counter.id));
     
     // Format response to match frontend expectations
     const formattedCounters = counters.map(counter => ({
       ...counter,
+      services: servicesByCounter[counter.id] || [],
       staff: counter.staff_name ? {
         name: counter.staff_name,
         email: counter.staff_email
@@ -69,30 +143,53 @@ router.get('/', optionalAuth, async (req, res) => {
 
 // POST create counter
 router.post('/', authenticateToken, requireRole('admin', 'supervisor'), async (req, res) => {
+  const connection = await pool.getConnection();
+
   try {
     const { name, branch_id, staff_id, settings } = req.body;
     const id = uuidv4();
-    
-    await query(
-      `INSERT INTO counters (id, name, branch_id, staff_id, settings)
-       VALUES (?, ?, ?, ?, ?)`,
-      [id, name, branch_id, staff_id || null, JSON.stringify(settings || {})]
+
+    await connection.beginTransaction();
+
+    await connection.execute(
+      `INSERT INTO counters (id, name, branch_id, settings)
+       VALUES (?, ?, ?, ?)`,
+      [id, name, branch_id, JSON.stringify(settings || {})]
     );
 
+    // A staff member given up front is signed in so the session is recorded;
+    // if that fails the counter isn't created either
+    if (staff_id) {
+      await signIn(id, staff_id, connection);
+    }
+
+    await connection.commit();
+
     const counters = await query('SELECT * FROM counters WHERE id = ?', [id]);
     res.status(201).json({ counter: counters[0] });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to create counter' });
+    await connection.rollback();
+    sendSessionError(res, error, 'Failed to create counter');
+  } finally {
+    connection.release();
   }
 });
 
 // PATCH update counter
 router.patch('/:id', authenticateToken, async (req, res) => {
   try {
+    // Staffing and pauses are recorded as sessions and breaks
+    if (req.body.staff_id !== undefined || req.body.is_paused !== undefined) {
+      return res.status(400).json({
+        error: 'staff_id and is_paused cannot be set directly - use sign-in, sign-out and breaks'
+      });
+    }
+
     const updates = [];
     const params = [];
 
-    ['name', 'staff_id', 'is_active', 'is_paused'].forEach(field => {
+    // auto_call_next may be null to follow the branch setting again
+    ['name', 'is_active', 'auto_call_next'].forEach(field => {
       if (req.body[field] !== undefined) {
         updates.push(`${field} = ?`);
         params.push(req.body[field]);
@@ -127,19 +224,264 @@ router.patch('/:id', authenticateToken, async (req, res) => {
 });
 
 // POST assign staff to counter
+// Signs the staff member in, closing another member's session as reassigned
 router.post('/:id/assign', authenticateToken, async (req, res) => {
   try {
     const { staff_id } = req.body;
-    
-    await query(
-      'UPDATE counters SET staff_id = ?, is_active = 1, updated_at = NOW() WHERE id = ?',
-      [staff_id, req.params.id]
-    );
 
+    if (!staff_id) {
+      return res.status(400).json({ error: 'staff_id is required' });
+    }
+
+    if (staff_id !== req.user.id && !MANAGER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You can only assign yourself' });
+    }
+
+    const session = await getActiveSession(req.params.id);
+    if (session && session.staff_id !== staff_id && !MANAGER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Another staff member is signed in to this counter' });
+    }
+
+    // Only change the counter once the assignment is allowed
+    await query('UPDATE counters SET is_active = 1, updated_at = NOW() WHERE id = ?', [req.params.id]);
+
+    if (session && session.staff_id !== staff_id) {
+      await signOut(req.params.id, { reason: 'reassigned', signedOutBy: req.user.id });
+    }
+
+    if (!session || session.staff_id !== staff_id) {
+      await signIn(req.params.id, staff_id);
+    }
+
+    res.json({ counter: await publishCounter(req, req.params.id) });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to assign staff');
+  }
+});
+
+// GET services routed to a counter
+router.get('/:id/services', optionalAuth, async (req, res) => {
+  try {
+    const servicesByCounter = await getCounterServices([req.params.id]);
+    res.json({ services: servicesByCounter[req.params.id] || [] });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to fetch counter services' });
+  }
+});
+
+// PUT replace the services routed to a counter
+// An empty list lets the counter call tickets for every service again
+router.put('/:id/services', authenticateToken, requireRole('admin', 'supervisor'), async (req, res) => {
+  const { services } = req.body;
+
+  if (!Array.isArray(services)) {
+    return res.status(400).json({ error: 'services must be an array of { service_id, priority }' });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
     const counters = await query('SELECT * FROM counters WHERE id = ?', [req.params.id]);
-    res.json({ counter: counters[0] });
+    if (counters.length === 0) {
+      return res.status(404).json({ error: 'Counter not found' });
+    }
+
+    const serviceIds = services.map(service => service.service_id);
+    if (serviceIds.some(id => !id) || new Set(serviceIds).size !== serviceIds.length) {
+      return res.status(400).json({ error: 'Each service_id must be provided once' });
+    }
+
+    // Services must be global or belong to the counter's branch
+    if (serviceIds.length > 0) {
+      const placeholders = serviceIds.map(() => '?').join(',');
+      const valid = await query(
+        `SELECT id FROM services
+         WHERE id IN (${placeholders}) AND (branch_id = ? OR branch_id IS NULL)`,
+        [...serviceIds, counters[0].branch_id]
+      );
+      if (valid.length !== serviceIds.length) {
+        return res.status(400).json({ error: 'Invalid service_id - service does not exist in this branch' });
+      }
+    }
+
+    await connection.beginTransaction();
+    await connection.execute('DELETE FROM counter_services WHERE counter_id = ?', [req.params.id]);
+    for (const service of services) {
+      await connection.execute(
+        'INSERT INTO counter_services (counter_id, service_id, priority) VALUES (?, ?, ?)',
+        [req.params.id, service.service_id, parseInt(service.priority) || 0]
+      );
+    }
+    await connection.commit();
+
+    const servicesByCounter = await getCounterServices([req.params.id]);
+    const routedServices = servicesByCounter[req.params.id] || [];
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    emitCounterUpdated(io, { ...counters[0], services: routedServices });
+
+    res.json({ services: routedServices });
+  } catch (error) {
+    await connection.rollback();
+    console.error(error);
+    res.status(500).json({ error: 'Failed to update counter services' });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * GET /api/counters/:id/session
+ * Current session and break for a counter
+ */
+router.get('/:id/session', authenticateToken, async (req, res) => {
+  try {
+    res.json({ session: await getActiveSession(req.params.id) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to fetch counter session' });
+  }
+});
+
+/**
+ * GET /api/counters/:id/sessions?start_date=&end_date=
+ * Staffing history of a counter with the breaks taken in each session
+ */
+router.get('/:id/sessions', authenticateToken, requireRole('admin', 'supervisor'), async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query;
+    const dates = [start_date, end_date].filter(Boolean);
+
+    if (dates.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD' });
+    }
+
+    // Business days in the counter's branch time zone
+    const counters = await query('SELECT branch_id FROM counters WHERE id = ?', [req.params.id]);
+    const timeZone = await getBranchTimeZone(counters[0]?.branch_id);
+
+    let sql = `
+      SELECT s.*, u.name AS staff_name
+      FROM counter_sessions s
+      LEFT JOIN users u ON s.staff_id = u.id
+      WHERE s.counter_id = ?
+    `;
+    const params = [req.params.id];
+
+    if (start_date) {
+      sql += ' AND COALESCE(s.signed_out_at, NOW()) >= ?';
+      params.push(getDateRange(timeZone, start_date).start);
+    }
+
+    if (end_date) {
+      sql += ' AND s.signed_in_at < ?';
+      params.push(getDateRange(timeZone, end_date).end);
+    }
+
+    sql += ' ORDER BY s.signed_in_at DESC LIMIT 200';
+    const sessions = await query(sql, params);
+
+    const breaks = sessions.length > 0
+      ? await query(
+        `SELECT * FROM counter_breaks WHERE session_id IN (${sessions.map(() => '?').join(',')})
+         ORDER BY started_at ASC`,
+        sessions.map(session => session.id)
+      )
+      : [];
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        breaks: breaks.filter(item => item.session_id === session.id)
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to fetch counter sessions' });
+  }
+});
+
+/**
+ * POST /api/counters/:id/sign-in
+ * Sign in to a counter; managers may sign in another staff member
+ */
+router.post('/:id/sign-in', authenticateToken, async (req, res) => {
+  try {
+    const staffId = req.body.staff_id || req.user.id;
+
+    if (staffId !== req.user.id && !MANAGER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You can only sign yourself in' });
+    }
+
+    await signIn(req.params.id, staffId);
+    res.status(201).json({ counter: await publishCounter(req, req.params.id) });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to sign in to counter');
+  }
+});
+
+/**
+ * POST /api/counters/:id/sign-out
+ * Close the counter's session with a reason code
+ */
+router.post('/:id/sign-out', authenticateToken, async (req, res) => {
+  try {
+    const { reason = 'end_of_shift' } = req.body;
+
+    if (!SIGN_OUT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of: ${SIGN_OUT_REASONS.join(', ')}` });
+    }
+
+    if (!(await canManageSession(req, req.params.id))) {
+      return res.status(403).json({ error: 'Another staff member is signed in to this counter' });
+    }
+
+    await signOut(req.params.id, { reason, signedOutBy: req.user.id });
+    res.json({ counter: await publishCounter(req, req.params.id) });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to sign out of counter');
+  }
+});
+
+/**
+ * POST /api/counters/:id/breaks
+ * Start a break; the counter is paused until the break ends
+ */
+router.post('/:id/breaks', authenticateToken, async (req, res) => {
+  try {
+    const { reason_code, note } = req.body;
+
+    if (!BREAK_REASONS.includes(reason_code)) {
+      return res.status(400).json({ error: `reason_code must be one of: ${BREAK_REASONS.join(', ')}` });
+    }
+
+    if (!(await canManageSession(req, req.params.id))) {
+      return res.status(403).json({ error: 'Another staff member is signed in to this counter' });
+    }
+
+    await startBreak(req.params.id, { reasonCode: reason_code, note: note || null });
+    res.status(201).json({ counter: await publishCounter(req, req.params.id) });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to start break');
+  }
+});
+
+/**
+ * POST /api/counters/:id/breaks/end
+ * End the current break and resume the counter
+ */
+router.post('/:id/breaks/end', authenticateToken, async (req, res) => {
+  try {
+    if (!(await canManageSession(req, req.params.id))) {
+      return res.status(403).json({ error: 'Another staff member is signed in to this counter' });
+    }
+
+    await endBreak(req.params.id);
+    res.json({ counter: await publishCounter(req, req.params.id) });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to assign staff' });
+    sendSessionError(res, error, 'Failed to end break');
   }
 });
 
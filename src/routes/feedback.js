@@ -0,0 +1,93 @@
+/**
+ * Feedback Routes
+ * Customers rate a finished ticket once from the counter tablet, using the
+ * token issued to that counter when the ticket was done
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('../config/database');
+
+const MAX_COMMENT_LENGTH = 1000;
+// The token only reaches the counter, so the tablet is the one source for now
+const SOURCES = ['tablet'];
+
+/**
+ * GET /api/feedback/:token
+ * What the feedback form needs to show
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const feedback = await query(
+      `SELECT f.ticket_id, f.rating, f.submitted_at,
+              t.ticket_number, s.name as service_name, c.name as counter_name,
+              b.name as branch_name, u.name as staff_name
+       FROM ticket_feedback f
+       JOIN tickets t ON f.ticket_id = t.id
+       LEFT JOIN services s ON f.service_id = s.id
+       LEFT JOIN counters c ON f.counter_id = c.id
+       LEFT JOIN branches b ON f.branch_id = b.id
+       LEFT JOIN users u ON f.served_by = u.id
+       WHERE f.token = ?`,
+      [req.params.token]
+    );
+
+    if (feedback.length === 0) {
+      return res.status(404).json({ error: 'Feedback request not found' });
+    }
+
+    const { submitted_at, ...details } = feedback[0];
+    res.json({ feedback: { ...details, submitted: submitted_at !== null } });
+  } catch (error) {
+    console.error('Error fetching feedback request:', error);
+    res.status(500).json({ error: 'Failed to fetch feedback request' });
+  }
+});
+
+/**
+ * POST /api/feedback/:token
+ * Submit a 1-5 rating and optional comment (once per ticket)
+ */
+router.post('/:token', async (req, res) => {
+  try {
+    const { rating, comment, source } = req.body;
+    const score = Number(rating);
+
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      return res.status(400).json({ error: 'rating must be a whole number from 1 to 5' });
+    }
+
+    if (comment && String(comment).length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `comment must be at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    if (source && !SOURCES.includes(source)) {
+      return res.status(400).json({ error: `source must be one of: ${SOURCES.join(', ')}` });
+    }
+
+    const existing = await query('SELECT id, submitted_at FROM ticket_feedback WHERE token = ?', [req.params.token]);
+
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Feedback request not found' });
+    }
+
+    // Only the first submission counts
+    const result = await query(
+      `UPDATE ticket_feedback
+       SET rating = ?, comment = ?, source = ?, submitted_at = NOW()
+       WHERE id = ? AND submitted_at IS NULL`,
+      [score, comment ? String(comment).trim() : null, source || null, existing[0].id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: 'Feedback has already been submitted for this ticket' });
+    }
+
+    res.status(201).json({ success: true, message: 'Thank you for your feedback' });
+  } catch (error) {
+    console.error('Error submitting feedback:', error);
+    res.status(500).json({ error: 'Failed to submit feedback' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+/**
+ * Notification Routes
+ * Per-branch SMS templates and the delivery log
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { v4: uuidv4 } = require('uuid');
+const { EVENT_TYPES, DEFAULT_TEMPLATES } = require('../notifications/templates');
+
+/**
+ * GET /api/notifications/templates?branch_id=
+ * Effective template per event and where it comes from
+ */
+router.get('/templates', authenticateToken, requireRole('admin', 'supervisor'), async (req, res) => {
+  try {
+    const { branch_id } = req.query;
+
+    const rows = await query(
+      `SELECT * FROM notification_templates
+       WHERE branch_id IS NULL OR branch_id = ?
+       ORDER BY branch_id IS NULL ASC`,
+      [branch_id || null]
+    );
+
+    const templates = EVENT_TYPES.map(eventType => {
+      const template = rows.find(row => row.event_type === eventType);
+      return {
+        event_type: eventType,
+        body: template ? template.body : DEFAULT_TEMPLATES[eventType],
+        source: !template ? 'default' : template.branch_id ? 'branch' : 'global'
+      };
+    });
+
+    res.json({ templates });
+  } catch (error) {
+    console.error('Error fetching notification templates:', error);
+    res.status(500).json({ error: 'Failed to fetch notification templates' });
+  }
+});
+
+/**
+ * PUT /api/notifications/templates/:eventType
+ * Set the template for a branch (or globally when branch_id is empty)
+ */
+router.put('/templates/:eventType', authenticateToken, requireRole('admin', 'supervisor'), async (req, res) => {
+  try {
+    const { eventType } = req.params;
+    const { branch_id, body } = req.body;
+
+    if (!EVENT_TYPES.includes(eventType)) {
+      return res.status(400).json({ error: `event type must be one of: ${EVENT_TYPES.join(', ')}` });
+    }
+
+    if (!body || !String(body).trim()) {
+      return res.status(400).json({ error: 'body is required' });
+    }
+
+    // NULL never matches the unique key, so look the global row up explicitly
+    const existing = await query(
+      'SELECT id FROM notification_templates WHERE event_type = ? AND branch_id <=> ?',
+      [eventType, branch_id || null]
+    );
+
+    if (existing.length > 0) {
+      await query('UPDATE notification_templates SET body = ? WHERE id = ?', [String(body).trim(), existing[0].id]);
+    } else {
+      await query(
+        'INSERT INTO notification_templates (id, branch_id, event_type, body) VALUES (?, ?, ?, ?)',
+        [uuidv4(), branch_id || null, eventType, String(body).trim()]
+      );
+    }
+
+    const templates = await query(
+      'SELECT * FROM notification_templates WHERE event_type = ? AND branch_id <=> ?',
+      [eventType, branch_id || null]
+    );
+    res.json({ template: templates[0] });
+  } catch (error) {
+    console.error('Error saving notification template:', error);
+    res.status(500).json({ error: 'Failed to save notification template' });
+  }
+});
+
+/**
+ * GET /api/notifications/log
+ * Notifications with every delivery attempt, newest first
+ */
+router.get('/log', authenticateToken, requireRole('admin', 'supervisor'), async (req, res) => {
+  try {
+    const { branch_id, ticket_id, status, limit } = req.query;
+
+    let sql = `
+      SELECT n.*, t.ticket_number
+      FROM notifications n
+      LEFT JOIN tickets t ON n.ticket_id = t.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (branch_id) {
+      sql += ' AND n.branch_id = ?';
+      params.push(branch_id);
+    }
+
+    if (ticket_id) {
+      sql += ' AND n.ticket_id = ?';
+      params.push(ticket_id);
+    }
+
+    if (status) {
+      sql += ' AND n.status = ?';
+      params.push(status);
+    }
+
+    const maxRows = Math.min(parseInt(limit) || 100, 500);
+    sql += ` ORDER BY n.created_at DESC LIMIT ${maxRows}`;
+
+    const notifications = await query(sql, params);
+
+    const ids = notifications.map(notification => notification.id);
+    const attempts = ids.length === 0 ? [] : await query(
+      `SELECT * FROM notification_attempts
+       WHERE notification_id IN (${ids.map(() => '?').join(',')})
+       ORDER BY id ASC`,
+      ids
+    );
+
+    res.json({
+      notifications: notifications.map(notification => ({
+        ...notification,
+        attempts_log: attempts.filter(attempt => attempt.notification_id === notification.id)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching notification log:', error);
+    res.status(500).json({ error: 'Failed to fetch notification log' });
+  }
+});
+
+module.exports = router;
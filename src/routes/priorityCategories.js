@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('../config/database');
+const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
+const { v4: uuidv4 } = require('uuid');
+
+// Convert TINYINT flags to booleans
+function formatCategory(category) {
+  return {
+    ...category,
+    allow_self_service: Boolean(category.allow_self_service),
+    is_active: Boolean(category.is_active)
+  };
+}
+
+// GET priority categories (a branch sees its own plus the global ones)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { branch_id, is_active } = req.query;
+    let sql = 'SELECT * FROM priority_categories WHERE 1=1';
+    const params = [];
+
+    if (branch_id) {
+      sql += ' AND (branch_id = ? OR branch_id IS NULL)';
+      params.push(branch_id);
+    }
+
+    if (is_active !== undefined) {
+      sql += ' AND is_active = ?';
+      params.push(is_active === 'true' ? 1 : 0);
+    }
+
+    sql += ' ORDER BY priority_level DESC, name ASC';
+    const categories = await query(sql, params);
+    res.json({ priority_categories: categories.map(formatCategory) });
+  } catch (error) {
+    console.error('Error fetching priority categories:', error);
+    res.status(500).json({ error: 'Failed to fetch priority categories' });
+  }
+});
+
+// POST create priority category
+router.post('/', authenticateToken, requireRole('admin', 'supervisor'), async (req, res) => {
+  try {
+    const { branch_id, code, name, priority_level, allow_self_service } = req.body;
+
+    if (!code || !name) {
+      return res.status(400).json({ error: 'Code and name are required' });
+    }
+
+    const level = parseInt(priority_level) || 1;
+    if (level < 1) {
+      return res.status(400).json({ error: 'priority_level must be at least 1' });
+    }
+
+    const id = uuidv4();
+
+    await query(
+      `INSERT INTO priority_categories (id, branch_id, code, name, priority_level, allow_self_service)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, branch_id || null, code, name, level, allow_self_service ? 1 : 0]
+    );
+
+    const categories = await query('SELECT * FROM priority_categories WHERE id = ?', [id]);
+    res.status(201).json({ priority_category: formatCategory(categories[0]) });
+  } catch (error) {
+    console.error('Error creating priority category:', error);
+
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'Priority category code already exists' });
+    }
+
+    res.status(500).json({ error: 'Failed to create priority category', details: error.message });
+  }
+});
+
+// PATCH update priority category
+router.patch('/:id', authenticateToken, requireRole('admin', 'supervisor'), async (req, res) => {
+  try {
+    const existing = await query('SELECT id FROM priority_categories WHERE id = ?', [req.params.id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Priority category not found' });
+    }
+
+    if (req.body.priority_level !== undefined && !(parseInt(req.body.priority_level) >= 1)) {
+      return res.status(400).json({ error: 'priority_level must be at least 1' });
+    }
+
+    const updates = [];
+    const params = [];
+
+    ['code', 'name', 'priority_level'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(req.body[field]);
+      }
+    });
+
+    ['allow_self_service', 'is_active'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(req.body[field] ? 1 : 0);
+      }
+    });
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No updates provided' });
+    }
+
+    params.push(req.params.id);
+    await query(`UPDATE priority_categories SET ${updates.join(', ')}, updated_at = NOW() WHERE id = ?`, params);
+
+    const categories = await query('SELECT * FROM priority_categories WHERE id = ?', [req.params.id]);
+    res.json({ priority_category: formatCategory(categories[0]) });
+  } catch (error) {
+    console.error('Error updating priority category:', error);
+
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'Priority category code already exists' });
+    }
+
+    res.status(500).json({ error: 'Failed to update priority category', details: error.message });
+  }
+});
+
+// DELETE priority category
+router.delete('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const existing = await query('SELECT id FROM priority_categories WHERE id = ?', [req.params.id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Priority category not found' });
+    }
+
+    // Keep categories that tickets refer to so reports stay intact
+    const tickets = await query('SELECT COUNT(*) as count FROM tickets WHERE priority_category_id = ?', [req.params.id]);
+    if (tickets[0].count > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete priority category',
+        details: `This category is used by ${tickets[0].count} ticket(s). Please deactivate instead of deleting.`
+      });
+    }
+
+    await query('DELETE FROM priority_categories WHERE id = ?', [req.params.id]);
+    res.json({ success: true, message: 'Priority category deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting priority category:', error);
+    res.status(500).json({ error: 'Failed to delete priority category', details: error.message });
+  }
+});
+
+module.exports = router;
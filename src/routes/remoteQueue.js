@@ -0,0 +1,321 @@
+/**
+ * Remote Queue Routes
+ * Customers verify their phone, join a hybrid branch's queue before
+ * arriving, and check in on site (kiosk or QR scan) to become callable
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { query, pool } = require('../config/database');
+const { emitTicketCreated, emitTicketUpdated, emitTicketDeleted } = require('../socket/socketHandler');
+const { getSystemSettings } = require('../utils/systemSettings');
+const { buildTransition } = require('../utils/ticketStateMachine');
+const { issueTicket } = require('../utils/ticketIssuer');
+const { fetchTicket } = require('../utils/ticketQueries');
+const { getTicketTracking, refreshQueueTracking } = require('../utils/queueTracking');
+const { getRefusalReasons } = require('../utils/issuancePolicy');
+const { recordTicketEvent } = require('../utils/ticketEvents');
+const { getBranchClock } = require('../utils/businessDate');
+const { getProvider } = require('../notifications/providers');
+const {
+  VerificationError,
+  normalizePhone,
+  createVerification,
+  checkVerification,
+  consumeVerification
+} = require('../utils/phoneVerification');
+
+// Branch modes that accept remote joins
+const REMOTE_JOIN_MODES = ['hybrid'];
+const CHECK_IN_METHODS = ['kiosk', 'qr'];
+
+const hash = value => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+/**
+ * Today's on-site check-in code for a branch
+ * Shown on the kiosk and the entrance QR; it changes daily so a code
+ * copied from the branch can't be used from home the next day.
+ */
+function getCheckInCode(branchId, businessDate) {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${branchId}:${businessDate}`)
+    .digest('hex')
+    .slice(0, 10);
+}
+
+/**
+ * Load a branch that accepts remote joins, or null
+ */
+async function getRemoteBranch(branchId) {
+  const branches = await query('SELECT id, name, mode FROM branches WHERE id = ? AND is_active = 1', [branchId]);
+  const branch = branches[0];
+  return branch && REMOTE_JOIN_MODES.includes(branch.mode) ? branch : null;
+}
+
+/**
+ * POST /api/remote-queue/verify
+ * Send a one-time code to the customer's phone
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { branch_id } = req.body;
+    const phone = normalizePhone(req.body.phone);
+
+    if (!branch_id || !phone) {
+      return res.status(400).json({ error: 'branch_id and a valid phone are required' });
+    }
+
+    if (!(await getRemoteBranch(branch_id))) {
+      return res.status(403).json({ error: 'This branch does not accept remote queue joins', reason: 'remote_join_disabled' });
+    }
+
+    const verification = await createVerification({ phone, branchId: branch_id, ipAddress: req.ip });
+    const settings = await getSystemSettings(branch_id);
+
+    await getProvider().send({
+      to: phone,
+      message: `${settings.organization_name}: your verification code is ${verification.code}`
+    });
+
+    res.status(201).json({
+      verification_id: verification.id,
+      expires_in_seconds: verification.expiresInSeconds
+    });
+  } catch (error) {
+    if (error instanceof VerificationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error sending verification code:', error);
+    res.status(500).json({ error: 'Failed to send verification code' });
+  }
+});
+
+/**
+ * POST /api/remote-queue/join
+ * Verify the code and issue a remote ticket
+ * The code is only used up when the ticket is issued, so a refused join can be retried.
+ */
+router.post('/join', async (req, res) => {
+  const connection = await pool.getConnection();
+
+  try {
+    const { verification_id, code, service_id, customer_name, notify_opt_in = false } = req.body;
+
+    if (!verification_id || !code || !service_id) {
+      return res.status(400).json({ error: 'verification_id, code and service_id are required' });
+    }
+
+    const verification = await checkVerification(verification_id, code);
+    const branchId = verification.branch_id;
+
+    if (!(await getRemoteBranch(branchId))) {
+      return res.status(403).json({ error: 'This branch does not accept remote queue joins', reason: 'remote_join_disabled' });
+    }
+
+    const services = await query(
+      'SELECT id FROM services WHERE id = ? AND is_active = 1 AND (branch_id = ? OR branch_id IS NULL)',
+      [service_id, branchId]
+    );
+    if (services.length === 0) {
+      return res.status(400).json({ error: 'Invalid service_id - service is not available in this branch' });
+    }
+
+    // Same rules as walk-in tickets, without the staff override
+    const refusalReasons = await getRefusalReasons(branchId, service_id);
+    if (refusalReasons.length > 0) {
+      return res.status(403).json({ error: 'Ticket issuance is not available', reasons: refusalReasons, can_override: false });
+    }
+
+    const openRemote = await query(
+      "SELECT id FROM tickets WHERE branch_id = ? AND customer_phone = ? AND status = 'remote'",
+      [branchId, verification.phone]
+    );
+    if (openRemote.length > 0) {
+      return res.status(409).json({ error: 'This phone already has a remote ticket at this branch' });
+    }
+
+    const checkInToken = crypto.randomBytes(24).toString('hex');
+
+    await connection.beginTransaction();
+
+    const { ticketId } = await issueTicket(connection, {
+      serviceId: service_id,
+      branchId,
+      customerName: customer_name || null,
+      customerPhone: verification.phone,
+      notifyOptIn: Boolean(notify_opt_in),
+      status: 'remote'
+    });
+
+    await connection.execute(
+      'UPDATE tickets SET check_in_token_hash = ? WHERE id = ?',
+      [hash(checkInToken), ticketId]
+    );
+
+    // Used up last, so the code survives any earlier failure
+    await consumeVerification(connection, verification_id);
+
+    await connection.commit();
+
+    const ticket = await fetchTicket(ticketId);
+
+    // Emit real-time event
+    const io = req.app.get('io');
+    emitTicketCreated(io, ticket);
+
+    res.status(201).json({ ticket, check_in_token: checkInToken });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof VerificationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error joining remote queue:', error);
+    res.status(500).json({ error: 'Failed to join queue' });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * GET /api/remote-queue/check-in-code?branch_id=
+ * Today's check-in code for kiosks and the entrance QR
+ */
+router.get('/check-in-code', authenticateToken, async (req, res) => {
+  try {
+    const { branch_id } = req.query;
+
+    if (!branch_id) {
+      return res.status(400).json({ error: 'branch_id is required' });
+    }
+
+    const { date } = await getBranchClock(branch_id);
+    res.json({ branch_id, code: getCheckInCode(branch_id, date), valid_for: date });
+  } catch (error) {
+    console.error('Check-in code error:', error);
+    res.status(500).json({ error: 'Failed to get check-in code' });
+  }
+});
+
+/**
+ * POST /api/remote-queue/check-in
+ * Move a remote ticket into the callable queue once the customer is on site
+ * Needs today's branch check-in code, unless a staff member checks them in.
+ */
+router.post('/check-in', optionalAuth, async (req, res) => {
+  try {
+    const { check_in_token, branch_id, check_in_code, method = 'qr' } = req.body;
+
+    if (!check_in_token || !branch_id) {
+      return res.status(400).json({ error: 'check_in_token and branch_id are required' });
+    }
+
+    if (!CHECK_IN_METHODS.includes(method)) {
+      return res.status(400).json({ error: `method must be one of: ${CHECK_IN_METHODS.join(', ')}` });
+    }
+
+    const { date: businessDate } = await getBranchClock(branch_id);
+    if (!req.user && check_in_code !== getCheckInCode(branch_id, businessDate)) {
+      return res.status(403).json({ error: 'Invalid check-in code - please scan the code at the branch' });
+    }
+
+    const tickets = await query(
+      'SELECT id, status, counter_id, branch_id FROM tickets WHERE check_in_token_hash = ?',
+      [hash(check_in_token)]
+    );
+
+    if (tickets.length === 0 || tickets[0].branch_id !== branch_id) {
+      return res.status(404).json({ error: 'Ticket not found at this branch' });
+    }
+
+    if (tickets[0].status !== 'remote') {
+      return res.status(409).json({ error: 'Ticket is already checked in or closed' });
+    }
+
+    // The customer joins the line at check-in time, not when they booked from home
+    const { updates, params } = buildTransition(tickets[0], 'waiting');
+    const result = await query(
+      `UPDATE tickets
+       SET ${updates.join(', ')}, queued_at = NOW(), checked_in_at = NOW(), check_in_method = ?
+       WHERE id = ? AND status = 'remote'`,
+      [...params, method, tickets[0].id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: 'Ticket was modified by another request, please retry' });
+    }
+
+    await recordTicketEvent({
+      ticketId: tickets[0].id,
+      type: 'checked_in',
+      actorId: req.user?.id || null,
+      fromStatus: 'remote',
+      toStatus: 'waiting',
+      metadata: { method }
+    });
+
+    const ticket = await fetchTicket(tickets[0].id);
+
+    // Emit real-time event
+    const io = req.app.get('io');
+    emitTicketUpdated(io, ticket);
+    refreshQueueTracking(io, ticket);
+
+    res.json({ ticket, tracking: await getTicketTracking(ticket.id) });
+  } catch (error) {
+    console.error('Error checking in remote ticket:', error);
+    res.status(500).json({ error: 'Failed to check in' });
+  }
+});
+
+/**
+ * POST /api/remote-queue/cancel
+ * Customer gives up a remote ticket before checking in
+ */
+router.post('/cancel', async (req, res) => {
+  try {
+    const { check_in_token } = req.body;
+
+    if (!check_in_token) {
+      return res.status(400).json({ error: 'check_in_token is required' });
+    }
+
+    const tickets = await query(
+      'SELECT id, status, counter_id, branch_id, service_id FROM tickets WHERE check_in_token_hash = ?',
+      [hash(check_in_token)]
+    );
+
+    if (tickets.length === 0 || tickets[0].status !== 'remote') {
+      return res.status(404).json({ error: 'No remote ticket to cancel' });
+    }
+
+    const { updates, params } = buildTransition(tickets[0], 'cancelled');
+    const result = await query(
+      `UPDATE tickets SET ${updates.join(', ')} WHERE id = ? AND status = 'remote'`,
+      [...params, tickets[0].id]
+    );
+
+    if (result.affectedRows > 0) {
+      await recordTicketEvent({
+        ticketId: tickets[0].id,
+        type: 'cancelled',
+        fromStatus: 'remote',
+        toStatus: 'cancelled',
+        metadata: { by: 'customer' }
+      });
+
+      // Emit real-time event
+      const io = req.app.get('io');
+      emitTicketDeleted(io, tickets[0].id, tickets[0].branch_id);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling remote ticket:', error);
+    res.status(500).json({ error: 'Failed to cancel ticket' });
+  }
+});
+
+module.exports = router;
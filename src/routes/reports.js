@@ -2,12 +2,64 @@ const express = require('express');
 const router = express.Router();
 const { query } = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { getBranchTimeZone, getBusinessDate, getDateRange, toBranchTimeSql } = require('../utils/businessDate');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Date part of a YYYY-MM-DD date or ISO datetime, or null
+ * Reports cover whole business days, so the time (and any offset) is
+ * dropped rather than converted.
+ */
+function toReportDate(value) {
+  if (DATE_PATTERN.test(value)) {
+    return value;
+  }
+
+  const match = typeof value === 'string' && value.match(DATETIME_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Resolve a report's business-day period in the branch's time zone
+ * Returns null when the dates are neither YYYY-MM-DD nor ISO datetimes.
+ */
+async function getReportPeriod(branchId, startValue, endValue) {
+  const startDate = toReportDate(startValue);
+  const endDate = toReportDate(endValue);
+  if (!startDate || !endDate) {
+    return null;
+  }
+
+  const timeZone = await getBranchTimeZone(branchId);
+  const { start, end } = getDateRange(timeZone, startDate, endDate);
+
+  // Expression for a column's wall-clock time in the branch
+  const local = column => toBranchTimeSql(column, timeZone);
+
+  return { timeZone, start, end, local };
+}
 
 // GET /api/reports/stats - Dashboard stats
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
     const { branch_id, date } = req.query;
-    const today = date || new Date().toISOString().split('T')[0];
+    const timeZone = await getBranchTimeZone(branch_id);
+    const today = date || getBusinessDate(timeZone);
+
+    if (!DATE_PATTERN.test(today)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    const day = getDateRange(timeZone, today);
+    let ticketFilter = 'created_at >= ? AND created_at < ?';
+    const ticketParams = [day.start, day.end];
+
+    if (branch_id) {
+      ticketFilter += ' AND branch_id = ?';
+      ticketParams.push(branch_id);
+    }
     
     // Get counts from different tables
     const branches = await query('SELECT COUNT(*) as count FROM branches WHERE is_active = 1');
@@ -17,16 +69,16 @@ router.get('/stats', authenticateToken, async (req, res) => {
     
     // Get today's tickets
     const ticketsToday = await query(
-      `SELECT COUNT(*) as count FROM tickets WHERE DATE(created_at) = ?`,
-      [today]
+      `SELECT COUNT(*) as count FROM tickets WHERE ${ticketFilter}`,
+      ticketParams
     );
     
     // Get average wait time (in seconds)
     const avgWait = await query(
       `SELECT AVG(TIMESTAMPDIFF(SECOND, created_at, started_at)) as avg_time 
        FROM tickets 
-       WHERE DATE(created_at) = ? AND started_at IS NOT NULL`,
-      [today]
+       WHERE ${ticketFilter} AND started_at IS NOT NULL`,
+      ticketParams
     );
     
     res.json({
@@ -52,20 +104,34 @@ router.get('/daily-summary', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'branch_id, start_date, and end_date are required' });
     }
 
+    const period = await getReportPeriod(branch_id, start_date, end_date);
+    if (!period) {
+      return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD dates or ISO datetimes' });
+    }
+
     const dailySummary = await query(
       `SELECT 
-        DATE(created_at) as date,
+        DATE(${period.local('created_at')}) as date,
         COUNT(*) as total_tickets,
         SUM(CASE WHEN status = 'done' THEN 1 ELSE 0 END) as completed,
         SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled,
         SUM(CASE WHEN status = 'skipped' THEN 1 ELSE 0 END) as skipped,
+        SUM(CASE WHEN status = 'expired' THEN 1 ELSE 0 END) as expired,
         SUM(CASE WHEN status = 'waiting' THEN 1 ELSE 0 END) as waiting,
+        SUM(CASE WHEN status = 'called' THEN 1 ELSE 0 END) as called,
         SUM(CASE WHEN status = 'serving' THEN 1 ELSE 0 END) as serving,
+        SUM(CASE WHEN status = 'on_hold' THEN 1 ELSE 0 END) as on_hold,
+        SUM(CASE WHEN no_show_at IS NOT NULL THEN 1 ELSE 0 END) as no_shows,
+        SUM(CASE WHEN no_show_at IS NOT NULL AND status <> 'skipped' THEN 1 ELSE 0 END) as late_returns,
+        SUM(CASE WHEN recall_count > 0 THEN 1 ELSE 0 END) as recalled_tickets,
+        SUM(recall_count) as total_recalls,
         AVG(CASE 
           WHEN status = 'done' AND started_at IS NOT NULL AND ended_at IS NOT NULL 
-          THEN TIMESTAMPDIFF(SECOND, started_at, ended_at) 
+          THEN TIMESTAMPDIFF(SECOND, started_at, ended_at) - hold_seconds 
           ELSE NULL 
         END) as avg_service_time,
+        SUM(CASE WHEN hold_count > 0 THEN 1 ELSE 0 END) as held_tickets,
+        SUM(hold_seconds) as total_hold_time,
         AVG(CASE 
           WHEN started_at IS NOT NULL 
           THEN TIMESTAMPDIFF(SECOND, created_at, started_at) 
@@ -73,13 +139,37 @@ router.get('/daily-summary', authenticateToken, async (req, res) => {
         END) as avg_wait_time
       FROM tickets
       WHERE branch_id = ?
-        AND DATE(created_at) BETWEEN ? AND ?
-      GROUP BY DATE(created_at)
+        AND created_at >= ? AND created_at < ?
+      GROUP BY date
       ORDER BY date ASC`,
-      [branch_id, start_date, end_date]
+      [branch_id, period.start, period.end]
+    );
+
+    // Same period broken down by priority lane (regular tickets have no category)
+    const byPriorityCategory = await query(
+      `SELECT 
+        DATE(${period.local('t.created_at')}) as date,
+        COALESCE(pc.code, 'regular') as category_code,
+        COALESCE(pc.name, 'Regular') as category_name,
+        COUNT(*) as total_tickets,
+        SUM(CASE WHEN t.status = 'done' THEN 1 ELSE 0 END) as completed,
+        SUM(CASE WHEN t.status = 'cancelled' THEN 1 ELSE 0 END) as cancelled,
+        SUM(CASE WHEN t.status = 'skipped' THEN 1 ELSE 0 END) as skipped,
+        AVG(CASE 
+          WHEN t.started_at IS NOT NULL 
+          THEN TIMESTAMPDIFF(SECOND, t.created_at, t.started_at) 
+          ELSE NULL 
+        END) as avg_wait_time
+      FROM tickets t
+      LEFT JOIN priority_categories pc ON t.priority_category_id = pc.id
+      WHERE t.branch_id = ?
+        AND t.created_at >= ? AND t.created_at < ?
+      GROUP BY date, pc.code, pc.name
+      ORDER BY date ASC, category_code ASC`,
+      [branch_id, period.start, period.end]
     );
 
-    res.json({ daily_summary: dailySummary });
+    res.json({ daily_summary: dailySummary, by_priority_category: byPriorityCategory });
   } catch (error) {
     console.error('Daily summary error:', error);
     res.status(500).json({ error: 'Failed to fetch daily summary', details: error.message });
@@ -95,35 +185,41 @@ router.get('/staff-performance', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'branch_id, start_date, and end_date are required' });
     }
 
+    const period = await getReportPeriod(branch_id, start_date, end_date);
+    if (!period) {
+      return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD dates or ISO datetimes' });
+    }
+
     const staffPerformance = await query(
       `SELECT 
         t.served_by as staff_id,
         u.name as staff_name,
         c.name as counter_name,
-        DATE(t.created_at) as date,
+        DATE(${period.local('t.created_at')}) as date,
         COUNT(*) as tickets_served,
         SUM(CASE WHEN t.status = 'done' THEN 1 ELSE 0 END) as completed,
         AVG(CASE 
           WHEN t.status = 'done' AND t.started_at IS NOT NULL AND t.ended_at IS NOT NULL 
-          THEN TIMESTAMPDIFF(SECOND, t.started_at, t.ended_at) 
+          THEN TIMESTAMPDIFF(SECOND, t.started_at, t.ended_at) - t.hold_seconds 
           ELSE NULL 
         END) as avg_service_time,
+        SUM(t.hold_seconds) as total_hold_time,
         SUM(CASE WHEN t.transferred_from_counter_id IS NOT NULL THEN 1 ELSE 0 END) as tickets_transferred_in,
         (SELECT COUNT(*) 
          FROM tickets t2 
          WHERE t2.transferred_by = t.served_by 
            AND t2.branch_id = ?
-           AND DATE(t2.created_at) BETWEEN ? AND ?
+           AND t2.created_at >= ? AND t2.created_at < ?
         ) as tickets_transferred_out
       FROM tickets t
       LEFT JOIN users u ON t.served_by = u.id
       LEFT JOIN counters c ON t.counter_id = c.id
       WHERE t.branch_id = ?
         AND t.served_by IS NOT NULL
-        AND DATE(t.created_at) BETWEEN ? AND ?
-      GROUP BY t.served_by, u.name, c.name, DATE(t.created_at)
+        AND t.created_at >= ? AND t.created_at < ?
+      GROUP BY t.served_by, u.name, c.name, date
       ORDER BY date DESC, tickets_served DESC`,
-      [branch_id, start_date, end_date, branch_id, start_date, end_date]
+      [branch_id, period.start, period.end, branch_id, period.start, period.end]
     );
 
     res.json({ staff_performance: staffPerformance });
@@ -133,6 +229,265 @@ router.get('/staff-performance', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/reports/staff-utilization - Serving, idle and break time per staff member and counter
+router.get('/staff-utilization', authenticateToken, async (req, res) => {
+  try {
+    const { branch_id, start_date, end_date } = req.query;
+    
+    if (!branch_id || !start_date || !end_date) {
+      return res.status(400).json({ error: 'branch_id, start_date, and end_date are required' });
+    }
+
+    const period = await getReportPeriod(branch_id, start_date, end_date);
+    if (!period) {
+      return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD dates or ISO datetimes' });
+    }
+
+    // Signed-in time, clipped to the period (open sessions count up to now)
+    const sessions = await query(
+      `SELECT 
+        s.staff_id,
+        u.name as staff_name,
+        s.counter_id,
+        c.name as counter_name,
+        COUNT(*) as sessions,
+        SUM(TIMESTAMPDIFF(SECOND, GREATEST(s.signed_in_at, ?), LEAST(COALESCE(s.signed_out_at, NOW()), ?))) as signed_in_time
+      FROM counter_sessions s
+      LEFT JOIN users u ON s.staff_id = u.id
+      LEFT JOIN counters c ON s.counter_id = c.id
+      WHERE s.branch_id = ?
+        AND s.signed_in_at < ? AND COALESCE(s.signed_out_at, NOW()) > ?
+      GROUP BY s.staff_id, u.name, s.counter_id, c.name`,
+      [period.start, period.end, branch_id, period.end, period.start]
+    );
+
+    const breaks = await query(
+      `SELECT 
+        b.staff_id,
+        b.counter_id,
+        b.reason_code,
+        COUNT(*) as breaks,
+        SUM(TIMESTAMPDIFF(SECOND, GREATEST(b.started_at, ?), LEAST(COALESCE(b.ended_at, NOW()), ?))) as break_time
+      FROM counter_breaks b
+      JOIN counter_sessions s ON b.session_id = s.id
+      WHERE s.branch_id = ?
+        AND b.started_at < ? AND COALESCE(b.ended_at, NOW()) > ?
+      GROUP BY b.staff_id, b.counter_id, b.reason_code`,
+      [period.start, period.end, branch_id, period.end, period.start]
+    );
+
+    // Multi-step tickets count once per finished step
+    const serving = await query(
+      `SELECT 
+        served.served_by as staff_id,
+        u.name as staff_name,
+        served.counter_id,
+        c.name as counter_name,
+        COUNT(*) as tickets_served,
+        SUM(served.duration) as serving_time
+      FROM (
+        SELECT served_by, counter_id, TIMESTAMPDIFF(SECOND, started_at, ended_at) - hold_seconds as duration
+        FROM tickets
+        WHERE branch_id = ? AND total_steps = 1 AND status IN ('done', 'skipped')
+          AND served_by IS NOT NULL AND started_at IS NOT NULL
+          AND ended_at >= ? AND ended_at < ?
+        UNION ALL
+        SELECT ts.served_by, ts.counter_id, TIMESTAMPDIFF(SECOND, ts.started_at, ts.ended_at) - ts.hold_seconds
+        FROM ticket_steps ts
+        JOIN tickets t ON ts.ticket_id = t.id
+        WHERE t.branch_id = ? AND ts.served_by IS NOT NULL AND ts.started_at IS NOT NULL
+          AND ts.ended_at >= ? AND ts.ended_at < ?
+      ) served
+      LEFT JOIN users u ON served.served_by = u.id
+      LEFT JOIN counters c ON served.counter_id = c.id
+      GROUP BY served.served_by, u.name, served.counter_id, c.name`,
+      [branch_id, period.start, period.end, branch_id, period.start, period.end]
+    );
+
+    const rows = new Map();
+    const rowFor = (staffId, counterId) => {
+      const key = `${staffId}:${counterId}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          staff_id: staffId,
+          staff_name: null,
+          counter_id: counterId,
+          counter_name: null,
+          sessions: 0,
+          signed_in_time: 0,
+          break_time: 0,
+          breaks_by_reason: {},
+          tickets_served: 0,
+          serving_time: 0
+        });
+      }
+      return rows.get(key);
+    };
+
+    sessions.forEach(session => {
+      Object.assign(rowFor(session.staff_id, session.counter_id), {
+        staff_name: session.staff_name,
+        counter_name: session.counter_name,
+        sessions: Number(session.sessions),
+        signed_in_time: Number(session.signed_in_time) || 0
+      });
+    });
+
+    breaks.forEach(item => {
+      const row = rowFor(item.staff_id, item.counter_id);
+      row.break_time += Number(item.break_time) || 0;
+      row.breaks_by_reason[item.reason_code] = {
+        breaks: Number(item.breaks),
+        break_time: Number(item.break_time) || 0
+      };
+    });
+
+    serving.forEach(item => {
+      Object.assign(rowFor(item.staff_id, item.counter_id), {
+        staff_name: item.staff_name,
+        counter_name: item.counter_name,
+        tickets_served: Number(item.tickets_served),
+        serving_time: Math.max(Number(item.serving_time) || 0, 0)
+      });
+    });
+
+    // Idle is signed-in time that was neither serving nor on a break
+    const staffUtilization = [...rows.values()].map(row => {
+      const available = Math.max(row.signed_in_time - row.break_time, 0);
+      return {
+        ...row,
+        idle_time: Math.max(available - row.serving_time, 0),
+        utilization_percent: available > 0 ? Math.round(1000 * Math.min(row.serving_time / available, 1)) / 10 : null
+      };
+    });
+
+    staffUtilization.sort((a, b) => b.serving_time - a.serving_time);
+
+    res.json({ staff_utilization: staffUtilization });
+  } catch (error) {
+    console.error('Staff utilization error:', error);
+    res.status(500).json({ error: 'Failed to fetch staff utilization', details: error.message });
+  }
+});
+
+// GET /api/reports/journey-steps - Wait and service time per step of multi-step tickets
+router.get('/journey-steps', authenticateToken, async (req, res) => {
+  try {
+    const { branch_id, start_date, end_date } = req.query;
+    
+    if (!branch_id || !start_date || !end_date) {
+      return res.status(400).json({ error: 'branch_id, start_date, and end_date are required' });
+    }
+
+    const period = await getReportPeriod(branch_id, start_date, end_date);
+    if (!period) {
+      return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD dates or ISO datetimes' });
+    }
+
+    const journeySteps = await query(
+      `SELECT 
+        ts.step_number,
+        ts.service_id,
+        s.name as service_name,
+        COUNT(*) as steps_completed,
+        AVG(CASE 
+          WHEN ts.started_at IS NOT NULL 
+          THEN TIMESTAMPDIFF(SECOND, ts.queued_at, ts.started_at) 
+          ELSE NULL 
+        END) as avg_wait_time,
+        AVG(CASE 
+          WHEN ts.started_at IS NOT NULL 
+          THEN TIMESTAMPDIFF(SECOND, ts.started_at, ts.ended_at) - ts.hold_seconds 
+          ELSE NULL 
+        END) as avg_service_time
+      FROM ticket_steps ts
+      JOIN tickets t ON ts.ticket_id = t.id
+      LEFT JOIN services s ON ts.service_id = s.id
+      WHERE t.branch_id = ?
+        AND t.created_at >= ? AND t.created_at < ?
+      GROUP BY ts.step_number, ts.service_id, s.name
+      ORDER BY ts.step_number ASC, service_name ASC`,
+      [branch_id, period.start, period.end]
+    );
+
+    res.json({ journey_steps: journeySteps });
+  } catch (error) {
+    console.error('Journey steps error:', error);
+    res.status(500).json({ error: 'Failed to fetch journey steps', details: error.message });
+  }
+});
+
+// GET /api/reports/csat - Customer satisfaction by branch, service and staff
+router.get('/csat', authenticateToken, async (req, res) => {
+  try {
+    const { branch_id, start_date, end_date } = req.query;
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({ error: 'start_date and end_date are required' });
+    }
+
+    const period = await getReportPeriod(branch_id, start_date, end_date);
+    if (!period) {
+      return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD dates or ISO datetimes' });
+    }
+
+    let where = 'f.submitted_at IS NOT NULL AND f.submitted_at >= ? AND f.submitted_at < ?';
+    const params = [period.start, period.end];
+
+    if (branch_id) {
+      where += ' AND f.branch_id = ?';
+      params.push(branch_id);
+    }
+
+    // CSAT is the share of ratings that are 4 or 5
+    const metrics = `
+        COUNT(*) as responses,
+        AVG(f.rating) as avg_rating,
+        ROUND(100 * SUM(CASE WHEN f.rating >= 4 THEN 1 ELSE 0 END) / COUNT(*), 1) as csat_percent,
+        SUM(CASE WHEN f.rating = 1 THEN 1 ELSE 0 END) as rating_1,
+        SUM(CASE WHEN f.rating = 2 THEN 1 ELSE 0 END) as rating_2,
+        SUM(CASE WHEN f.rating = 3 THEN 1 ELSE 0 END) as rating_3,
+        SUM(CASE WHEN f.rating = 4 THEN 1 ELSE 0 END) as rating_4,
+        SUM(CASE WHEN f.rating = 5 THEN 1 ELSE 0 END) as rating_5,
+        SUM(CASE WHEN f.comment IS NOT NULL THEN 1 ELSE 0 END) as comments`;
+
+    const byBranch = await query(
+      `SELECT f.branch_id, b.name as branch_name, ${metrics}
+      FROM ticket_feedback f
+      LEFT JOIN branches b ON f.branch_id = b.id
+      WHERE ${where}
+      GROUP BY f.branch_id, b.name
+      ORDER BY avg_rating DESC`,
+      params
+    );
+
+    const byService = await query(
+      `SELECT f.service_id, s.name as service_name, ${metrics}
+      FROM ticket_feedback f
+      LEFT JOIN services s ON f.service_id = s.id
+      WHERE ${where}
+      GROUP BY f.service_id, s.name
+      ORDER BY avg_rating DESC`,
+      params
+    );
+
+    const byStaff = await query(
+      `SELECT f.served_by as staff_id, u.name as staff_name, ${metrics}
+      FROM ticket_feedback f
+      LEFT JOIN users u ON f.served_by = u.id
+      WHERE ${where}
+      GROUP BY f.served_by, u.name
+      ORDER BY avg_rating DESC`,
+      params
+    );
+
+    res.json({ by_branch: byBranch, by_service: byService, by_staff: byStaff });
+  } catch (error) {
+    console.error('CSAT error:', error);
+    res.status(500).json({ error: 'Failed to fetch CSAT report', details: error.message });
+  }
+});
+
 // GET /api/reports/hourly-traffic - Hourly traffic patterns
 router.get('/hourly-traffic', authenticateToken, async (req, res) => {
   try {
@@ -142,10 +497,15 @@ router.get('/hourly-traffic', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'branch_id, start_date, and end_date are required' });
     }
 
+    const period = await getReportPeriod(branch_id, start_date, end_date);
+    if (!period) {
+      return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD dates or ISO datetimes' });
+    }
+
     const hourlyTraffic = await query(
       `SELECT 
-        DAYOFWEEK(created_at) - 1 as day_of_week,
-        HOUR(created_at) as hour,
+        DAYOFWEEK(${period.local('created_at')}) - 1 as day_of_week,
+        HOUR(${period.local('created_at')}) as hour,
         COUNT(*) as ticket_count,
         AVG(CASE 
           WHEN started_at IS NOT NULL 
@@ -154,10 +514,10 @@ router.get('/hourly-traffic', authenticateToken, async (req, res) => {
         END) as avg_wait_time
       FROM tickets
       WHERE branch_id = ?
-        AND DATE(created_at) BETWEEN ? AND ?
+        AND created_at >= ? AND created_at < ?
       GROUP BY day_of_week, hour
       ORDER BY day_of_week, hour`,
-      [branch_id, start_date, end_date]
+      [branch_id, period.start, period.end]
     );
 
     res.json({ hourly_traffic: hourlyTraffic });
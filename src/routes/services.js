@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../config/database');
+const { query, pool } = require('../config/database');
 const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
 const { v4: uuidv4 } = require('uuid');
+const { getSystemSettings } = require('../utils/systemSettings');
+const { getServiceWaitTimes } = require('../utils/waitEstimator');
+const { NUMBERING_FIELDS, validateNumberingConfig, previewTicketNumber } = require('../utils/ticketNumbering');
 
 // GET all services
 router.get('/', optionalAuth, async (req, res) => {
@@ -29,6 +32,28 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// GET estimated waits per service for displays and kiosks
+router.get('/wait-times', optionalAuth, async (req, res) => {
+  try {
+    const { branch_id } = req.query;
+
+    if (!branch_id) {
+      return res.status(400).json({ error: 'branch_id is required' });
+    }
+
+    const settings = await getSystemSettings(branch_id);
+    if (!settings.show_wait_times) {
+      return res.json({ show_wait_times: false, wait_times: [] });
+    }
+
+    const waitTimes = await getServiceWaitTimes(branch_id);
+    res.json({ show_wait_times: true, wait_times: waitTimes });
+  } catch (error) {
+    console.error('Error fetching wait times:', error);
+    res.status(500).json({ error: 'Failed to fetch wait times' });
+  }
+});
+
 // POST create service
 router.post('/', authenticateToken, requireRole('admin', 'supervisor'), async (req, res) => {
   try {
@@ -39,6 +64,11 @@ router.post('/', authenticateToken, requireRole('admin', 'supervisor'), async (r
       return res.status(400).json({ error: 'Name and prefix are required' });
     }
 
+    const numberingError = validateNumberingConfig(req.body);
+    if (numberingError) {
+      return res.status(400).json({ error: numberingError });
+    }
+
     // Validate branch_id if provided (allow null for global services)
     if (branch_id && branch_id !== '') {
       const branches = await query('SELECT id FROM branches WHERE id = ?', [branch_id]);
@@ -53,9 +83,18 @@ router.post('/', authenticateToken, requireRole('admin', 'supervisor'), async (r
     const id = uuidv4();
     
     await query(
-      `INSERT INTO services (id, name, prefix, description, avg_service_time, branch_id, color, icon)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [id, name, prefix, description || null, avg_service_time || 300, branch_id || null, color || '#3b82f6', icon || 'briefcase']
+      `INSERT INTO services (
+        id, name, prefix, description, avg_service_time, branch_id, color, icon,
+        number_padding, number_separator, number_reset, number_start, include_branch_code
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id, name, prefix, description || null, avg_service_time || 300, branch_id || null, color || '#3b82f6', icon || 'briefcase',
+        req.body.number_padding ?? 3,
+        req.body.number_separator ?? '-',
+        req.body.number_reset || 'daily',
+        req.body.number_start ?? 1,
+        req.body.include_branch_code ? 1 : 0
+      ]
     );
 
     const services = await query('SELECT * FROM services WHERE id = ?', [id]);
@@ -76,15 +115,27 @@ router.post('/', authenticateToken, requireRole('admin', 'supervisor'), async (r
 router.patch('/:id', authenticateToken, requireRole('admin', 'supervisor'), async (req, res) => {
   try {
     // Check if service exists
-    const existing = await query('SELECT id FROM services WHERE id = ?', [req.params.id]);
+    const existing = await query(
+      'SELECT id, number_padding, number_start FROM services WHERE id = ?',
+      [req.params.id]
+    );
     if (existing.length === 0) {
       return res.status(404).json({ error: 'Service not found' });
     }
 
+    const numberingError = validateNumberingConfig({
+      number_padding: existing[0].number_padding,
+      number_start: existing[0].number_start,
+      ...req.body
+    });
+    if (numberingError) {
+      return res.status(400).json({ error: numberingError });
+    }
+
     const updates = [];
     const params = [];
 
-    ['name', 'prefix', 'description', 'avg_service_time', 'color', 'icon', 'is_active'].forEach(field => {
+    ['name', 'prefix', 'description', 'avg_service_time', 'color', 'icon', 'is_active', ...NUMBERING_FIELDS].forEach(field => {
       if (req.body[field] !== undefined) {
         updates.push(`${field} = ?`);
         params.push(req.body[field]);
@@ -112,6 +163,112 @@ router.patch('/:id', authenticateToken, requireRole('admin', 'supervisor'), asyn
   }
 });
 
+// GET the next ticket number for a service without consuming it (kiosk preview)
+router.get('/:id/next-number', optionalAuth, async (req, res) => {
+  try {
+    const services = await query('SELECT id, branch_id FROM services WHERE id = ?', [req.params.id]);
+    if (services.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    const branchId = req.query.branch_id || services[0].branch_id;
+    if (!branchId) {
+      return res.status(400).json({ error: 'branch_id is required for global services' });
+    }
+
+    const { ticketNumber } = await previewTicketNumber(req.params.id, branchId);
+    res.json({ service_id: req.params.id, branch_id: branchId, ticket_number: ticketNumber });
+  } catch (error) {
+    console.error('Error previewing ticket number:', error);
+    res.status(500).json({ error: 'Failed to preview ticket number' });
+  }
+});
+
+/**
+ * Get a service's route steps with service names
+ */
+async function getRouteSteps(serviceId) {
+  return query(
+    `SELECT r.step_order, r.step_service_id AS service_id, s.name AS service_name, s.prefix AS service_prefix
+     FROM service_route_steps r
+     JOIN services s ON r.step_service_id = s.id
+     WHERE r.service_id = ?
+     ORDER BY r.step_order ASC`,
+    [serviceId]
+  );
+}
+
+// GET the services a ticket visits after this one
+router.get('/:id/route', optionalAuth, async (req, res) => {
+  try {
+    const existing = await query('SELECT id FROM services WHERE id = ?', [req.params.id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    res.json({ route: await getRouteSteps(req.params.id) });
+  } catch (error) {
+    console.error('Error fetching service route:', error);
+    res.status(500).json({ error: 'Failed to fetch service route' });
+  }
+});
+
+// PUT replace the route (ordered array of service ids; empty for a single-step service)
+router.put('/:id/route', authenticateToken, requireRole('admin', 'supervisor'), async (req, res) => {
+  const { steps } = req.body;
+
+  if (!Array.isArray(steps) || steps.some(serviceId => !serviceId)) {
+    return res.status(400).json({ error: 'steps must be an ordered array of service ids' });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    const services = await query('SELECT id, branch_id FROM services WHERE id = ?', [req.params.id]);
+    if (services.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    // Each step must be a different service than the one before it
+    const previous = [req.params.id, ...steps];
+    if (steps.some((serviceId, index) => serviceId === previous[index])) {
+      return res.status(400).json({ error: 'A step cannot repeat the service before it' });
+    }
+
+    // Steps must be global or belong to the same branch
+    const uniqueIds = [...new Set(steps)];
+    if (uniqueIds.length > 0) {
+      const placeholders = uniqueIds.map(() => '?').join(',');
+      const valid = await query(
+        `SELECT id FROM services
+         WHERE id IN (${placeholders}) AND (branch_id <=> ? OR branch_id IS NULL)`,
+        [...uniqueIds, services[0].branch_id]
+      );
+      if (valid.length !== uniqueIds.length) {
+        return res.status(400).json({ error: 'Invalid step - service does not exist in this branch' });
+      }
+    }
+
+    await connection.beginTransaction();
+    await connection.execute('DELETE FROM service_route_steps WHERE service_id = ?', [req.params.id]);
+    for (const [index, serviceId] of steps.entries()) {
+      await connection.execute(
+        'INSERT INTO service_route_steps (service_id, step_order, step_service_id) VALUES (?, ?, ?)',
+        [req.params.id, index + 1, serviceId]
+      );
+    }
+    await connection.commit();
+
+    res.json({ route: await getRouteSteps(req.params.id) });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error updating service route:', error);
+    res.status(500).json({ error: 'Failed to update service route' });
+  } finally {
+    connection.release();
+  }
+});
+
 // DELETE service
 router.delete('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
@@ -3,37 +3,13 @@ const router = express.Router();
 const { query } = require('../config/database');
 const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
 const { v4: uuidv4 } = require('uuid');
+const { getSystemSettings, BOOLEAN_FIELDS } = require('../utils/systemSettings');
+const { getBranding } = require('../utils/branding');
 
 // Get branding settings (public endpoint)
 router.get('/branding', async (req, res) => {
   try {
-    const branding = await query('SELECT * FROM branding_settings LIMIT 1');
-    
-    if (branding.length === 0) {
-      // Return default branding
-      return res.json({
-        branding: {
-          id: 'default',
-          company_name: process.env.APP_NAME || 'NAGA Queue System',
-          primary_color: '#2563EB',
-          secondary_color: '#1E40AF',
-          ticket_header_text: 'Please keep your ticket',
-          ticket_footer_text: 'Thank you for your patience',
-          show_qr_code: true,
-          show_logo_on_ticket: true,
-          ticket_border_color: '#2563EB'
-        }
-      });
-    }
-    
-    // Convert TINYINT to boolean
-    const brandingData = {
-      ...branding[0],
-      show_qr_code: Boolean(branding[0].show_qr_code),
-      show_logo_on_ticket: Boolean(branding[0].show_logo_on_ticket)
-    };
-    
-    res.json({ branding: brandingData });
+    res.json({ branding: await getBranding() });
   } catch (error) {
     console.error('Branding error:', error);
     res.status(500).json({ error: 'Failed to fetch branding' });
@@ -138,62 +114,8 @@ router.post('/branding', authenticateToken, requireRole('admin'), async (req, re
 // Get system settings
 router.get('/system', optionalAuth, async (req, res) => {
   try {
-    const systemSettings = await query('SELECT * FROM system_settings WHERE setting_key = ?', ['system_config']);
-    
-    if (systemSettings.length === 0) {
-      // Return default settings
-      return res.json({
-        settings: {
-          max_queue_size: 100,
-          auto_call_next: true,
-          display_refresh_interval: 5,
-          show_wait_times: true,
-          language: 'en',
-          default_ticker_message: 'Welcome to CASURECO II Queue Management System • Please wait for your number to be called • Thank you for your patience',
-          monday_open: '08:00',
-          monday_close: '17:00',
-          tuesday_open: '08:00',
-          tuesday_close: '17:00',
-          wednesday_open: '08:00',
-          wednesday_close: '17:00',
-          thursday_open: '08:00',
-          thursday_close: '17:00',
-          friday_open: '08:00',
-          friday_close: '17:00',
-          saturday_open: '08:00',
-          saturday_close: '12:00',
-          sunday_open: '08:00',
-          sunday_close: '12:00',
-          is_monday_open: true,
-          is_tuesday_open: true,
-          is_wednesday_open: true,
-          is_thursday_open: true,
-          is_friday_open: true,
-          is_saturday_open: false,
-          is_sunday_open: false,
-          maintenance_mode: false,
-          maintenance_message: 'System is currently under maintenance. Please check back later.',
-          organization_name: 'NAGA Queue System',
-          support_email: 'support@example.com',
-          support_phone: '+1234567890',
-        }
-      });
-    }
-    
-    const settingsValue = JSON.parse(systemSettings[0].setting_value);
-    
-    // Convert TINYINT to boolean for boolean fields
-    const booleanFields = ['auto_call_next', 'show_wait_times', 'is_monday_open', 'is_tuesday_open', 
-                           'is_wednesday_open', 'is_thursday_open', 'is_friday_open', 'is_saturday_open', 
-                           'is_sunday_open', 'maintenance_mode'];
-    
-    booleanFields.forEach(field => {
-      if (settingsValue[field] !== undefined) {
-        settingsValue[field] = Boolean(settingsValue[field]);
-      }
-    });
-    
-    res.json({ settings: settingsValue });
+    const settings = await getSystemSettings(req.query.branch_id || null);
+    res.json({ settings });
   } catch (error) {
     console.error('System settings error:', error);
     res.status(500).json({ error: 'Failed to fetch system settings' });
@@ -201,24 +123,24 @@ router.get('/system', optionalAuth, async (req, res) => {
 });
 
 // Update system settings (admin only)
+// With branch_id the settings are stored as that branch's overrides of the global ones
 router.post('/system', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
-    const settings = req.body;
+    const { branch_id = null, ...settings } = req.body;
     
     // Convert boolean to TINYINT for storage
-    const booleanFields = ['auto_call_next', 'show_wait_times', 'is_monday_open', 'is_tuesday_open', 
-                           'is_wednesday_open', 'is_thursday_open', 'is_friday_open', 'is_saturday_open', 
-                           'is_sunday_open', 'maintenance_mode'];
-    
     const settingsToStore = { ...settings };
-    booleanFields.forEach(field => {
+    BOOLEAN_FIELDS.forEach(field => {
       if (settingsToStore[field] !== undefined) {
         settingsToStore[field] = settingsToStore[field] ? 1 : 0;
       }
     });
     
     // Check if settings exist
-    const existing = await query('SELECT id FROM system_settings WHERE setting_key = ?', ['system_config']);
+    const existing = await query(
+      'SELECT id FROM system_settings WHERE setting_key = ? AND branch_id <=> ?',
+      ['system_config', branch_id]
+    );
     
     if (existing.length > 0) {
       // Update existing
@@ -230,15 +152,15 @@ router.post('/system', authenticateToken, requireRole('admin'), async (req, res)
       // Insert new
       const id = uuidv4();
       await query(
-        `INSERT INTO system_settings (id, setting_key, setting_value, description) VALUES (?, ?, ?, ?)`,
-        [id, 'system_config', JSON.stringify(settingsToStore), 'System configuration settings']
+        `INSERT INTO system_settings (id, branch_id, setting_key, setting_value, description) VALUES (?, ?, ?, ?, ?)`,
+        [id, branch_id, 'system_config', JSON.stringify(settingsToStore), 'System configuration settings']
       );
     }
     
     // Emit Socket.IO event to notify all clients about settings update
     const io = req.app.get('io');
     if (io) {
-      io.emit('settings:updated', { settings });
+      io.emit('settings:updated', { branch_id, settings });
     }
     
     res.json({ success: true, message: 'Settings saved successfully' });
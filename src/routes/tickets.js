@@ -6,37 +6,99 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { query, callProcedure, pool } = require('../config/database');
-const { v4: uuidv4 } = require('uuid');
 const {
   emitTicketCreated,
   emitTicketUpdated,
   emitTicketCalled,
-  emitTicketDeleted
+  emitTicketDeleted,
+  emitTransferNotification,
+  emitFeedbackRequested
 } = require('../socket/socketHandler');
+const { getSystemSettings } = require('../utils/systemSettings');
+const { buildTransition, assertForwardTransition, TicketTransitionError } = require('../utils/ticketStateMachine');
+const { getTicketTracking, refreshQueueTracking } = require('../utils/queueTracking');
+const { invalidateServiceModel } = require('../utils/waitEstimator');
+const { fetchTicket } = require('../utils/ticketQueries');
+const { issueTicket } = require('../utils/ticketIssuer');
+const { getNextStepService, buildStepAdvance, recordStep } = require('../utils/serviceJourney');
+const { recordTicketEvent, getTicketHistory } = require('../utils/ticketEvents');
+const { getRefusalReasons } = require('../utils/issuancePolicy');
+const { idempotent } = require('../middleware/idempotency');
+const { createFeedbackRequest } = require('../utils/feedback');
+const { getBranding } = require('../utils/branding');
+const { renderEscPos, renderHtml } = require('../utils/ticketPrinter');
+const { notifyTicketCalled } = require('../notifications/notificationService');
+const { getBranchTimeZone, getDateRange } = require('../utils/businessDate');
+const { callNextTicket, fetchCalledTicket, announceCall, autoCallNext } = require('../utils/ticketDispatcher');
+const { CounterSessionError, assertServingSession } = require('../utils/counterSessions');
+
+// Statuses that record the acting user as served_by
+const SERVED_BY_STATUSES = ['serving', 'done', 'skipped'];
+
+/**
+ * Staff may only serve at a counter they are signed in to; managers
+ * may close tickets on a counter's behalf
+ */
+async function checkServingSession(user, counterId) {
+  if (!counterId || ['admin', 'supervisor'].includes(user.role)) {
+    return;
+  }
+  await assertServingSession(counterId, user.id);
+}
+
+// Sortable fields for GET /api/tickets; nullable ones sort as the earliest value
+const SORT_FIELDS = {
+  created_at: { column: 't.created_at', fallback: null },
+  ended_at: { column: 't.ended_at', fallback: '1000-01-01 00:00:00' },
+  called_at: { column: 't.called_at', fallback: '1000-01-01 00:00:00' },
+  ticket_number: { column: 't.ticket_number', fallback: null },
+  priority_level: { column: 't.priority_level', fallback: null }
+};
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Opaque pagination cursor: the last row's sort value and id
+ */
+function encodeCursor(sortValue, id) {
+  return Buffer.from(JSON.stringify([sortValue, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Array.isArray(decoded) && decoded.length === 2 ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
 
 /**
  * GET /api/tickets
- * Get all tickets with filters
+ * Get tickets with filters, text search and cursor pagination
+ * Ordered by the sort field then id, so pages never skip or repeat rows.
  */
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const { branch_id, status, service_id, counter_id, date, start_date, served_by, sort, limit } = req.query;
+    const {
+      branch_id,
+      status,
+      service_id,
+      counter_id,
+      date,
+      start_date,
+      end_date,
+      served_by,
+      search,
+      sort,
+      limit,
+      cursor
+    } = req.query;
 
-    let sql = `
-      SELECT t.*, 
-             s.name as service_name, s.prefix as service_prefix,
-             c.name as counter_name,
-             b.name as branch_name
-      FROM tickets t
-      LEFT JOIN services s ON t.service_id = s.id
-      LEFT JOIN counters c ON t.counter_id = c.id
-      LEFT JOIN branches b ON t.branch_id = b.id
-      WHERE 1=1
-    `;
+    let where = ' WHERE 1=1';
     const params = [];
 
     if (branch_id) {
-      sql += ' AND t.branch_id = ?';
+      where += ' AND t.branch_id = ?';
       params.push(branch_id);
     }
 
@@ -44,60 +106,118 @@ router.get('/', authenticateToken, async (req, res) => {
     if (status) {
       const statuses = status.split(',').map(s => s.trim());
       const placeholders = statuses.map(() => '?').join(',');
-      sql += ` AND t.status IN (${placeholders})`;
+      where += ` AND t.status IN (${placeholders})`;
       params.push(...statuses);
     }
 
     if (service_id) {
-      sql += ' AND t.service_id = ?';
+      where += ' AND t.service_id = ?';
       params.push(service_id);
     }
 
     if (counter_id) {
-      sql += ' AND t.counter_id = ?';
+      where += ' AND t.counter_id = ?';
       params.push(counter_id);
     }
 
     if (served_by) {
-      sql += ' AND t.served_by = ?';
+      where += ' AND t.served_by = ?';
       params.push(served_by);
     }
 
+    // Date-only values are business days in the branch's time zone
+    const isDateOnly = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const timeZone = (date || isDateOnly(start_date) || isDateOnly(end_date))
+      ? await getBranchTimeZone(branch_id)
+      : null;
+
     // Exact date match
     if (date) {
-      sql += ' AND DATE(t.created_at) = ?';
-      params.push(date);
+      if (!isDateOnly(date)) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+      }
+      const day = getDateRange(timeZone, date);
+      where += ' AND t.created_at >= ? AND t.created_at < ?';
+      params.push(day.start, day.end);
     }
 
-    // Date range (from start_date onwards)
+    // Date range; a date-only end_date includes that whole day
     if (start_date) {
-      sql += ' AND t.created_at >= ?';
-      params.push(start_date);
+      where += ' AND t.created_at >= ?';
+      params.push(isDateOnly(start_date) ? getDateRange(timeZone, start_date).start : start_date);
     }
 
-    // Custom sorting
-    if (sort) {
-      const [field, direction] = sort.split(':');
-      const validFields = ['created_at', 'ended_at', 'called_at', 'ticket_number', 'priority_level'];
-      const validDirection = direction?.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
-      
-      if (validFields.includes(field)) {
-        sql += ` ORDER BY t.${field} ${validDirection}`;
+    if (end_date) {
+      if (isDateOnly(end_date)) {
+        where += ' AND t.created_at < ?';
+        params.push(getDateRange(timeZone, end_date).end);
       } else {
-        sql += ' ORDER BY t.created_at DESC';
+        where += ' AND t.created_at <= ?';
+        params.push(end_date);
       }
-    } else {
-      sql += ' ORDER BY t.created_at DESC';
     }
 
-    // Limit results
-    const maxLimit = parseInt(limit) || 1000;
-    sql += ` LIMIT ${Math.min(maxLimit, 1000)}`;
+    // Text search across ticket number, customer name and phone
+    if (search && search.trim()) {
+      const term = `%${search.trim().replace(/[\\%_]/g, '\\$&')}%`;
+      where += ' AND (t.ticket_number LIKE ? OR t.customer_name LIKE ? OR t.customer_phone LIKE ?)';
+      params.push(term, term, term);
+    }
+
+    // Custom sorting
+    const [field, direction] = (sort || '').split(':');
+    const sortField = SORT_FIELDS[field] ? field : 'created_at';
+    const { column, fallback } = SORT_FIELDS[sortField];
+    const sortExpression = fallback ? `COALESCE(${column}, '${fallback}')` : column;
+    const sortDirection = SORT_FIELDS[field] && direction?.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+    let pageWhere = where;
+    const pageParams = [...params];
+
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
 
-    const rawTickets = await query(sql, params);
+      const [lastValue, lastId] = decoded;
+      const comparison = sortDirection === 'ASC' ? '>' : '<';
+      pageWhere += ` AND (${sortExpression} ${comparison} ? OR (${sortExpression} = ? AND t.id ${comparison} ?))`;
+      pageParams.push(lastValue, lastValue, lastId);
+    }
+
+    const pageSize = Math.min(parseInt(limit) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    // One extra row tells us whether another page exists
+    const rawTickets = await query(
+      `SELECT t.*, 
+             s.name as service_name, s.prefix as service_prefix,
+             c.name as counter_name,
+             b.name as branch_name
+      FROM tickets t
+      LEFT JOIN services s ON t.service_id = s.id
+      LEFT JOIN counters c ON t.counter_id = c.id
+      LEFT JOIN branches b ON t.branch_id = b.id
+      ${pageWhere}
+      ORDER BY ${sortExpression} ${sortDirection}, t.id ${sortDirection}
+      LIMIT ${pageSize + 1}`,
+      pageParams
+    );
+
+    const hasMore = rawTickets.length > pageSize;
+    const pageRows = hasMore ? rawTickets.slice(0, pageSize) : rawTickets;
+    const lastRow = pageRows[pageRows.length - 1];
+
+    // Counting is only worth it once, for the first page
+    let total = null;
+    if (!cursor) {
+      total = hasMore
+        ? Number((await query(`SELECT COUNT(*) as count FROM tickets t${where}`, params))[0].count)
+        : pageRows.length;
+    }
     
     // Transform tickets to include nested service/counter/branch objects
-    const tickets = rawTickets.map(ticket => ({
+    const tickets = pageRows.map(ticket => ({
       ...ticket,
       service: ticket.service_name ? {
         name: ticket.service_name,
@@ -111,13 +231,59 @@ router.get('/', authenticateToken, async (req, res) => {
       } : null
     }));
     
-    res.json({ tickets });
+    res.json({
+      tickets,
+      pagination: {
+        limit: pageSize,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeCursor(lastRow[sortField] ?? fallback, lastRow.id) : null,
+        total
+      }
+    });
   } catch (error) {
     console.error('Error fetching tickets:', error);
     res.status(500).json({ error: 'Failed to fetch tickets' });
   }
 });
 
+/**
+ * GET /api/tickets/held
+ * Tickets parked by the current staff member (or at a counter), oldest first
+ */
+router.get('/held', authenticateToken, async (req, res) => {
+  try {
+    const { counter_id } = req.query;
+
+    let sql = `
+      SELECT t.*, 
+             s.name as service_name, s.prefix as service_prefix,
+             c.name as counter_name,
+             TIMESTAMPDIFF(SECOND, t.held_at, NOW()) as held_seconds
+      FROM tickets t
+      LEFT JOIN services s ON t.service_id = s.id
+      LEFT JOIN counters c ON t.counter_id = c.id
+      WHERE t.status = 'on_hold'
+    `;
+    const params = [];
+
+    if (counter_id) {
+      sql += ' AND t.counter_id = ?';
+      params.push(counter_id);
+    } else {
+      sql += ' AND t.held_by = ?';
+      params.push(req.user.id);
+    }
+
+    sql += ' ORDER BY t.held_at ASC';
+
+    const tickets = await query(sql, params);
+    res.json({ tickets });
+  } catch (error) {
+    console.error('Error fetching held tickets:', error);
+    res.status(500).json({ error: 'Failed to fetch held tickets' });
+  }
+});
+
 /**
  * GET /api/tickets/:id
  * Get single ticket by ID
@@ -149,11 +315,107 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/tickets/:id/track
+ * Public tracking: queue position and estimated call time for one ticket
+ */
+router.get('/:id/track', async (req, res) => {
+  try {
+    const tracking = await getTicketTracking(req.params.id);
+
+    if (!tracking) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    res.json({ tracking });
+  } catch (error) {
+    console.error('Error tracking ticket:', error);
+    res.status(500).json({ error: 'Failed to track ticket' });
+  }
+});
+
+/**
+ * GET /api/tickets/:id/print?format=html|escpos
+ * Ticket rendered for printing with the current branding
+ */
+router.get('/:id/print', optionalAuth, async (req, res) => {
+  try {
+    const { format = 'html' } = req.query;
+
+    if (!['html', 'escpos'].includes(format)) {
+      return res.status(400).json({ error: "format must be 'html' or 'escpos'" });
+    }
+
+    const ticket = await fetchTicket(req.params.id);
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const branding = await getBranding();
+    const tracking = await getTicketTracking(ticket.id);
+
+    if (format === 'escpos') {
+      res.set('Content-Type', 'application/octet-stream');
+      res.set('Content-Disposition', `inline; filename="${ticket.ticket_number}.bin"`);
+      return res.send(renderEscPos(ticket, branding, tracking));
+    }
+
+    res.type('html').send(await renderHtml(ticket, branding, tracking));
+  } catch (error) {
+    console.error('Error rendering ticket:', error);
+    res.status(500).json({ error: 'Failed to render ticket' });
+  }
+});
+
+/**
+ * GET /api/tickets/:id/steps
+ * Finished steps of a multi-step ticket with their timestamps
+ */
+router.get('/:id/steps', authenticateToken, async (req, res) => {
+  try {
+    const steps = await query(
+      `SELECT ts.*, s.name as service_name, c.name as counter_name, u.name as served_by_name
+       FROM ticket_steps ts
+       LEFT JOIN services s ON ts.service_id = s.id
+       LEFT JOIN counters c ON ts.counter_id = c.id
+       LEFT JOIN users u ON ts.served_by = u.id
+       WHERE ts.ticket_id = ?
+       ORDER BY ts.step_number ASC`,
+      [req.params.id]
+    );
+
+    res.json({ steps });
+  } catch (error) {
+    console.error('Error fetching ticket steps:', error);
+    res.status(500).json({ error: 'Failed to fetch ticket steps' });
+  }
+});
+
+/**
+ * GET /api/tickets/:id/history
+ * Every recorded change to a ticket, oldest first
+ */
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const tickets = await query('SELECT id FROM tickets WHERE id = ?', [req.params.id]);
+
+    if (tickets.length === 0) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    res.json({ history: await getTicketHistory(req.params.id) });
+  } catch (error) {
+    console.error('Error fetching ticket history:', error);
+    res.status(500).json({ error: 'Failed to fetch ticket history' });
+  }
+});
+
 /**
  * POST /api/tickets
  * Create new ticket
  */
-router.post('/', optionalAuth, async (req, res) => {
+router.post('/', optionalAuth, idempotent, async (req, res) => {
   const connection = await pool.getConnection();
   
   try {
@@ -161,102 +423,117 @@ router.post('/', optionalAuth, async (req, res) => {
       service_id,
       branch_id,
       priority_level = 0,
+      priority_category_id,
       customer_name,
       customer_phone,
-      notes
+      notes,
+      override_note,
+      notify_opt_in = false
     } = req.body;
 
     if (!service_id || !branch_id) {
       return res.status(400).json({ error: 'service_id and branch_id are required' });
     }
 
+    if (notify_opt_in && !customer_phone) {
+      return res.status(400).json({ error: 'customer_phone is required to receive notifications' });
+    }
+
+    const services = await query('SELECT id FROM services WHERE id = ? AND is_active = 1', [service_id]);
+    if (services.length === 0) {
+      return res.status(400).json({ error: 'Invalid service_id - service does not exist or is inactive' });
+    }
+
+    // Closed, in maintenance or full: staff may still issue with an audit note
+    const refusalReasons = await getRefusalReasons(branch_id, service_id);
+    const overridden = refusalReasons.length > 0 && Boolean(req.user) && Boolean(override_note);
+
+    if (refusalReasons.length > 0 && !overridden) {
+      return res.status(403).json({
+        error: 'Ticket issuance is not available',
+        reasons: refusalReasons,
+        can_override: Boolean(req.user)
+      });
+    }
+
+    // Only staff may set a raw priority level; kiosks must pick a category
+    let priorityLevel = req.user ? parseInt(priority_level) || 0 : 0;
+    let priorityCategoryId = null;
+
+    if (priority_category_id) {
+      const categories = await query(
+        `SELECT id, priority_level, allow_self_service FROM priority_categories
+         WHERE id = ? AND is_active = 1 AND (branch_id = ? OR branch_id IS NULL)`,
+        [priority_category_id, branch_id]
+      );
+
+      if (categories.length === 0) {
+        return res.status(400).json({ error: 'Invalid priority_category_id - category is not available in this branch' });
+      }
+
+      if (!req.user && !categories[0].allow_self_service) {
+        return res.status(403).json({ error: 'This priority category must be assigned by staff' });
+      }
+
+      priorityLevel = categories[0].priority_level;
+      priorityCategoryId = categories[0].id;
+    }
+
     // Start transaction for atomic ticket number generation
     await connection.beginTransaction();
-    
-    const today = new Date().toISOString().split('T')[0];
-    
-    console.log('🎫 Creating ticket for service_id:', service_id);
-    
-    // Get service prefix
-    const [services] = await connection.execute(
-      'SELECT prefix FROM services WHERE id = ?', 
-      [service_id]
-    );
-    const prefix = services[0]?.prefix || 'TKT';
-    console.log('🏷️ Using prefix:', prefix);
-    
-    // Lock and get/create sequence row (prevents race conditions)
-    await connection.execute(
-      `INSERT INTO ticket_sequences (service_id, branch_id, current_number, date)
-       VALUES (?, ?, 0, ?)
-       ON DUPLICATE KEY UPDATE current_number = current_number`,
-      [service_id, branch_id, today]
-    );
-    
-    // Lock the row and increment atomically
-    const [sequences] = await connection.execute(
-      `SELECT current_number FROM ticket_sequences
-       WHERE service_id = ? AND branch_id = ? AND date = ?
-       FOR UPDATE`,
-      [service_id, branch_id, today]
-    );
-    
-    const currentNumber = (sequences[0]?.current_number || 0) + 1;
-    
-    // Update the sequence
-    await connection.execute(
-      `UPDATE ticket_sequences 
-       SET current_number = ?
-       WHERE service_id = ? AND branch_id = ? AND date = ?`,
-      [currentNumber, service_id, branch_id, today]
-    );
-    
-    const ticketNumber = `${prefix}-${String(currentNumber).padStart(3, '0')}`;
-    console.log('🔢 Generated ticket number:', ticketNumber);
 
-    // Create ticket
-    const ticketId = uuidv4();
-    await connection.execute(
-      `INSERT INTO tickets (
-        id, ticket_number, service_id, branch_id, priority_level,
-        customer_name, customer_phone, notes, issued_by, status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'waiting')`,
-      [
+    const { ticketId } = await issueTicket(connection, {
+      serviceId: service_id,
+      branchId: branch_id,
+      priorityLevel,
+      priorityCategoryId,
+      customerName: customer_name || null,
+      customerPhone: customer_phone || null,
+      notifyOptIn: Boolean(notify_opt_in),
+      notes: notes || null,
+      issuedBy: req.user?.id || null
+    });
+
+    if (overridden) {
+      await recordTicketEvent({
         ticketId,
-        ticketNumber,
-        service_id,
-        branch_id,
-        priority_level,
-        customer_name || null,
-        customer_phone || null,
-        notes || null,
-        req.user?.id || null
-      ]
-    );
+        type: 'issuance_override',
+        actorId: req.user.id,
+        toStatus: 'waiting',
+        metadata: {
+          note: override_note,
+          reasons: refusalReasons.map(reason => reason.code)
+        }
+      }, connection);
+    }
     
     // Commit transaction
     await connection.commit();
 
     // Fetch created ticket with relations
-    const tickets = await query(`
-      SELECT t.*, 
-             s.name as service_name, s.prefix as service_prefix,
-             c.name as counter_name,
-             b.name as branch_name
-      FROM tickets t
-      LEFT JOIN services s ON t.service_id = s.id
-      LEFT JOIN counters c ON t.counter_id = c.id
-      LEFT JOIN branches b ON t.branch_id = b.id
-      WHERE t.id = ?
-    `, [ticketId]);
-
-    const ticket = tickets[0];
+    const ticket = await fetchTicket(ticketId);
 
     // Emit real-time event
     const io = req.app.get('io');
     emitTicketCreated(io, ticket);
+    refreshQueueTracking(io, ticket);
 
-    res.status(201).json({ ticket });
+    // Estimated wait for the kiosk printout (null when wait times are hidden)
+    // The ticket is already committed, so a failed estimate must not fail the request
+    let wait_estimate = null;
+    try {
+      const tracking = await getTicketTracking(ticketId);
+      wait_estimate = tracking.estimated_wait_seconds === null ? null : {
+        people_ahead: tracking.people_ahead,
+        estimated_wait_seconds: tracking.estimated_wait_seconds,
+        estimated_wait_minutes: tracking.estimated_wait_minutes,
+        estimated_call_time: tracking.estimated_call_time
+      };
+    } catch (error) {
+      console.error('Error estimating wait for new ticket:', error);
+    }
+
+    res.status(201).json({ ticket, wait_estimate });
   } catch (error) {
     // Rollback transaction on error
     if (connection) {
@@ -275,29 +552,53 @@ router.post('/', optionalAuth, async (req, res) => {
 /**
  * PATCH /api/tickets/:id
  * Update ticket status
+ * Only moves a ticket forward; use /transfer or /requeue to send it back to waiting.
  */
-router.patch('/:id', authenticateToken, async (req, res) => {
+router.patch('/:id', authenticateToken, idempotent, async (req, res) => {
   try {
     const { status, counter_id, notes } = req.body;
     const ticketId = req.params.id;
 
+    const current = await query(
+      `SELECT id, status, counter_id, service_id, journey, current_step, total_steps,
+              created_at, queued_at, called_at, started_at, hold_seconds
+       FROM tickets WHERE id = ?`,
+      [ticketId]
+    );
+
+    if (current.length === 0) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    if (status) {
+      assertForwardTransition(current[0].status, status);
+    }
+
+    if (SERVED_BY_STATUSES.includes(status) && status !== current[0].status) {
+      await checkServingSession(req.user, counter_id || current[0].counter_id);
+    }
+
     const updates = [];
     const params = [];
+    let setsCounter = false;
+
+    // Finishing a step of a multi-step journey queues the ticket for the next service
+    const nextServiceId = status === 'done' ? getNextStepService(current[0]) : null;
 
     if (status) {
-      updates.push('status = ?');
-      params.push(status);
-
-      if (status === 'serving') {
-        updates.push('started_at = NOW()');
-      } else if (['done', 'cancelled', 'skipped'].includes(status)) {
-        updates.push('ended_at = NOW()');
-        updates.push('served_by = ?');
-        params.push(req.user.id);
-      }
+      // Validates the transition and sets the matching timestamps
+      const transition = nextServiceId
+        ? buildStepAdvance(current[0], nextServiceId)
+        : buildTransition(current[0], status, {
+          counterId: counter_id,
+          servedBy: req.user.id
+        });
+      updates.push(...transition.updates);
+      params.push(...transition.params);
+      setsCounter = transition.setsCounter;
     }
 
-    if (counter_id) {
+    if (counter_id && !setsCounter) {
       updates.push('counter_id = ?');
       params.push(counter_id);
     }
@@ -308,37 +609,111 @@ router.patch('/:id', authenticateToken, async (req, res) => {
     }
 
     if (updates.length === 0) {
+      // Status already matches and nothing else changed
+      if (status) {
+        return res.json({ ticket: await fetchTicket(ticketId) });
+      }
       return res.status(400).json({ error: 'No updates provided' });
     }
 
-    params.push(ticketId);
+    params.push(ticketId, current[0].status);
 
-    await query(
-      `UPDATE tickets SET ${updates.join(', ')} WHERE id = ?`,
-      params
-    );
+    const statusChanged = Boolean(status) && status !== current[0].status;
+    const metadata = {};
+    if (nextServiceId) {
+      Object.assign(metadata, { step: current[0].current_step, next_service_id: nextServiceId });
+    }
+    if (counter_id && counter_id !== current[0].counter_id) {
+      metadata.counter_id = counter_id;
+    }
+    if (notes) {
+      metadata.notes = notes;
+    }
 
-    // Fetch updated ticket
-    const tickets = await query(`
-      SELECT t.*, 
-             s.name as service_name, s.prefix as service_prefix,
-             c.name as counter_name,
-             b.name as branch_name
-      FROM tickets t
-      LEFT JOIN services s ON t.service_id = s.id
-      LEFT JOIN counters c ON t.counter_id = c.id
-      LEFT JOIN branches b ON t.branch_id = b.id
-      WHERE t.id = ?
-    `, [ticketId]);
+    // The update, the finished step and the event are written together
+    const connection = await pool.getConnection();
+    let result;
+
+    try {
+      await connection.beginTransaction();
+
+      // Guard against a concurrent status change since the ticket was read
+      [result] = await connection.execute(
+        `UPDATE tickets SET ${updates.join(', ')} WHERE id = ? AND status = ?`,
+        params
+      );
+
+      if (result.affectedRows > 0) {
+        if (status === 'done' && current[0].total_steps > 1 && current[0].status !== 'done') {
+          await recordStep(current[0], req.user.id, connection);
+        }
+
+        await recordTicketEvent({
+          ticketId,
+          type: nextServiceId ? 'step_completed' : statusChanged ? 'status_changed' : 'updated',
+          actorId: req.user.id,
+          counterId: counter_id || current[0].counter_id,
+          fromStatus: current[0].status,
+          toStatus: nextServiceId ? 'waiting' : statusChanged ? status : current[0].status,
+          metadata: Object.keys(metadata).length > 0 ? metadata : null
+        }, connection);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: 'Ticket was modified by another request, please retry' });
+    }
+
+    const ticket = await fetchTicket(ticketId);
 
-    const ticket = tickets[0];
+    // A completed step adds a new sample to the wait estimate
+    if (status === 'done') {
+      invalidateServiceModel(ticket.branch_id, current[0].service_id);
+    }
 
     // Emit real-time event
     const io = req.app.get('io');
     emitTicketUpdated(io, ticket);
+    refreshQueueTracking(io, ticket);
 
-    res.json({ ticket });
+    // Finished tickets get a one-time feedback token for the customer
+    // The status change is already applied, so a failure here must not fail the request
+    let feedbackToken = null;
+    if (ticket.status === 'done' && current[0].status !== 'done') {
+      try {
+        feedbackToken = await createFeedbackRequest(ticket);
+        emitFeedbackRequested(io, ticket, feedbackToken);
+      } catch (error) {
+        console.error('Error creating feedback request:', error);
+      }
+    }
+
+    // A counter that finished its ticket may call the next one itself
+    let nextTicket = null;
+    const finishedAt = current[0].counter_id || counter_id;
+    if (statusChanged && ['done', 'skipped'].includes(status) && finishedAt) {
+      try {
+        nextTicket = await autoCallNext(io, finishedAt, req.user.id);
+      } catch (error) {
+        console.error('Auto call-next failed:', error);
+      }
+    }
+
+    res.json({ ticket, feedback_token: feedbackToken, next_ticket: nextTicket });
   } catch (error) {
+    if (error instanceof TicketTransitionError) {
+      return res.status(error.status).json({ error: error.message, from: error.from, to: error.to });
+    }
+    if (error instanceof CounterSessionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error updating ticket:', error);
     res.status(500).json({ error: 'Failed to update ticket' });
   }
@@ -347,8 +722,11 @@ router.patch('/:id', authenticateToken, async (req, res) => {
 /**
  * POST /api/tickets/call-next
  * Call next ticket in queue
+ * The ticket is returned 'serving' as before; branches with
+ * call_next_starts_service turned off get it 'called' (started_at NULL)
+ * and start service with PATCH status 'serving'.
  */
-router.post('/call-next', authenticateToken, async (req, res) => {
+router.post('/call-next', authenticateToken, idempotent, async (req, res) => {
   const connection = await pool.getConnection();
   
   try {
@@ -358,106 +736,493 @@ router.post('/call-next', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'counter_id is required' });
     }
 
+    await checkServingSession(req.user, counter_id);
+
     // Start transaction for atomic operation
     await connection.beginTransaction();
 
-    // Get next waiting ticket with row lock (prevents race conditions)
-    let [tickets] = await connection.execute(
-      `SELECT id FROM tickets 
-       WHERE status = 'waiting' 
-       AND branch_id = (SELECT branch_id FROM counters WHERE id = ?)
-       ${service_id ? 'AND service_id = ?' : ''}
-       ORDER BY 
-         priority_level DESC,
-         created_at ASC
-       LIMIT 1
-       FOR UPDATE`,
-      service_id ? [counter_id, service_id] : [counter_id]
-    );
+    const ticketId = await callNextTicket(connection, {
+      counterId: counter_id,
+      serviceId: service_id,
+      actorId: req.user.id
+    });
 
-    if (!tickets || tickets.length === 0) {
-      await connection.commit();
+    // Commit transaction
+    await connection.commit();
+
+    if (!ticketId) {
       return res.json({ ticket: null, message: 'No tickets in queue' });
     }
 
-    const ticketId = tickets[0].id;
-    const now = new Date();
+    // Fetch updated ticket with relations (outside transaction)
+    const ticket = await fetchCalledTicket(ticketId);
+
+    // Emit real-time events
+    announceCall(req.app.get('io'), ticket);
+
+    res.json({ ticket });
+  } catch (error) {
+    // Rollback on error
+    if (connection) {
+      await connection.rollback();
+    }
+    if (error instanceof CounterSessionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error calling next ticket:', error);
+    res.status(500).json({ error: 'Failed to call next ticket' });
+  } finally {
+    // Always release connection
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+/**
+ * POST /api/tickets/:id/transfer
+ * Transfer a ticket being served to another counter and/or service
+ */
+router.post('/:id/transfer', authenticateToken, idempotent, async (req, res) => {
+  const connection = await pool.getConnection();
+
+  try {
+    const { target_counter_id, target_service_id, to_front = true, reason } = req.body;
+    const ticketId = req.params.id;
+
+    if (!target_counter_id && !target_service_id) {
+      return res.status(400).json({ error: 'target_counter_id or target_service_id is required' });
+    }
+
+    await connection.beginTransaction();
+
+    // Lock the ticket so it cannot be completed while being transferred
+    const [tickets] = await connection.execute(
+      'SELECT id, branch_id, service_id, counter_id, status FROM tickets WHERE id = ? FOR UPDATE',
+      [ticketId]
+    );
+
+    if (tickets.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const current = tickets[0];
+
+    if (!['called', 'serving'].includes(current.status)) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'Only called or serving tickets can be transferred' });
+    }
+
+    await checkServingSession(req.user, current.counter_id);
+
+    // A transfer sends the ticket back to waiting, directed to the target counter if given
+    const transition = buildTransition(current, 'waiting', { counterId: target_counter_id });
+
+    if (target_counter_id) {
+      const [counters] = await connection.execute(
+        'SELECT id, branch_id FROM counters WHERE id = ? AND is_active = 1',
+        [target_counter_id]
+      );
+
+      if (counters.length === 0 || counters[0].branch_id !== current.branch_id) {
+        await connection.rollback();
+        return res.status(400).json({ error: 'Invalid target_counter_id - counter is not active in this branch' });
+      }
+
+      if (target_counter_id === current.counter_id) {
+        await connection.rollback();
+        return res.status(400).json({ error: 'Ticket is already at this counter' });
+      }
+    }
+
+    if (target_service_id) {
+      const [services] = await connection.execute(
+        'SELECT id FROM services WHERE id = ? AND is_active = 1 AND (branch_id = ? OR branch_id IS NULL)',
+        [target_service_id, current.branch_id]
+      );
+
+      if (services.length === 0) {
+        await connection.rollback();
+        return res.status(400).json({ error: 'Invalid target_service_id - service is not available in this branch' });
+      }
+    }
 
-    // Update ticket status atomically
     await connection.execute(
-      `UPDATE tickets 
-       SET status = 'serving',
-           counter_id = ?,
-           called_at = ?,
-           started_at = ?
+      `UPDATE tickets
+       SET ${transition.updates.join(', ')},
+           service_id = ?,
+           transferred_from_counter_id = ?,
+           transferred_by = ?,
+           transfer_reason = ?,
+           transferred_at = NOW(),
+           front_of_queue = ?
        WHERE id = ?`,
-      [counter_id, now, now, ticketId]
+      [
+        ...transition.params,
+        target_service_id || current.service_id,
+        current.counter_id,
+        req.user.id,
+        reason || null,
+        to_front ? 1 : 0,
+        ticketId
+      ]
     );
 
-    // Commit transaction
+    await recordTicketEvent({
+      ticketId,
+      type: 'transferred',
+      actorId: req.user.id,
+      counterId: current.counter_id,
+      fromStatus: current.status,
+      toStatus: 'waiting',
+      metadata: {
+        target_counter_id: target_counter_id || null,
+        from_service_id: current.service_id,
+        target_service_id: target_service_id || current.service_id,
+        reason: reason || null,
+        to_front: Boolean(to_front)
+      }
+    }, connection);
+
     await connection.commit();
 
-    // Fetch updated ticket with relations (outside transaction)
-    const [ticketData] = await connection.execute(`
-      SELECT t.*, 
-             s.name as service_name, s.prefix as service_prefix,
-             c.name as counter_name,
-             b.name as branch_name
-      FROM tickets t
-      LEFT JOIN services s ON t.service_id = s.id
-      LEFT JOIN counters c ON t.counter_id = c.id
-      LEFT JOIN branches b ON t.branch_id = b.id
-      WHERE t.id = ?
-    `, [ticketId]);
-
-    const rawTicket = ticketData[0];
-    
-    // Transform to include nested objects
-    const ticket = {
-      ...rawTicket,
-      service: rawTicket.service_name ? {
-        name: rawTicket.service_name,
-        prefix: rawTicket.service_prefix
-      } : null,
-      counter: rawTicket.counter_name ? {
-        name: rawTicket.counter_name
-      } : null,
-      branch: rawTicket.branch_name ? {
-        name: rawTicket.branch_name
-      } : null
-    };
+    const ticket = await fetchTicket(ticketId);
 
     // Emit real-time events
     const io = req.app.get('io');
     emitTicketUpdated(io, ticket);
-    emitTicketCalled(io, ticket);
+    refreshQueueTracking(io, ticket);
+
+    if (ticket.service_id !== current.service_id) {
+      refreshQueueTracking(io, current);
+    }
+
+    if (target_counter_id) {
+      emitTransferNotification(io, {
+        ticket_id: ticket.id,
+        ticket_number: ticket.ticket_number,
+        service_name: ticket.service_name,
+        from_counter_id: current.counter_id,
+        target_counter_id,
+        transferred_by: req.user.id,
+        reason: reason || null,
+        timestamp: new Date().toISOString()
+      });
+    }
 
     res.json({ ticket });
   } catch (error) {
-    // Rollback on error
     if (connection) {
       await connection.rollback();
     }
-    console.error('Error calling next ticket:', error);
-    res.status(500).json({ error: 'Failed to call next ticket' });
+    if (error instanceof CounterSessionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error transferring ticket:', error);
+    res.status(500).json({ error: 'Failed to transfer ticket' });
   } finally {
-    // Always release connection
     if (connection) {
       connection.release();
     }
   }
 });
 
+/**
+ * POST /api/tickets/:id/recall
+ * Recall a called ticket whose customer has not come to the counter yet
+ */
+router.post('/:id/recall', authenticateToken, idempotent, async (req, res) => {
+  try {
+    const ticketId = req.params.id;
+
+    const tickets = await query('SELECT id, branch_id, status, counter_id, recall_count FROM tickets WHERE id = ?', [ticketId]);
+
+    if (tickets.length === 0) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    if (tickets[0].status !== 'called') {
+      return res.status(409).json({ error: 'Only called tickets can be recalled' });
+    }
+
+    // Once the recall limit is reached the customer is treated as a no-show
+    const settings = await getSystemSettings(tickets[0].branch_id);
+    const noShow = tickets[0].recall_count >= settings.max_recalls;
+
+    let result;
+    if (noShow) {
+      await checkServingSession(req.user, tickets[0].counter_id);
+      const { updates, params } = buildTransition(tickets[0], 'skipped', { servedBy: req.user.id });
+      result = await query(
+        `UPDATE tickets SET ${updates.join(', ')}, no_show_at = NOW() WHERE id = ? AND status = 'called'`,
+        [...params, ticketId]
+      );
+    } else {
+      result = await query(
+        `UPDATE tickets
+         SET recall_count = recall_count + 1, last_recalled_at = NOW()
+         WHERE id = ? AND status = 'called' AND recall_count = ?`,
+        [ticketId, tickets[0].recall_count]
+      );
+    }
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: 'Ticket was modified by another request, please retry' });
+    }
+
+    await recordTicketEvent({
+      ticketId,
+      type: noShow ? 'no_show' : 'recalled',
+      actorId: req.user.id,
+      counterId: tickets[0].counter_id,
+      fromStatus: 'called',
+      toStatus: noShow ? 'skipped' : 'called',
+      metadata: { recall_count: tickets[0].recall_count + (noShow ? 0 : 1) }
+    });
+
+    const ticket = await fetchTicket(ticketId);
+
+    // Emit real-time events
+    const io = req.app.get('io');
+    emitTicketUpdated(io, ticket);
+    refreshQueueTracking(io, ticket);
+
+    if (!noShow) {
+      emitTicketCalled(io, ticket);
+      notifyTicketCalled(ticket);
+    }
+
+    // A no-show frees the counter, which may call the next ticket itself
+    let nextTicket = null;
+    if (noShow && tickets[0].counter_id) {
+      try {
+        nextTicket = await autoCallNext(io, tickets[0].counter_id, req.user.id);
+      } catch (error) {
+        console.error('Auto call-next failed:', error);
+      }
+    }
+
+    res.json({ ticket, no_show: noShow, next_ticket: nextTicket });
+  } catch (error) {
+    if (error instanceof CounterSessionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error recalling ticket:', error);
+    res.status(500).json({ error: 'Failed to recall ticket' });
+  }
+});
+
+/**
+ * POST /api/tickets/:id/requeue
+ * Put a skipped ticket back into the waiting queue when the customer turns up late
+ * The ticket joins the back of the queue unless to_front is set, and gets a
+ * fresh set of recalls.
+ */
+router.post('/:id/requeue', authenticateToken, idempotent, async (req, res) => {
+  try {
+    const { to_front = false } = req.body;
+    const ticketId = req.params.id;
+
+    const tickets = await query('SELECT id, status, counter_id FROM tickets WHERE id = ?', [ticketId]);
+
+    if (tickets.length === 0) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    if (tickets[0].status !== 'skipped') {
+      return res.status(409).json({ error: 'Only skipped tickets can be requeued' });
+    }
+
+    const { updates, params } = buildTransition(tickets[0], 'waiting');
+    updates.push('front_of_queue = ?', 'recall_count = 0', 'last_recalled_at = NULL', 'no_show_at = NULL');
+    params.push(to_front ? 1 : 0);
+
+    if (!to_front) {
+      updates.push('queued_at = NOW()');
+    }
+
+    const result = await query(
+      `UPDATE tickets SET ${updates.join(', ')} WHERE id = ? AND status = 'skipped'`,
+      [...params, ticketId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: 'Ticket was modified by another request, please retry' });
+    }
+
+    await recordTicketEvent({
+      ticketId,
+      type: 'requeued',
+      actorId: req.user.id,
+      counterId: tickets[0].counter_id,
+      fromStatus: 'skipped',
+      toStatus: 'waiting',
+      metadata: { to_front: Boolean(to_front) }
+    });
+
+    const ticket = await fetchTicket(ticketId);
+
+    // Emit real-time event
+    const io = req.app.get('io');
+    emitTicketUpdated(io, ticket);
+    refreshQueueTracking(io, ticket);
+
+    res.json({ ticket });
+  } catch (error) {
+    console.error('Error requeuing ticket:', error);
+    res.status(500).json({ error: 'Failed to requeue ticket' });
+  }
+});
+
+/**
+ * POST /api/tickets/:id/hold
+ * Park a ticket being served; the counter is free to call the next customer
+ */
+router.post('/:id/hold', authenticateToken, idempotent, async (req, res) => {
+  try {
+    const { notes } = req.body;
+    const ticketId = req.params.id;
+
+    const tickets = await query('SELECT id, status, counter_id FROM tickets WHERE id = ?', [ticketId]);
+
+    if (tickets.length === 0) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    if (tickets[0].status !== 'serving') {
+      return res.status(409).json({ error: 'Only tickets being served can be put on hold' });
+    }
+
+    await checkServingSession(req.user, tickets[0].counter_id);
+
+    const { updates, params } = buildTransition(tickets[0], 'on_hold', { servedBy: req.user.id });
+
+    if (notes) {
+      updates.push('notes = ?');
+      params.push(notes);
+    }
+
+    const result = await query(
+      `UPDATE tickets SET ${updates.join(', ')} WHERE id = ? AND status = 'serving'`,
+      [...params, ticketId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: 'Ticket was modified by another request, please retry' });
+    }
+
+    await recordTicketEvent({
+      ticketId,
+      type: 'held',
+      actorId: req.user.id,
+      counterId: tickets[0].counter_id,
+      fromStatus: 'serving',
+      toStatus: 'on_hold',
+      metadata: notes ? { notes } : null
+    });
+
+    const ticket = await fetchTicket(ticketId);
+
+    // Emit real-time event
+    const io = req.app.get('io');
+    emitTicketUpdated(io, ticket);
+    refreshQueueTracking(io, ticket);
+
+    res.json({ ticket });
+  } catch (error) {
+    if (error instanceof CounterSessionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error holding ticket:', error);
+    res.status(500).json({ error: 'Failed to hold ticket' });
+  }
+});
+
+/**
+ * POST /api/tickets/:id/resume
+ * Call a held ticket back to the counter, ahead of the waiting queue
+ */
+router.post('/:id/resume', authenticateToken, idempotent, async (req, res) => {
+  try {
+    const { counter_id } = req.body;
+    const ticketId = req.params.id;
+
+    const tickets = await query('SELECT id, branch_id, status, counter_id FROM tickets WHERE id = ?', [ticketId]);
+
+    if (tickets.length === 0) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    if (tickets[0].status !== 'on_hold') {
+      return res.status(409).json({ error: 'Only held tickets can be resumed' });
+    }
+
+    if (counter_id) {
+      const counters = await query(
+        'SELECT id, branch_id FROM counters WHERE id = ? AND is_active = 1',
+        [counter_id]
+      );
+
+      if (counters.length === 0 || counters[0].branch_id !== tickets[0].branch_id) {
+        return res.status(400).json({ error: 'Invalid counter_id - counter is not active in this branch' });
+      }
+    }
+
+    // Defaults to the counter that parked the ticket
+    await checkServingSession(req.user, counter_id || tickets[0].counter_id);
+
+    const { updates, params } = buildTransition(tickets[0], 'called', { counterId: counter_id });
+    const result = await query(
+      `UPDATE tickets SET ${updates.join(', ')} WHERE id = ? AND status = 'on_hold'`,
+      [...params, ticketId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: 'Ticket was modified by another request, please retry' });
+    }
+
+    await recordTicketEvent({
+      ticketId,
+      type: 'resumed',
+      actorId: req.user.id,
+      counterId: counter_id || tickets[0].counter_id,
+      fromStatus: 'on_hold',
+      toStatus: 'called'
+    });
+
+    const ticket = await fetchTicket(ticketId);
+
+    // Emit real-time events
+    const io = req.app.get('io');
+    emitTicketUpdated(io, ticket);
+    emitTicketCalled(io, ticket);
+    notifyTicketCalled(ticket);
+    refreshQueueTracking(io, ticket);
+
+    res.json({ ticket });
+  } catch (error) {
+    if (error instanceof TicketTransitionError) {
+      return res.status(error.status).json({ error: error.message, from: error.from, to: error.to });
+    }
+    if (error instanceof CounterSessionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error resuming ticket:', error);
+    res.status(500).json({ error: 'Failed to resume ticket' });
+  }
+});
+
 /**
  * DELETE /api/tickets/:id
  * Cancel/delete ticket
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, idempotent, async (req, res) => {
   try {
     const ticketId = req.params.id;
 
     // Get ticket info before deletion
-    const tickets = await query('SELECT branch_id FROM tickets WHERE id = ?', [ticketId]);
+    const tickets = await query('SELECT id, branch_id, service_id, status, counter_id FROM tickets WHERE id = ?', [ticketId]);
     
     if (tickets.length === 0) {
       return res.status(404).json({ error: 'Ticket not found' });
@@ -466,17 +1231,42 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     const branchId = tickets[0].branch_id;
 
     // Soft delete (update status to cancelled)
-    await query(
-      'UPDATE tickets SET status = ?, ended_at = NOW() WHERE id = ?',
-      ['cancelled', ticketId]
+    const { updates, params } = buildTransition(tickets[0], 'cancelled');
+
+    // Already cancelled - nothing changed, so nothing to announce
+    if (updates.length === 0) {
+      return res.json({ success: true });
+    }
+
+    // Guard against a concurrent status change since the ticket was read
+    const result = await query(
+      `UPDATE tickets SET ${updates.join(', ')} WHERE id = ? AND status = ?`,
+      [...params, ticketId, tickets[0].status]
     );
 
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: 'Ticket was modified by another request, please retry' });
+    }
+
+    await recordTicketEvent({
+      ticketId,
+      type: 'cancelled',
+      actorId: req.user.id,
+      counterId: tickets[0].counter_id,
+      fromStatus: tickets[0].status,
+      toStatus: 'cancelled'
+    });
+
     // Emit real-time event
     const io = req.app.get('io');
     emitTicketDeleted(io, ticketId, branchId);
+    refreshQueueTracking(io, tickets[0]);
 
     res.json({ success: true });
   } catch (error) {
+    if (error instanceof TicketTransitionError) {
+      return res.status(error.status).json({ error: error.message, from: error.from, to: error.to });
+    }
     console.error('Error deleting ticket:', error);
     res.status(500).json({ error: 'Failed to delete ticket' });
   }
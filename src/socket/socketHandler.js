@@ -4,10 +4,19 @@
  */
 
 const jwt = require('jsonwebtoken');
+const { recordHeartbeat } = require('../utils/counterPresence');
+const { buildDisplayState, nextDisplayVersion } = require('../utils/displayState');
+
+// Roles that receive operational alerts for their branches
+const SUPERVISOR_ROLES = ['admin', 'supervisor'];
 
 // Store connected clients by branch
 const connectedClients = new Map();
 
+// Bursts of changes (e.g. call-next) collapse into one display:state push
+const DISPLAY_STATE_DEBOUNCE_MS = 300;
+const displayStateTimers = new Map();
+
 /**
  * Initialize Socket.IO with event handlers
  */
@@ -39,6 +48,11 @@ function initializeSocketIO(io) {
     socket.on('join:branch', (branchId) => {
       socket.join(`branch:${branchId}`);
       console.log(`📍 Socket ${socket.id} joined branch: ${branchId}`);
+
+      // Supervisors also get alerts that displays shouldn't see
+      if (!socket.isPublic && SUPERVISOR_ROLES.includes(socket.user?.role)) {
+        socket.join(`supervisors:${branchId}`);
+      }
       
       // Track connection
       if (!connectedClients.has(branchId)) {
@@ -47,15 +61,30 @@ function initializeSocketIO(io) {
       connectedClients.get(branchId).add(socket.id);
     });
 
-    // Join counter room (for staff)
+    // Join counter room (for staff) - it carries feedback tokens, so no public sockets
     socket.on('join:counter', (counterId) => {
+      if (socket.isPublic) {
+        return;
+      }
       socket.join(`counter:${counterId}`);
       console.log(`🎯 Socket ${socket.id} joined counter: ${counterId}`);
     });
 
+    // Join ticket room (public tracking page for a single ticket)
+    socket.on('join:ticket', (ticketId) => {
+      socket.join(`ticket:${ticketId}`);
+      console.log(`🎟️ Socket ${socket.id} tracking ticket: ${ticketId}`);
+    });
+
+    // Leave ticket room
+    socket.on('leave:ticket', (ticketId) => {
+      socket.leave(`ticket:${ticketId}`);
+    });
+
     // Leave branch room
     socket.on('leave:branch', (branchId) => {
       socket.leave(`branch:${branchId}`);
+      socket.leave(`supervisors:${branchId}`);
       console.log(`📍 Socket ${socket.id} left branch: ${branchId}`);
       
       // Remove from tracking
@@ -83,6 +112,34 @@ function initializeSocketIO(io) {
       socket.emit('pong', { timestamp: Date.now() });
     });
 
+    // Counter console heartbeat - keeps the counter online
+    // Only the counter's signed-in staff member or a supervisor may send it
+    socket.on('counter:heartbeat', async (counterId, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      if (socket.isPublic) {
+        return reply({ ok: false, error: 'Authentication required' });
+      }
+
+      try {
+        const staffId = SUPERVISOR_ROLES.includes(socket.user?.role) ? null : socket.user.id;
+        const { counter, cameOnline } = await recordHeartbeat(counterId, { staffId });
+
+        if (!counter) {
+          return reply({ ok: false, error: 'Counter not found, inactive or not assigned to you' });
+        }
+
+        if (cameOnline) {
+          emitCounterUpdated(io, counter);
+        }
+
+        reply({ ok: true, timestamp: Date.now() });
+      } catch (error) {
+        console.error('Counter heartbeat error:', error);
+        reply({ ok: false, error: 'Heartbeat failed' });
+      }
+    });
+
     // Disconnect handler
     socket.on('disconnect', () => {
       console.log(`🔌 Client disconnected: ${socket.id}`);
@@ -100,12 +157,54 @@ function initializeSocketIO(io) {
   console.log('✅ Socket.IO initialized');
 }
 
+/**
+ * Build and push the display snapshot for a branch
+ * Skipped when no one is in the branch room.
+ */
+async function pushDisplayState(io, branchId) {
+  if (!io.sockets.adapter.rooms.get(`branch:${branchId}`)) {
+    return;
+  }
+
+  const state = await buildDisplayState(branchId);
+  // Stamp after building so pushes go out in version order
+  state.version = nextDisplayVersion(branchId);
+
+  io.to(`branch:${branchId}`).emit('display:state', state);
+  console.log(`📺 Emitted display:state v${state.version} for branch ${branchId}`);
+}
+
+/**
+ * Queue a display:state push for a branch (every joined branch when null)
+ */
+function scheduleDisplayState(io, branchId) {
+  if (!branchId) {
+    connectedClients.forEach((clients, id) => scheduleDisplayState(io, id));
+    return;
+  }
+
+  if (displayStateTimers.has(branchId)) {
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    displayStateTimers.delete(branchId);
+    pushDisplayState(io, branchId).catch(error => {
+      console.error('Display state error:', error);
+    });
+  }, DISPLAY_STATE_DEBOUNCE_MS);
+
+  timer.unref();
+  displayStateTimers.set(branchId, timer);
+}
+
 /**
  * Emit ticket created event
  */
 function emitTicketCreated(io, ticket) {
   io.to(`branch:${ticket.branch_id}`).emit('ticket:created', ticket);
   console.log(`📤 Emitted ticket:created for ${ticket.ticket_number}`);
+  scheduleDisplayState(io, ticket.branch_id);
 }
 
 /**
@@ -114,6 +213,7 @@ function emitTicketCreated(io, ticket) {
 function emitTicketUpdated(io, ticket) {
   io.to(`branch:${ticket.branch_id}`).emit('ticket:updated', ticket);
   console.log(`📤 Emitted ticket:updated for ${ticket.ticket_number} (${ticket.status})`);
+  scheduleDisplayState(io, ticket.branch_id);
 }
 
 /**
@@ -123,9 +223,11 @@ function emitTicketCalled(io, ticket) {
   io.to(`branch:${ticket.branch_id}`).emit('ticket:called', {
     ticket_number: ticket.ticket_number,
     counter_name: ticket.counter_name,
+    recall_count: ticket.recall_count || 0,
     timestamp: new Date().toISOString()
   });
   console.log(`📢 Emitted ticket:called for ${ticket.ticket_number}`);
+  scheduleDisplayState(io, ticket.branch_id);
 }
 
 /**
@@ -134,6 +236,38 @@ function emitTicketCalled(io, ticket) {
 function emitTicketDeleted(io, ticketId, branchId) {
   io.to(`branch:${branchId}`).emit('ticket:deleted', { id: ticketId });
   console.log(`📤 Emitted ticket:deleted for ${ticketId}`);
+  scheduleDisplayState(io, branchId);
+}
+
+/**
+ * Emit queue position / ETA update to a single ticket's tracking room
+ */
+function emitTicketTracking(io, ticketId, tracking) {
+  io.to(`ticket:${ticketId}`).emit('ticket:tracking', tracking);
+}
+
+/**
+ * Offer the feedback form on the counter tablet
+ * Ticket rooms are open to anyone who knows a ticket id, so the token
+ * only goes to the authenticated counter room.
+ */
+function emitFeedbackRequested(io, ticket, token) {
+  if (ticket.counter_id) {
+    io.to(`counter:${ticket.counter_id}`).emit('feedback:requested', {
+      ticket_id: ticket.id,
+      ticket_number: ticket.ticket_number,
+      token
+    });
+  }
+}
+
+/**
+ * Emit end-of-day close-out summary for a branch
+ */
+function emitQueueClosed(io, closeout) {
+  io.to(`branch:${closeout.branch_id}`).emit('queue:closed', closeout);
+  console.log(`📤 Emitted queue:closed for branch ${closeout.branch_id}`);
+  scheduleDisplayState(io, closeout.branch_id);
 }
 
 /**
@@ -142,6 +276,15 @@ function emitTicketDeleted(io, ticketId, branchId) {
 function emitCounterUpdated(io, counter) {
   io.to(`branch:${counter.branch_id}`).emit('counter:updated', counter);
   console.log(`📤 Emitted counter:updated for ${counter.name}`);
+  scheduleDisplayState(io, counter.branch_id);
+}
+
+/**
+ * Alert supervisors that a counter with waiting customers went offline
+ */
+function emitCounterOfflineAlert(io, alert) {
+  io.to(`supervisors:${alert.branch_id}`).emit('alert:counter_offline', alert);
+  console.log(`🚨 Emitted alert:counter_offline for ${alert.counter_name} (${alert.waiting} waiting)`);
 }
 
 /**
@@ -157,6 +300,7 @@ function emitAnnouncementCreated(io, announcement) {
     io.emit('announcement:new', announcement);
     console.log(`📤 Emitted announcement:new (global)`);
   }
+  scheduleDisplayState(io, announcement.branch_id);
 }
 
 /**
@@ -172,6 +316,7 @@ function emitAnnouncementUpdated(io, announcement) {
     io.emit('announcement:updated', announcement);
     console.log(`📤 Emitted announcement:updated (global)`);
   }
+  scheduleDisplayState(io, announcement.branch_id);
 }
 
 /**
@@ -186,6 +331,7 @@ function emitAnnouncementDeleted(io, announcementId, branchId) {
     io.emit('announcement:deleted', announcementId);
     console.log(`📤 Emitted announcement:deleted (global)`);
   }
+  scheduleDisplayState(io, branchId);
 }
 
 /**
@@ -217,7 +363,11 @@ module.exports = {
   emitTicketUpdated,
   emitTicketCalled,
   emitTicketDeleted,
+  emitTicketTracking,
+  emitQueueClosed,
+  emitFeedbackRequested,
   emitCounterUpdated,
+  emitCounterOfflineAlert,
   emitAnnouncement, // Deprecated - use emitAnnouncementCreated
   emitAnnouncementCreated,
   emitAnnouncementUpdated,
@@ -0,0 +1,98 @@
+// Server-local DATETIME strings below assume a UTC server
+process.env.TZ = 'UTC';
+
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+
+const { query } = require('../../config/database');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getBusinessDate,
+  getBusinessDateTime,
+  getMinutesOfDay,
+  addDays,
+  getWeekStart,
+  getDateRange,
+  toBranchTimeSql,
+  getBranchTimeZone,
+  getBranchClock
+} = require('../businessDate');
+
+describe('businessDate', () => {
+  afterEach(() => {
+    query.mockReset();
+  });
+
+  // 2026-10-19 23:30 UTC is already the next day in Manila (UTC+8)
+  const lateEvening = new Date('2026-10-19T23:30:00Z');
+
+  it('recognises IANA time zones', () => {
+    expect(isValidTimeZone('Asia/Manila')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(null)).toBe(false);
+  });
+
+  it('works out the business date and time in the branch zone', () => {
+    expect(getBusinessDate('UTC', lateEvening)).toBe('2026-10-19');
+    expect(getBusinessDate('Asia/Manila', lateEvening)).toBe('2026-10-20');
+    expect(getBusinessDateTime('Asia/Manila', lateEvening)).toBe('2026-10-20 07:30:00');
+    expect(getMinutesOfDay('Asia/Manila', lateEvening)).toBe(7 * 60 + 30);
+  });
+
+  it('shifts dates across month and year ends', () => {
+    expect(addDays('2026-10-31', 1)).toBe('2026-11-01');
+    expect(addDays('2026-01-01', -1)).toBe('2025-12-31');
+  });
+
+  it('finds the Monday of a week', () => {
+    expect(getWeekStart('2026-10-19')).toBe('2026-10-19');
+    expect(getWeekStart('2026-10-25')).toBe('2026-10-19');
+  });
+
+  it('converts a branch business day to server-local bounds', () => {
+    expect(getDateRange('Asia/Manila', '2026-10-20')).toEqual({
+      start: '2026-10-19 16:00:00',
+      end: '2026-10-20 16:00:00'
+    });
+  });
+
+  it('keeps day bounds right across a DST change', () => {
+    // New York springs forward on 2026-03-08, so that day is 23 hours long
+    expect(getDateRange('America/New_York', '2026-03-08')).toEqual({
+      start: '2026-03-08 05:00:00',
+      end: '2026-03-09 04:00:00'
+    });
+  });
+
+  it('covers several days in one range', () => {
+    expect(getDateRange('UTC', '2026-10-19', '2026-10-21')).toEqual({
+      start: '2026-10-19 00:00:00',
+      end: '2026-10-22 00:00:00'
+    });
+  });
+
+  it('shifts SQL columns into branch time only when zones differ', () => {
+    expect(toBranchTimeSql('t.created_at', 'UTC')).toBe('t.created_at');
+    expect(toBranchTimeSql('t.created_at', 'Asia/Manila')).toBe('DATE_ADD(t.created_at, INTERVAL 480 MINUTE)');
+  });
+
+  it('falls back to the default zone for branches without a valid one', async () => {
+    query.mockResolvedValueOnce([{ timezone: 'Asia/Manila' }]);
+    await expect(getBranchTimeZone('b1')).resolves.toBe('Asia/Manila');
+
+    query.mockResolvedValueOnce([{ timezone: 'Not/AZone' }]);
+    await expect(getBranchTimeZone('b1')).resolves.toBe(DEFAULT_TIMEZONE);
+  });
+
+  it('reads the branch clock', async () => {
+    query.mockResolvedValueOnce([{ timezone: 'Asia/Manila' }]);
+
+    await expect(getBranchClock('b1', lateEvening)).resolves.toEqual({
+      timeZone: 'Asia/Manila',
+      date: '2026-10-20',
+      now: '2026-10-20 07:30:00',
+      minutes: 450
+    });
+  });
+});
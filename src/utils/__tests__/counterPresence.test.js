@@ -0,0 +1,78 @@
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+
+const db = require('../../config/database');
+const { recordHeartbeat, getStaleCounters, markCounterOffline, countWaitingForCounter } = require('../counterPresence');
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe('recordHeartbeat', () => {
+  it('brings an offline counter back online', async () => {
+    db.when(/SELECT \* FROM counters/, [{ id: 'c1', is_online: 1 }]);
+
+    const result = await recordHeartbeat('c1');
+
+    expect(result).toEqual({ counter: { id: 'c1', is_online: 1 }, cameOnline: true });
+    expect(db.statements(/SET last_ping = NOW\(\)/)[0].params).toEqual(['c1', null, null]);
+  });
+
+  it('only takes heartbeats from the signed-in staff member', async () => {
+    db.when(/SET last_ping = NOW\(\)/, { affectedRows: 0 });
+
+    const result = await recordHeartbeat('c1', { staffId: 'u2' });
+
+    expect(result.counter).toBeNull();
+    const [update] = db.statements(/SET last_ping = NOW\(\)/);
+    expect(update.sql).toMatch(/staff_id = \?/);
+    expect(update.params).toEqual(['c1', 'u2', 'u2']);
+  });
+
+  it('only reports the first heartbeat after going offline', async () => {
+    db.when(/SET is_online = 1/, { affectedRows: 0 })
+      .when(/SELECT \* FROM counters/, [{ id: 'c1', is_online: 1 }]);
+
+    const { cameOnline } = await recordHeartbeat('c1');
+
+    expect(cameOnline).toBe(false);
+  });
+
+  it('ignores unknown or inactive counters', async () => {
+    db.when(/SET last_ping = NOW\(\)/, { affectedRows: 0 });
+
+    const result = await recordHeartbeat('c9');
+
+    expect(result).toEqual({ counter: null, cameOnline: false });
+    expect(db.statements(/SET is_online = 1/)).toHaveLength(0);
+  });
+});
+
+describe('getStaleCounters', () => {
+  it('leaves counters that never sent a heartbeat alone', async () => {
+    await getStaleCounters('b1', 60);
+
+    const [select] = db.statements(/SELECT id FROM counters/);
+    expect(select.sql).toMatch(/last_heartbeat_at < NOW\(\)/);
+    expect(select.sql).not.toMatch(/IS NULL/);
+  });
+});
+
+describe('markCounterOffline', () => {
+  it('does not take a counter offline after a late heartbeat', async () => {
+    db.when(/SET is_online = 0/, { affectedRows: 0 });
+
+    expect(await markCounterOffline('c1', 60)).toBe(false);
+    expect(db.statements(/SET is_online = 0/)[0].params).toEqual(['c1', 60]);
+  });
+});
+
+describe('countWaitingForCounter', () => {
+  it('counts the tickets the counter could have called', async () => {
+    db.when(/COUNT\(\*\) as count FROM tickets/, [{ count: '3' }]);
+
+    const waiting = await countWaitingForCounter({ id: 'c1', branch_id: 'b1' });
+
+    expect(waiting).toBe(3);
+    expect(db.statements(/COUNT\(\*\)/)[0].params).toEqual(['b1', 'c1', 'c1', 'c1']);
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+
+const db = require('../../config/database');
+const {
+  signIn,
+  signOut,
+  startBreak,
+  endBreak,
+  assertServingSession
+} = require('../counterSessions');
+
+const counter = { id: 'c1', branch_id: 'b1', is_active: 1, staff_id: null, is_paused: 0 };
+
+function counterRow(fields = {}) {
+  db.when(/FROM counters WHERE id = \? FOR UPDATE/, [{ ...counter, ...fields }]);
+}
+
+function openSession(fields = {}) {
+  db.when(/FROM counter_sessions s/, [{ id: 'cs1', counter_id: 'c1', staff_id: 'u1', break_id: null, ...fields }]);
+}
+
+beforeEach(() => {
+  db.reset();
+  jest.clearAllMocks();
+});
+
+describe('signIn', () => {
+  it('opens a session and staffs the counter', async () => {
+    counterRow();
+
+    const sessionId = await signIn('c1', 'u1');
+
+    const [insert] = db.statements(/INSERT INTO counter_sessions/);
+    expect(insert.params).toEqual([sessionId, 'c1', 'u1', 'b1']);
+    expect(db.statements(/UPDATE counters SET staff_id = \?/)[0].params).toEqual(['u1', 'c1']);
+    expect(db.connection.commit).toHaveBeenCalled();
+  });
+
+  it('joins the caller\'s transaction when given a connection', async () => {
+    counterRow();
+
+    await signIn('c1', 'u1', db.connection);
+
+    expect(db.statements(/INSERT INTO counter_sessions/)).toHaveLength(1);
+    expect(db.statements(/FOR UPDATE/)).toHaveLength(1);
+    expect(db.connection.beginTransaction).not.toHaveBeenCalled();
+    expect(db.connection.commit).not.toHaveBeenCalled();
+    expect(db.connection.release).not.toHaveBeenCalled();
+  });
+
+  it('refuses a counter someone else is signed in to', async () => {
+    counterRow();
+    openSession({ staff_id: 'u2' });
+
+    await expect(signIn('c1', 'u1')).rejects.toMatchObject({
+      name: 'CounterSessionError',
+      message: 'Another staff member is signed in to this counter'
+    });
+    expect(db.connection.rollback).toHaveBeenCalled();
+    expect(db.statements(/INSERT INTO counter_sessions/)).toHaveLength(0);
+  });
+
+  it('refuses staff already signed in elsewhere', async () => {
+    counterRow();
+    db.when(/SELECT counter_id FROM counter_sessions/, [{ counter_id: 'c2' }]);
+
+    await expect(signIn('c1', 'u1')).rejects.toThrow('Sign out of your other counter first');
+  });
+
+  it('refuses inactive counters', async () => {
+    counterRow({ is_active: 0 });
+
+    await expect(signIn('c1', 'u1')).rejects.toThrow('Counter is not active');
+  });
+
+  it('reports a missing counter as 404', async () => {
+    await expect(signIn('c9', 'u1')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('breaks', () => {
+  it('pauses the counter for a break', async () => {
+    counterRow();
+    openSession();
+
+    await startBreak('c1', { reasonCode: 'lunch' });
+
+    expect(db.statements(/INSERT INTO counter_breaks/)[0].params).toEqual(
+      expect.arrayContaining(['cs1', 'c1', 'u1', 'lunch'])
+    );
+    expect(db.statements(/SET is_paused = 1/)).toHaveLength(1);
+  });
+
+  it('does not start a second break', async () => {
+    counterRow();
+    openSession({ break_id: 'br1' });
+
+    await expect(startBreak('c1', { reasonCode: 'rest' })).rejects.toThrow('already on a break');
+  });
+
+  it('ends the open break and resumes the counter', async () => {
+    counterRow({ is_paused: 1 });
+    openSession({ break_id: 'br1' });
+
+    await endBreak('c1');
+
+    expect(db.statements(/UPDATE counter_breaks SET ended_at = NOW\(\)/)[0].params).toEqual(['br1']);
+    expect(db.statements(/SET is_paused = 0/)).toHaveLength(1);
+  });
+});
+
+describe('signOut', () => {
+  it('closes the session and any open break', async () => {
+    counterRow({ staff_id: 'u1' });
+    openSession({ break_id: 'br1' });
+
+    await signOut('c1', { reason: 'reassigned', signedOutBy: 'admin1' });
+
+    expect(db.statements(/UPDATE counter_breaks/)[0].params).toEqual(['cs1']);
+    expect(db.statements(/UPDATE counter_sessions/)[0].params).toEqual(['reassigned', 'admin1', 'cs1']);
+    expect(db.statements(/SET staff_id = NULL/)[0].params).toEqual(['c1']);
+  });
+
+  it('needs someone signed in', async () => {
+    counterRow();
+
+    await expect(signOut('c1')).rejects.toThrow('No one is signed in');
+  });
+});
+
+describe('assertServingSession', () => {
+  it('accepts the signed-in staff member', async () => {
+    openSession();
+
+    await expect(assertServingSession('c1', 'u1')).resolves.toMatchObject({ id: 'cs1' });
+  });
+
+  it('refuses staff without a session at the counter', async () => {
+    await expect(assertServingSession('c1', 'u1')).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('refuses other staff', async () => {
+    openSession({ staff_id: 'u2' });
+
+    await expect(assertServingSession('c1', 'u1')).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('refuses staff on a break', async () => {
+    openSession({ break_id: 'br1' });
+
+    await expect(assertServingSession('c1', 'u1')).rejects.toThrow('End your break before serving tickets');
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+jest.mock('../waitEstimator');
+
+const db = require('../../config/database');
+const { estimateWait } = require('../waitEstimator');
+const { getRefusalReasons } = require('../issuancePolicy');
+
+function settings(values) {
+  db.when(/FROM system_settings/, [{ setting_value: JSON.stringify(values) }]);
+}
+
+function queue({ queued = 0, waiting = 0 }) {
+  db.when(/COUNT\(\*\) as queued/, [{ queued, waiting }]);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.reset();
+  // Monday 10:00 at a UTC branch, default hours 08:00-17:00
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+  jest.setSystemTime(new Date('2026-03-02T10:00:00Z'));
+  db.when(/FROM branches WHERE id = \?/, [{ timezone: 'UTC' }]);
+  estimateWait.mockResolvedValue({ estimated_wait_seconds: 600, estimated_call_time: null });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('getRefusalReasons', () => {
+  it('allows a ticket while the branch is open and the queue has room', async () => {
+    settings({ max_queue_size: 10 });
+    queue({ queued: 3, waiting: 3 });
+
+    await expect(getRefusalReasons('b1', 's1')).resolves.toEqual([]);
+    expect(estimateWait).toHaveBeenCalledWith('b1', 's1', 3);
+  });
+
+  it('counts remote and held tickets toward a full queue', async () => {
+    settings({ max_queue_size: 5 });
+    queue({ queued: 5, waiting: 2 });
+
+    const reasons = await getRefusalReasons('b1', 's1');
+
+    expect(reasons).toEqual([expect.objectContaining({ code: 'queue_full', queued: 5, waiting: 2 })]);
+    const [count] = db.statements(/COUNT\(\*\) as queued/);
+    expect(count.params).toEqual(['b1', 's1', 'remote', 'waiting', 'on_hold']);
+  });
+
+  it('ignores tickets already at a counter', async () => {
+    settings({ max_queue_size: 5 });
+    queue({ queued: 4, waiting: 4 });
+
+    await getRefusalReasons('b1', 's1');
+
+    const [count] = db.statements(/COUNT\(\*\) as queued/);
+    expect(count.params).not.toContain('called');
+    expect(count.params).not.toContain('serving');
+  });
+
+  it('refuses tickets whose wait runs past closing', async () => {
+    jest.setSystemTime(new Date('2026-03-02T16:55:00Z'));
+    estimateWait.mockResolvedValue({ estimated_wait_seconds: 600, estimated_call_time: '2026-03-02T17:05:00Z' });
+
+    const reasons = await getRefusalReasons('b1', 's1');
+
+    expect(reasons).toEqual([expect.objectContaining({ code: 'wait_past_closing', closes_at: '17:00' })]);
+  });
+
+  it('refuses tickets outside opening hours', async () => {
+    jest.setSystemTime(new Date('2026-03-02T07:30:00Z'));
+
+    const reasons = await getRefusalReasons('b1', 's1');
+
+    expect(reasons).toEqual([expect.objectContaining({ code: 'before_opening', opens_at: '08:00' })]);
+  });
+});
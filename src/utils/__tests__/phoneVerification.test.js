@@ -0,0 +1,120 @@
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+
+const crypto = require('crypto');
+const db = require('../../config/database');
+const { normalizePhone, createVerification, checkVerification, consumeVerification } = require('../phoneVerification');
+
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+function verification(fields = {}) {
+  return { id: 'v1', phone: '+639171234567', branch_id: 'b1', code_hash: hash('123456'), attempts: 0, used_at: null, is_expired: 0, ...fields };
+}
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe('normalizePhone', () => {
+  it('strips formatting', () => {
+    expect(normalizePhone('+63 (917) 123-4567')).toBe('+639171234567');
+  });
+
+  it('rejects things that are not phone numbers', () => {
+    expect(normalizePhone('12345')).toBeNull();
+    expect(normalizePhone('call me')).toBeNull();
+    expect(normalizePhone(undefined)).toBeNull();
+  });
+});
+
+describe('createVerification', () => {
+  // Codes sent in the rate-limit window
+  function recentCodes({ phone = 0, ip = 0 }) {
+    db.when(/WHERE phone = \?/, [{ count: phone }])
+      .when(/WHERE ip_address = \?/, [{ count: ip }]);
+  }
+
+  it('stores only a hash of the code it returns', async () => {
+    recentCodes({ phone: 2, ip: 9 });
+
+    const { id, code } = await createVerification({ phone: '+639171234567', branchId: 'b1', ipAddress: '10.0.0.1' });
+
+    expect(code).toMatch(/^\d{6}$/);
+    const [insert] = db.statements(/INSERT INTO phone_verifications/);
+    expect(insert.params).toEqual([id, '+639171234567', 'b1', '10.0.0.1', hash(code)]);
+  });
+
+  it('limits codes per phone', async () => {
+    recentCodes({ phone: 3 });
+
+    await expect(createVerification({ phone: '+639171234567', branchId: 'b1', ipAddress: '10.0.0.1' }))
+      .rejects.toMatchObject({ name: 'VerificationError', status: 429 });
+    expect(db.statements(/INSERT INTO phone_verifications/)).toHaveLength(0);
+  });
+
+  it('limits codes per IP address', async () => {
+    recentCodes({ ip: 10 });
+
+    await expect(createVerification({ phone: '+639171234567', branchId: 'b1', ipAddress: '10.0.0.1' }))
+      .rejects.toMatchObject({ status: 429 });
+  });
+});
+
+describe('checkVerification', () => {
+  it('accepts the right code without using it up', async () => {
+    db.when(/FROM phone_verifications WHERE id = \?/, [verification()]);
+
+    const result = await checkVerification('v1', '123456');
+
+    expect(result).toMatchObject({ phone: '+639171234567', branch_id: 'b1' });
+    expect(db.statements(/SET used_at = NOW\(\)/)).toHaveLength(0);
+  });
+
+  it('counts a wrong code as an attempt', async () => {
+    db.when(/FROM phone_verifications WHERE id = \?/, [verification()]);
+
+    await expect(checkVerification('v1', '000000')).rejects.toMatchObject({ status: 400 });
+    const [attempt] = db.statements(/attempts = attempts \+ 1/);
+    expect(attempt.sql).toMatch(/attempts < \?/);
+    expect(attempt.params).toEqual(['v1', 5]);
+  });
+
+  it('refuses the code when concurrent guesses used up the last attempt', async () => {
+    // Read with 4 attempts, but another request claimed the fifth first
+    db.when(/FROM phone_verifications WHERE id = \?/, [verification({ attempts: 4 })])
+      .when(/attempts = attempts \+ 1/, { affectedRows: 0 });
+
+    await expect(checkVerification('v1', '123456')).rejects.toMatchObject({ status: 410 });
+  });
+
+  it('stops accepting codes after too many attempts', async () => {
+    db.when(/FROM phone_verifications WHERE id = \?/, [verification({ attempts: 5 })]);
+
+    await expect(checkVerification('v1', '123456')).rejects.toMatchObject({ status: 410 });
+  });
+
+  it('rejects an expired code', async () => {
+    db.when(/FROM phone_verifications WHERE id = \?/, [verification({ is_expired: 1 })]);
+
+    await expect(checkVerification('v1', '123456')).rejects.toMatchObject({ status: 410 });
+  });
+
+  it('rejects a verification that was already used', async () => {
+    db.when(/FROM phone_verifications WHERE id = \?/, [verification({ used_at: '2026-03-02 09:00:00' })]);
+
+    await expect(checkVerification('v1', '123456')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('consumeVerification', () => {
+  it('marks the verification used', async () => {
+    await consumeVerification(db.connection, 'v1');
+
+    expect(db.statements(/SET used_at = NOW\(\)/)[0].params).toEqual(['v1']);
+  });
+
+  it('lets only one of two concurrent requests use the code', async () => {
+    db.when(/SET used_at = NOW\(\)/, { affectedRows: 0 });
+
+    await expect(consumeVerification(db.connection, 'v1')).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,102 @@
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+jest.mock('../../socket/socketHandler');
+jest.mock('../queueTracking');
+
+const db = require('../../config/database');
+const socketHandler = require('../../socket/socketHandler');
+const { assignments } = require('../../../test/fakeDatabase');
+const { closeOutBranch, expireStaleTickets } = require('../queueCloseOut');
+
+const io = {};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.reset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('closeOutBranch', () => {
+  it('expires every open ticket and records the day', async () => {
+    db.when(/FOR UPDATE/, [
+      { id: 't1', status: 'waiting', counter_id: null },
+      { id: 't2', status: 'serving', counter_id: 'c1' }
+    ])
+      .when(/SUM\(CASE/, [{ total_tickets: 10, completed: 7, cancelled: 1, skipped: 0, expired: 2 }])
+      .when(/FROM tickets t/, params => [{ id: params[0], status: 'expired', branch_id: 'b1' }]);
+
+    const closeout = await closeOutBranch(io, 'b1', { trigger: 'manual', triggeredBy: 'u1' });
+
+    const updates = db.statements(/UPDATE tickets/);
+    expect(updates).toHaveLength(2);
+    updates.forEach(update => {
+      expect(assignments(update)).toMatchObject({ status: 'expired', ended_at: 'NOW()' });
+    });
+    expect(db.connection.commit).toHaveBeenCalled();
+
+    expect(closeout).toMatchObject({
+      branch_id: 'b1',
+      trigger: 'manual',
+      triggered_by: 'u1',
+      expired_count: 2,
+      total_tickets: 10,
+      completed_count: 7
+    });
+    expect(closeout.summary.expired_by_status).toEqual({ remote: 0, waiting: 1, called: 0, serving: 1, on_hold: 0 });
+
+    const [insert] = db.statements(/INSERT INTO queue_closeouts/);
+    expect(insert.params).toEqual(expect.arrayContaining([closeout.id, 'b1', 'manual', 'u1', 2, 10, 7]));
+    expect(socketHandler.emitTicketUpdated).toHaveBeenCalledTimes(2);
+    expect(socketHandler.emitQueueClosed).toHaveBeenCalledWith(io, closeout);
+  });
+
+  it('records an empty close-out when nothing is open', async () => {
+    db.when(/SUM\(CASE/, [{ total_tickets: 0 }]);
+
+    const closeout = await closeOutBranch(io, 'b1', { trigger: 'scheduled' });
+
+    expect(closeout).toMatchObject({ expired_count: 0, total_tickets: 0, triggered_by: null });
+    expect(db.statements(/UPDATE tickets/)).toHaveLength(0);
+    expect(socketHandler.emitTicketUpdated).not.toHaveBeenCalled();
+  });
+
+  it('rolls back and records nothing when expiring fails', async () => {
+    db.when(/FOR UPDATE/, [{ id: 't1', status: 'waiting', counter_id: null }])
+      .when(/UPDATE tickets/, () => {
+        throw new Error('Lock wait timeout');
+      });
+
+    await expect(closeOutBranch(io, 'b1', { trigger: 'scheduled' })).rejects.toThrow('Lock wait timeout');
+
+    expect(db.connection.rollback).toHaveBeenCalled();
+    expect(db.connection.release).toHaveBeenCalled();
+    expect(db.statements(/INSERT INTO queue_closeouts/)).toHaveLength(0);
+    expect(socketHandler.emitQueueClosed).not.toHaveBeenCalled();
+  });
+});
+
+describe('expireStaleTickets', () => {
+  it('expires only tickets created before the branch\'s business day', async () => {
+    db.when(/FROM branches WHERE id = \?/, [{ timezone: 'UTC' }])
+      .when(/FOR UPDATE/, [{ id: 't1', status: 'waiting', counter_id: null }])
+      .when(/FROM tickets t/, [{ id: 't1', status: 'expired', branch_id: 'b1' }]);
+
+    const count = await expireStaleTickets(io, 'b1');
+
+    expect(count).toBe(1);
+    const [select] = db.statements(/FOR UPDATE/);
+    const createdBefore = select.params[select.params.length - 1];
+    expect(createdBefore).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:00:00$/);
+    expect(assignments(db.statements(/UPDATE tickets/)[0])).toMatchObject({ status: 'expired' });
+    expect(db.statements(/INSERT INTO queue_closeouts/)).toHaveLength(0);
+    expect(socketHandler.emitTicketUpdated).toHaveBeenCalledWith(io, expect.objectContaining({ id: 't1' }));
+  });
+
+  it('does nothing when the queue is clean', async () => {
+    expect(await expireStaleTickets(io, 'b1')).toBe(0);
+    expect(socketHandler.emitTicketUpdated).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+jest.mock('../../socket/socketHandler');
+
+const db = require('../../config/database');
+const socketHandler = require('../../socket/socketHandler');
+const { getTicketTracking, refreshQueueTracking } = require('../queueTracking');
+const { invalidateServiceModel } = require('../waitEstimator');
+
+const waitingTickets = [{ id: 't1' }, { id: 't2' }, { id: 't3' }];
+
+function trackedRow(id, status = 'waiting') {
+  return { id, ticket_number: id.toUpperCase(), status, branch_id: 'b1', service_id: 's1' };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.reset();
+  invalidateServiceModel('b1', 's1');
+});
+
+describe('getTicketTracking', () => {
+  it('counts the people ahead and spreads them over the open counters', async () => {
+    db.when(/WHERE t\.id IN/, [trackedRow('t3')])
+      .when(/SELECT t\.id FROM tickets t/, waitingTickets)
+      .when(/FROM counters/, [{ count: 2 }])
+      .when(/FROM services WHERE id = \?/, [{ avg_service_time: 300 }]);
+
+    const tracking = await getTicketTracking('t3');
+
+    expect(tracking).toMatchObject({
+      ticket_id: 't3',
+      people_ahead: 2,
+      active_counters: 2,
+      estimated_wait_seconds: 300
+    });
+    expect(Date.parse(tracking.estimated_call_time)).toBeGreaterThan(Date.now());
+  });
+
+  it('has no position once the ticket has been called', async () => {
+    db.when(/WHERE t\.id IN/, [trackedRow('t1', 'called')]);
+
+    const tracking = await getTicketTracking('t1');
+
+    expect(tracking).toMatchObject({ status: 'called', people_ahead: null, estimated_call_time: null });
+  });
+
+  it('returns null for an unknown ticket', async () => {
+    expect(await getTicketTracking('missing')).toBeNull();
+  });
+});
+
+describe('refreshQueueTracking', () => {
+  it('only pushes updates to tickets with an open tracking page', async () => {
+    const io = { sockets: { adapter: { rooms: new Map([['ticket:t3', new Set(['socket-1'])]]) } } };
+    db.when(/SELECT t\.id FROM tickets t/, waitingTickets)
+      .when(/WHERE t\.id IN/, params => params.map(id => trackedRow(id)));
+
+    await refreshQueueTracking(io, { id: 't1', branch_id: 'b1', service_id: 's1' });
+
+    expect(socketHandler.emitTicketTracking).toHaveBeenCalledTimes(1);
+    expect(socketHandler.emitTicketTracking).toHaveBeenCalledWith(
+      io,
+      't3',
+      expect.objectContaining({ people_ahead: 2 })
+    );
+  });
+
+  it('does not look anything up when nobody is watching', async () => {
+    const io = { sockets: { adapter: { rooms: new Map() } } };
+    db.when(/SELECT t\.id FROM tickets t/, waitingTickets);
+
+    await refreshQueueTracking(io, { id: 't1', branch_id: 'b1', service_id: 's1' });
+
+    expect(db.statements(/WHERE t\.id IN/)).toHaveLength(0);
+    expect(socketHandler.emitTicketTracking).not.toHaveBeenCalled();
+  });
+});
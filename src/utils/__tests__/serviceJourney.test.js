@@ -0,0 +1,55 @@
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+
+const db = require('../../config/database');
+const { buildJourney, getNextStepService, buildStepAdvance } = require('../serviceJourney');
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe('buildJourney', () => {
+  it('starts with the issued service and follows its route', async () => {
+    db.when(/FROM service_route_steps/, [{ step_service_id: 's2' }, { step_service_id: 's3' }]);
+
+    expect(await buildJourney('s1')).toEqual(['s1', 's2', 's3']);
+  });
+
+  it('is null for a service without a route', async () => {
+    expect(await buildJourney('s1')).toBeNull();
+  });
+});
+
+describe('getNextStepService', () => {
+  it('returns the service after the current step', () => {
+    const ticket = { journey: '["s1","s2","s3"]', current_step: 1 };
+
+    expect(getNextStepService(ticket)).toBe('s2');
+    expect(getNextStepService({ ...ticket, current_step: 2 })).toBe('s3');
+  });
+
+  it('is null on the last step or without a journey', () => {
+    expect(getNextStepService({ journey: ['s1', 's2'], current_step: 2 })).toBeNull();
+    expect(getNextStepService({ journey: null, current_step: 1 })).toBeNull();
+  });
+});
+
+describe('buildStepAdvance', () => {
+  it('requeues the ticket for the next service', () => {
+    const { updates, params } = buildStepAdvance({ status: 'serving', counter_id: 'c1' }, 's2');
+
+    expect(updates).toEqual(expect.arrayContaining([
+      'status = ?',
+      'counter_id = ?',
+      'service_id = ?',
+      'current_step = current_step + 1',
+      'queued_at = NOW()'
+    ]));
+    expect(params).toEqual(['waiting', null, 's2']);
+  });
+
+  it('follows the same rules as finishing the ticket', () => {
+    expect(() => buildStepAdvance({ status: 'waiting', counter_id: null }, 's2')).toThrow(
+      expect.objectContaining({ name: 'TicketTransitionError', to: 'done' })
+    );
+  });
+});
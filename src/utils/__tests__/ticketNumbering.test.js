@@ -0,0 +1,133 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+
+const { query } = require('../../config/database');
+const {
+  validateNumberingConfig,
+  getSequenceDate,
+  formatTicketNumber,
+  previewTicketNumber
+} = require('../ticketNumbering');
+
+/**
+ * Answer the numbering queries for service s1 in branch b1
+ * `taken` holds open tickets' numbers, as strings for s1 tickets or
+ * { ticket_number, service_id } for tickets now under another service.
+ */
+function mockService({ service, current = null, taken = [] }) {
+  const held = taken.map(ticket => (typeof ticket === 'string' ? { ticket_number: ticket, service_id: 's1' } : ticket));
+  query.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM services')) {
+      return [service];
+    }
+    if (sql.includes('FROM branches')) {
+      return [{ timezone: 'UTC', code: 'NC' }];
+    }
+    if (sql.includes('FROM ticket_sequences')) {
+      return current === null ? [] : [{ current_number: current }];
+    }
+    if (sql.includes('FROM tickets')) {
+      const byService = /service_id = \?/.test(sql);
+      const [, ...rest] = params;
+      const serviceId = byService ? rest.shift() : null;
+      const ticketNumber = rest[0];
+      return held.some(ticket => ticket.ticket_number === ticketNumber && (!byService || ticket.service_id === serviceId))
+        ? [{ id: 'open' }]
+        : [];
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+}
+
+const baseService = {
+  prefix: 'A',
+  number_padding: 1,
+  number_separator: '-',
+  number_reset: 'daily',
+  number_start: 1,
+  include_branch_code: 0
+};
+
+describe('ticketNumbering', () => {
+  afterEach(() => {
+    query.mockReset();
+  });
+
+  describe('validateNumberingConfig', () => {
+    it('accepts a valid config', () => {
+      expect(validateNumberingConfig({ number_padding: 3, number_start: 100, number_reset: 'weekly' })).toBeNull();
+    });
+
+    it('rejects a start of 0', () => {
+      expect(validateNumberingConfig({ number_start: 0 })).toMatch('number_start must be between 1 and 999');
+    });
+
+    it('rejects a start that does not fit the padding', () => {
+      expect(validateNumberingConfig({ number_padding: 2, number_start: 100 })).toMatch('between 1 and 99');
+    });
+
+    it('rejects unknown reset policies and long separators', () => {
+      expect(validateNumberingConfig({ number_reset: 'monthly' })).toMatch('number_reset');
+      expect(validateNumberingConfig({ number_separator: '----' })).toMatch('number_separator');
+    });
+  });
+
+  describe('formatTicketNumber', () => {
+    it('pads the number and adds the branch code when set', () => {
+      expect(formatTicketNumber({ prefix: 'A', padding: 3, separator: '-' }, 7)).toBe('A-007');
+      expect(formatTicketNumber({ prefix: 'A', padding: 2, separator: '', branchCode: 'NC' }, 7)).toBe('NCA07');
+    });
+  });
+
+  describe('getSequenceDate', () => {
+    const now = new Date('2026-10-22T12:00:00Z'); // a Thursday
+
+    it('follows the reset policy', () => {
+      expect(getSequenceDate('daily', 'UTC', now)).toBe('2026-10-22');
+      expect(getSequenceDate('weekly', 'UTC', now)).toBe('2026-10-19');
+      expect(getSequenceDate('never', 'UTC', now)).toBe('1970-01-01');
+    });
+
+    it('uses the branch business date', () => {
+      expect(getSequenceDate('daily', 'Asia/Manila', new Date('2026-10-22T17:00:00Z'))).toBe('2026-10-23');
+    });
+  });
+
+  describe('previewTicketNumber', () => {
+    it('starts a fresh sequence at the start offset', async () => {
+      mockService({ service: { ...baseService, number_padding: 3, number_start: 100 } });
+
+      await expect(previewTicketNumber('s1', 'b1')).resolves.toEqual({ number: 100, ticketNumber: 'A-100' });
+    });
+
+    it('wraps back to the start once the padding is used up', async () => {
+      mockService({ service: { ...baseService, number_start: 2 }, current: 9 });
+
+      await expect(previewTicketNumber('s1', 'b1')).resolves.toEqual({ number: 2, ticketNumber: 'A-2' });
+    });
+
+    it('skips numbers still held by open tickets', async () => {
+      mockService({ service: baseService, current: 8, taken: ['A-9', 'A-1'] });
+
+      await expect(previewTicketNumber('s1', 'b1')).resolves.toEqual({ number: 2, ticketNumber: 'A-2' });
+    });
+
+    it('skips numbers held by tickets transferred to another service', async () => {
+      mockService({ service: baseService, current: 0, taken: [{ ticket_number: 'A-1', service_id: 's2' }] });
+
+      await expect(previewTicketNumber('s1', 'b1')).resolves.toEqual({ number: 2, ticketNumber: 'A-2' });
+    });
+
+    it('fails when every number is held', async () => {
+      const taken = ['A-1', 'A-2', 'A-3', 'A-4', 'A-5', 'A-6', 'A-7', 'A-8', 'A-9'];
+      mockService({ service: baseService, current: 3, taken });
+
+      await expect(previewTicketNumber('s1', 'b1')).rejects.toThrow('No free ticket numbers left');
+    });
+
+    it('includes the branch code when configured', async () => {
+      mockService({ service: { ...baseService, include_branch_code: 1 } });
+
+      await expect(previewTicketNumber('s1', 'b1')).resolves.toEqual({ number: 1, ticketNumber: 'NC-A-1' });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const {
+  canTransition,
+  assertTransition,
+  assertForwardTransition,
+  buildTransition
+} = require('../ticketStateMachine');
+
+describe('ticketStateMachine', () => {
+  describe('canTransition', () => {
+    it('allows the normal service flow', () => {
+      expect(canTransition('waiting', 'called')).toBe(true);
+      expect(canTransition('called', 'serving')).toBe(true);
+      expect(canTransition('serving', 'done')).toBe(true);
+    });
+
+    it('rejects moves out of final statuses', () => {
+      expect(canTransition('done', 'waiting')).toBe(false);
+      expect(canTransition('cancelled', 'called')).toBe(false);
+      expect(canTransition('expired', 'waiting')).toBe(false);
+    });
+
+    it('rejects unknown statuses', () => {
+      expect(canTransition('nope', 'called')).toBe(false);
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('throws 400 for an unknown target status', () => {
+      expect(() => assertTransition('waiting', 'nope')).toThrow(
+        expect.objectContaining({ name: 'TicketTransitionError', status: 400 })
+      );
+    });
+
+    it('throws 409 for a disallowed transition', () => {
+      expect(() => assertTransition('waiting', 'done')).toThrow(
+        expect.objectContaining({ status: 409, from: 'waiting', to: 'done' })
+      );
+    });
+  });
+
+  describe('assertForwardTransition', () => {
+    it('refuses to send a ticket back to waiting', () => {
+      expect(() => assertForwardTransition('serving', 'waiting')).toThrow(
+        expect.objectContaining({ status: 409, from: 'serving', to: 'waiting' })
+      );
+    });
+
+    it('allows forward moves and re-applying the current status', () => {
+      expect(() => assertForwardTransition('called', 'serving')).not.toThrow();
+      expect(() => assertForwardTransition('serving', 'serving')).not.toThrow();
+      expect(() => assertForwardTransition('waiting', 'waiting')).not.toThrow();
+    });
+  });
+
+  describe('buildTransition', () => {
+    it('is a no-op for the current status', () => {
+      expect(buildTransition({ status: 'serving' }, 'serving')).toEqual({ updates: [], params: [], setsCounter: false });
+    });
+
+    it('assigns the counter and resets service times when calling', () => {
+      const { updates, params } = buildTransition({ status: 'waiting' }, 'called', { counterId: 'c1' });
+
+      expect(updates).toEqual(expect.arrayContaining(['status = ?', 'counter_id = ?', 'called_at = NOW()', 'started_at = NULL']));
+      expect(params).toEqual(['called', 'c1']);
+      expect(buildTransition({ status: 'waiting' }, 'called', { counterId: 'c1' }).setsCounter).toBe(true);
+    });
+
+    it('requires a counter to call a ticket', () => {
+      expect(() => buildTransition({ status: 'waiting', counter_id: null }, 'called')).toThrow('A counter is required');
+    });
+
+    it('parks a ticket on hold and counts it', () => {
+      const { updates, params } = buildTransition({ status: 'serving', counter_id: 'c1' }, 'on_hold', { servedBy: 'u1' });
+
+      expect(updates).toEqual(['status = ?', 'held_at = NOW()', 'hold_count = hold_count + 1', 'held_by = ?']);
+      expect(params).toEqual(['on_hold', 'u1']);
+    });
+
+    it('banks hold time and keeps the start when resuming a held ticket', () => {
+      const { updates } = buildTransition({ status: 'on_hold', counter_id: 'c1' }, 'called');
+
+      expect(updates).toContain('hold_seconds = hold_seconds + TIMESTAMPDIFF(SECOND, held_at, NOW())');
+      expect(updates).toContain('held_at = NULL');
+      expect(updates).not.toContain('started_at = NULL');
+    });
+
+    it('clears the counter and service times when going back to waiting', () => {
+      const { updates, params } = buildTransition({ status: 'serving', counter_id: 'c1' }, 'waiting');
+
+      expect(updates).toEqual(expect.arrayContaining(['counter_id = ?', 'called_at = NULL', 'started_at = NULL']));
+      expect(updates).toEqual(expect.arrayContaining(['held_at = NULL', 'hold_count = 0', 'hold_seconds = 0']));
+      expect(params).toEqual(['waiting', null]);
+    });
+
+    it('records who finished the ticket', () => {
+      const { updates, params } = buildTransition({ status: 'serving', counter_id: 'c1' }, 'done', { servedBy: 'u1' });
+
+      expect(updates).toEqual(['status = ?', 'ended_at = NOW()', 'served_by = ?']);
+      expect(params).toEqual(['done', 'u1']);
+      expect(buildTransition({ status: 'serving', counter_id: 'c1' }, 'done').setsCounter).toBe(false);
+    });
+  });
+});
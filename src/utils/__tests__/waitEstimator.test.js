@@ -0,0 +1,78 @@
+jest.mock('../../config/database', () => require('../../../test/fakeDatabase').createFakeDatabase());
+
+const db = require('../../config/database');
+const { getServiceModel, invalidateServiceModel, estimateWait } = require('../waitEstimator');
+
+function durations(...seconds) {
+  // Newest first, as the history query returns them
+  return seconds.map(duration => ({ duration }));
+}
+
+beforeEach(() => {
+  db.reset();
+  invalidateServiceModel('b1', 's1');
+  db.when(/FROM services WHERE id = \?/, [{ avg_service_time: 300 }]);
+});
+
+describe('getServiceModel', () => {
+  it('uses the configured service time without history', async () => {
+    const model = await getServiceModel('b1', 's1');
+
+    expect(model).toMatchObject({ avg_service_seconds: 300, sample_size: 0 });
+  });
+
+  it('weights the newest durations most', async () => {
+    db.when(/TIMESTAMPDIFF/, durations(200, 100, 100, 100, 100));
+
+    const model = await getServiceModel('b1', 's1');
+
+    // 0.2 * 200 + 0.8 * 100
+    expect(model.avg_service_seconds).toBe(120);
+  });
+
+  it('blends toward the configured time while samples are few', async () => {
+    db.when(/TIMESTAMPDIFF/, durations(100));
+
+    const model = await getServiceModel('b1', 's1');
+
+    // One of five samples: 0.2 * 100 + 0.8 * 300
+    expect(model.avg_service_seconds).toBe(260);
+  });
+
+  it('ignores tickets left open for hours', async () => {
+    db.when(/TIMESTAMPDIFF/, durations(100, 100, 100, 100, 100, 20000));
+
+    const model = await getServiceModel('b1', 's1');
+
+    expect(model).toMatchObject({ avg_service_seconds: 100, sample_size: 5 });
+  });
+
+  it('reuses the model until it is invalidated', async () => {
+    await getServiceModel('b1', 's1');
+    await getServiceModel('b1', 's1');
+    expect(db.statements(/TIMESTAMPDIFF/)).toHaveLength(1);
+
+    invalidateServiceModel('b1', 's1');
+    await getServiceModel('b1', 's1');
+    expect(db.statements(/TIMESTAMPDIFF/)).toHaveLength(2);
+  });
+});
+
+describe('estimateWait', () => {
+  it('divides the queue over the counters that recently served it', async () => {
+    db.when(/COUNT\(DISTINCT counter_id\)/, [{ completed: 12, counters: 2 }])
+      .when(/FROM counters/, [{ count: 4 }]);
+
+    const estimate = await estimateWait('b1', 's1', 4);
+
+    expect(estimate).toMatchObject({ people_ahead: 4, estimated_wait_seconds: 600, estimated_wait_minutes: 10 });
+  });
+
+  it('falls back to every staffed counter without recent throughput', async () => {
+    db.when(/FROM counters/, [{ count: 3 }]);
+
+    const estimate = await estimateWait('b1', 's1', 3);
+
+    expect(estimate.estimated_wait_seconds).toBe(300);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Appointment Slots
+ * Builds the bookable slot grid for a service from the branch's opening
+ * hours (system settings) and the service's average duration.
+ *
+ * Slot times are the branch's wall-clock time, as customers book them, so
+ * they are compared with the branch clock rather than the server's.
+ */
+
+const { query } = require('../config/database');
+const { getSystemSettings } = require('./systemSettings');
+const { getOpeningHours } = require('./businessHours');
+const { getBranchClock, addDays } = require('./businessDate');
+
+const SLOT_STEP_MINUTES = 5;
+
+// Appointments in these statuses hold their slot
+const ACTIVE_STATUSES = ['confirmed', 'checked_in'];
+
+/**
+ * Minutes since midnight on a date -> 'YYYY-MM-DD HH:MM:00'
+ */
+function toDateTime(date, minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${date} ${hours}:${mins}:00`;
+}
+
+/**
+ * Slot length for a service, rounded up to the slot step
+ */
+function getSlotMinutes(avgServiceSeconds) {
+  const minutes = Math.ceil((parseInt(avgServiceSeconds) || 300) / 60 / SLOT_STEP_MINUTES) * SLOT_STEP_MINUTES;
+  return Math.max(minutes, SLOT_STEP_MINUTES);
+}
+
+/**
+ * Count appointments holding a slot, locking them until the transaction ends
+ *
+ * @param {Object} connection - pool connection with an open transaction
+ */
+async function countBookings(connection, { branchId, serviceId, slotStart, slotEnd, excludeId = null }) {
+  const [rows] = await connection.execute(
+    `SELECT id FROM appointments
+     WHERE branch_id = ? AND service_id = ?
+       AND status IN (${ACTIVE_STATUSES.map(() => '?').join(',')})
+       AND slot_start < ? AND slot_end > ?
+       AND (? IS NULL OR id <> ?)
+     FOR UPDATE`,
+    [branchId, serviceId, ...ACTIVE_STATUSES, slotEnd, slotStart, excludeId, excludeId]
+  );
+  return rows.length;
+}
+
+/**
+ * All slots for a service on a date, with remaining capacity
+ */
+async function getSlots(branchId, serviceId, date) {
+  const settings = await getSystemSettings(branchId);
+  const hours = getOpeningHours(settings, date);
+
+  if (!hours) {
+    return { open: false, slots: [] };
+  }
+
+  const services = await query('SELECT avg_service_time FROM services WHERE id = ?', [serviceId]);
+  const slotMinutes = getSlotMinutes(services[0]?.avg_service_time);
+  const capacity = parseInt(settings.appointment_slot_capacity) || 1;
+
+  const booked = await query(
+    `SELECT slot_start, slot_end FROM appointments
+     WHERE branch_id = ? AND service_id = ?
+       AND status IN (${ACTIVE_STATUSES.map(() => '?').join(',')})
+       AND slot_start >= ? AND slot_start < ?`,
+    [branchId, serviceId, ...ACTIVE_STATUSES, date, addDays(date, 1)]
+  );
+
+  const { now } = await getBranchClock(branchId);
+  const slots = [];
+
+  for (let start = hours.open; start + slotMinutes <= hours.close; start += slotMinutes) {
+    const slotStart = toDateTime(date, start);
+    const slotEnd = toDateTime(date, start + slotMinutes);
+    const taken = booked.filter(row => row.slot_start < slotEnd && row.slot_end > slotStart).length;
+
+    slots.push({
+      slot_start: slotStart,
+      slot_end: slotEnd,
+      capacity,
+      booked: taken,
+      available: slotStart > now && taken < capacity
+    });
+  }
+
+  return { open: true, slot_minutes: slotMinutes, slots };
+}
+
+/**
+ * Find the slot starting at `slotStart` ('YYYY-MM-DD HH:MM[:SS]' or ISO-like)
+ * Returns null when it is not on the service's slot grid
+ */
+async function findSlot(branchId, serviceId, slotStart) {
+  const normalized = String(slotStart).replace('T', ' ').slice(0, 16) + ':00';
+  const date = normalized.slice(0, 10);
+  const { slots } = await getSlots(branchId, serviceId, date);
+  return slots.find(slot => slot.slot_start === normalized) || null;
+}
+
+module.exports = {
+  getSlots,
+  findSlot,
+  countBookings
+};
@@ -0,0 +1,41 @@
+/**
+ * Branding Helpers
+ * Shared access to the `branding_settings` row with defaults applied
+ */
+
+const { query } = require('../config/database');
+
+// Used until an admin saves branding
+const DEFAULT_BRANDING = {
+  id: 'default',
+  company_name: process.env.APP_NAME || 'NAGA Queue System',
+  primary_color: '#2563EB',
+  secondary_color: '#1E40AF',
+  ticket_header_text: 'Please keep your ticket',
+  ticket_footer_text: 'Thank you for your patience',
+  show_qr_code: true,
+  show_logo_on_ticket: true,
+  ticket_border_color: '#2563EB'
+};
+
+/**
+ * Get branding settings, TINYINT flags converted to booleans
+ */
+async function getBranding() {
+  const branding = await query('SELECT * FROM branding_settings LIMIT 1');
+
+  if (branding.length === 0) {
+    return { ...DEFAULT_BRANDING };
+  }
+
+  return {
+    ...branding[0],
+    show_qr_code: Boolean(branding[0].show_qr_code),
+    show_logo_on_ticket: Boolean(branding[0].show_logo_on_ticket)
+  };
+}
+
+module.exports = {
+  DEFAULT_BRANDING,
+  getBranding
+};
@@ -0,0 +1,192 @@
+/**
+ * Business Date Service
+ * Every branch runs on its own time zone (branches.timezone). "Today",
+ * the current time of day and day boundaries are all worked out here so
+ * sequence resets, reports and opening hours agree on which business day
+ * a moment belongs to.
+ *
+ * DATETIME columns hold the server's local wall-clock time (see dateTime.js),
+ * so day boundaries are converted back to server-local strings for SQL.
+ */
+
+const { query } = require('../config/database');
+const { formatDateTime } = require('./dateTime');
+
+// Used for branches without a time zone of their own
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter for a zone
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is an IANA time zone this runtime knows
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of a moment in a time zone
+ */
+function getZonedParts(timeZone, date = new Date()) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Offset of a time zone from UTC at a moment, in minutes
+ */
+function getOffsetMinutes(timeZone, date = new Date()) {
+  const p = getZonedParts(timeZone, date);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Business date ('YYYY-MM-DD') of a moment in a time zone
+ */
+function getBusinessDate(timeZone, date = new Date()) {
+  const p = getZonedParts(timeZone, date);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Wall-clock time ('YYYY-MM-DD HH:MM:SS') of a moment in a time zone
+ */
+function getBusinessDateTime(timeZone, date = new Date()) {
+  const p = getZonedParts(timeZone, date);
+  const pad = value => String(value).padStart(2, '0');
+  return `${getBusinessDate(timeZone, date)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+/**
+ * Minutes since local midnight of a moment in a time zone
+ */
+function getMinutesOfDay(timeZone, date = new Date()) {
+  const p = getZonedParts(timeZone, date);
+  return p.hour * 60 + p.minute;
+}
+
+/**
+ * Shift a 'YYYY-MM-DD' date by whole days
+ */
+function addDays(businessDate, days) {
+  const date = new Date(`${businessDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Monday of the week a 'YYYY-MM-DD' date falls in
+ */
+function getWeekStart(businessDate) {
+  const weekday = new Date(`${businessDate}T00:00:00Z`).getUTCDay();
+  return addDays(businessDate, -((weekday + 6) % 7));
+}
+
+/**
+ * The moment a business day starts in a time zone
+ */
+function getDayStart(timeZone, businessDate) {
+  const midnightUtc = new Date(`${businessDate}T00:00:00Z`).getTime();
+  // Guess with the offset at UTC midnight, then correct once for DST shifts
+  let start = midnightUtc - getOffsetMinutes(timeZone, new Date(midnightUtc)) * 60000;
+  start = midnightUtc - getOffsetMinutes(timeZone, new Date(start)) * 60000;
+  return new Date(start);
+}
+
+/**
+ * Server-local DATETIME bounds [start, end) covering business days
+ * Use as `column >= start AND column < end`.
+ */
+function getDateRange(timeZone, startDate, endDate = startDate) {
+  return {
+    start: formatDateTime(getDayStart(timeZone, startDate)),
+    end: formatDateTime(getDayStart(timeZone, addDays(endDate, 1)))
+  };
+}
+
+/**
+ * SQL expression moving a DATETIME column from server-local to branch time
+ * The offset is taken at one moment, so rows on the far side of a DST
+ * change within a long range are off by the DST difference.
+ */
+function toBranchTimeSql(column, timeZone, date = new Date()) {
+  const serverOffset = -date.getTimezoneOffset();
+  const shift = getOffsetMinutes(timeZone, date) - serverOffset;
+  return shift === 0 ? column : `DATE_ADD(${column}, INTERVAL ${Math.round(shift)} MINUTE)`;
+}
+
+/**
+ * Time zone configured for a branch, or the server default
+ */
+async function getBranchTimeZone(branchId, connection = null) {
+  if (!branchId) {
+    return DEFAULT_TIMEZONE;
+  }
+
+  const sql = 'SELECT timezone FROM branches WHERE id = ?';
+  const rows = connection ? (await connection.execute(sql, [branchId]))[0] : await query(sql, [branchId]);
+  const timeZone = rows[0]?.timezone;
+
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Current business date and time of day for a branch
+ */
+async function getBranchClock(branchId, date = new Date()) {
+  const timeZone = await getBranchTimeZone(branchId);
+  return {
+    timeZone,
+    date: getBusinessDate(timeZone, date),
+    now: getBusinessDateTime(timeZone, date),
+    minutes: getMinutesOfDay(timeZone, date)
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getBusinessDate,
+  getBusinessDateTime,
+  getMinutesOfDay,
+  addDays,
+  getWeekStart,
+  getDateRange,
+  toBranchTimeSql,
+  getBranchTimeZone,
+  getBranchClock
+};
@@ -0,0 +1,39 @@
+/**
+ * Business Hours
+ * Reads the per-weekday opening hours stored in system settings
+ * (monday_open, monday_close, is_monday_open, ...)
+ */
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * 'HH:MM' -> minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Opening hours for a 'YYYY-MM-DD' date, in minutes since midnight
+ * Returns null when the branch is closed that day.
+ */
+function getOpeningHours(settings, date) {
+  const day = DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+  if (!settings[`is_${day}_open`]) {
+    return null;
+  }
+
+  return {
+    day,
+    open: toMinutes(settings[`${day}_open`]),
+    close: toMinutes(settings[`${day}_close`])
+  };
+}
+
+module.exports = {
+  DAY_NAMES,
+  toMinutes,
+  getOpeningHours
+};
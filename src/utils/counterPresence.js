@@ -0,0 +1,88 @@
+/**
+ * Counter Presence
+ * Staff consoles send `counter:heartbeat` over the socket; a counter is
+ * online while heartbeats keep arriving and is marked offline by the
+ * heartbeat monitor once they stop.
+ */
+
+const { query } = require('../config/database');
+
+/**
+ * Record a heartbeat from a counter console
+ * With staffId, only counters that staff member is signed in to accept it.
+ * @returns {Promise<{ counter: Object|null, cameOnline: boolean }>}
+ */
+async function recordHeartbeat(counterId, { staffId = null } = {}) {
+  const result = await query(
+    `UPDATE counters SET last_ping = NOW(), last_heartbeat_at = NOW()
+     WHERE id = ? AND is_active = 1 AND (? IS NULL OR staff_id = ?)`,
+    [counterId, staffId, staffId]
+  );
+
+  if (result.affectedRows === 0) {
+    return { counter: null, cameOnline: false };
+  }
+
+  const back = await query(
+    'UPDATE counters SET is_online = 1, went_offline_at = NULL WHERE id = ? AND is_online = 0',
+    [counterId]
+  );
+
+  const counters = await query('SELECT * FROM counters WHERE id = ?', [counterId]);
+  return { counter: counters[0], cameOnline: back.affectedRows > 0 };
+}
+
+/**
+ * Online counters in a branch whose last heartbeat is older than the timeout
+ * Counters that never sent one have no console support and are left alone.
+ */
+async function getStaleCounters(branchId, timeoutSeconds) {
+  return query(
+    `SELECT id FROM counters
+     WHERE branch_id = ? AND is_online = 1
+       AND last_heartbeat_at < NOW() - INTERVAL ? SECOND`,
+    [branchId, timeoutSeconds]
+  );
+}
+
+/**
+ * Mark a counter offline unless a heartbeat arrived in the meantime
+ * @returns {Promise<boolean>} whether the counter went offline
+ */
+async function markCounterOffline(counterId, timeoutSeconds) {
+  const result = await query(
+    `UPDATE counters SET is_online = 0, went_offline_at = NOW()
+     WHERE id = ? AND is_online = 1
+       AND last_heartbeat_at < NOW() - INTERVAL ? SECOND`,
+    [counterId, timeoutSeconds]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Waiting tickets a counter could have called
+ * Tickets transferred to the counter, plus its routed services
+ * (counters without routing rules take every service).
+ */
+async function countWaitingForCounter(counter) {
+  const rows = await query(
+    `SELECT COUNT(*) as count FROM tickets t
+     WHERE t.status = 'waiting' AND t.branch_id = ?
+       AND (
+         t.counter_id = ?
+         OR (t.counter_id IS NULL AND (
+           NOT EXISTS (SELECT 1 FROM counter_services cs WHERE cs.counter_id = ?)
+           OR EXISTS (SELECT 1 FROM counter_services cs WHERE cs.counter_id = ? AND cs.service_id = t.service_id)
+         ))
+       )`,
+    [counter.branch_id, counter.id, counter.id, counter.id]
+  );
+  return Number(rows[0]?.count) || 0;
+}
+
+module.exports = {
+  recordHeartbeat,
+  getStaleCounters,
+  markCounterOffline,
+  countWaitingForCounter
+};
@@ -0,0 +1,229 @@
+/**
+ * Counter Sessions
+ * Staff sign in to a counter, take breaks and sign out. Each sign-in is a
+ * counter_sessions row and each break a counter_breaks row, so staffing
+ * history survives; counters.staff_id and is_paused mirror the open session.
+ */
+
+const { query, pool } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+const BREAK_REASONS = ['lunch', 'rest', 'meeting', 'training', 'technical', 'other'];
+const SIGN_OUT_REASONS = ['end_of_shift', 'reassigned', 'logout', 'other'];
+
+/**
+ * Raised when a session action doesn't fit the counter's current state
+ */
+class CounterSessionError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'CounterSessionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Open session for a counter, with its open break if any
+ */
+async function getActiveSession(counterId, connection = null) {
+  const sql = `SELECT s.*, b.id AS break_id, b.reason_code AS break_reason, b.started_at AS break_started_at
+     FROM counter_sessions s
+     LEFT JOIN counter_breaks b ON b.session_id = s.id AND b.ended_at IS NULL
+     WHERE s.counter_id = ? AND s.signed_out_at IS NULL
+     LIMIT 1`;
+  const rows = connection ? (await connection.execute(sql, [counterId]))[0] : await query(sql, [counterId]);
+  return rows[0] || null;
+}
+
+/**
+ * Run a session change in a transaction with the counter row locked
+ * `change` receives (connection, counter, session) and returns the result.
+ * Given a connection, the change joins the caller's open transaction.
+ */
+async function withLockedCounter(counterId, change, outerConnection = null) {
+  const lockAndChange = async connection => {
+    const [counters] = await connection.execute('SELECT * FROM counters WHERE id = ? FOR UPDATE', [counterId]);
+    if (counters.length === 0) {
+      throw new CounterSessionError('Counter not found', 404);
+    }
+
+    const session = await getActiveSession(counterId, connection);
+    return change(connection, counters[0], session);
+  };
+
+  if (outerConnection) {
+    return lockAndChange(outerConnection);
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const result = await lockAndChange(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Sign a staff member in to a counter
+ * @param {Object} [connection] - pool connection with an open transaction to join
+ */
+async function signIn(counterId, staffId, connection = null) {
+  return withLockedCounter(counterId, async (connection, counter, session) => {
+    if (!counter.is_active) {
+      throw new CounterSessionError('Counter is not active');
+    }
+
+    if (session) {
+      throw new CounterSessionError(
+        session.staff_id === staffId ? 'Already signed in to this counter' : 'Another staff member is signed in to this counter'
+      );
+    }
+
+    const [elsewhere] = await connection.execute(
+      'SELECT counter_id FROM counter_sessions WHERE staff_id = ? AND signed_out_at IS NULL LIMIT 1',
+      [staffId]
+    );
+    if (elsewhere.length > 0) {
+      throw new CounterSessionError('Sign out of your other counter first');
+    }
+
+    const id = uuidv4();
+    await connection.execute(
+      `INSERT INTO counter_sessions (id, counter_id, staff_id, branch_id, signed_in_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [id, counterId, staffId, counter.branch_id]
+    );
+    await connection.execute(
+      'UPDATE counters SET staff_id = ?, is_paused = 0, last_ping = NOW(), updated_at = NOW() WHERE id = ?',
+      [staffId, counterId]
+    );
+
+    return id;
+  }, connection);
+}
+
+/**
+ * Sign the current staff member out of a counter, ending any open break
+ */
+async function signOut(counterId, { reason = 'end_of_shift', signedOutBy = null } = {}) {
+  return withLockedCounter(counterId, async (connection, counter, session) => {
+    if (!session) {
+      throw new CounterSessionError('No one is signed in to this counter');
+    }
+
+    await connection.execute(
+      'UPDATE counter_breaks SET ended_at = NOW() WHERE session_id = ? AND ended_at IS NULL',
+      [session.id]
+    );
+    await connection.execute(
+      `UPDATE counter_sessions
+       SET signed_out_at = NOW(), sign_out_reason = ?, signed_out_by = ?
+       WHERE id = ?`,
+      [reason, signedOutBy, session.id]
+    );
+    await connection.execute(
+      'UPDATE counters SET staff_id = NULL, is_paused = 0, updated_at = NOW() WHERE id = ?',
+      [counterId]
+    );
+
+    return session.id;
+  });
+}
+
+/**
+ * Start a break; the counter is paused until it ends
+ */
+async function startBreak(counterId, { reasonCode, note = null }) {
+  return withLockedCounter(counterId, async (connection, counter, session) => {
+    if (!session) {
+      throw new CounterSessionError('No one is signed in to this counter');
+    }
+    if (session.break_id) {
+      throw new CounterSessionError('Counter is already on a break');
+    }
+
+    const id = uuidv4();
+    await connection.execute(
+      `INSERT INTO counter_breaks (id, session_id, counter_id, staff_id, reason_code, note, started_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [id, session.id, counterId, session.staff_id, reasonCode, note]
+    );
+    await connection.execute('UPDATE counters SET is_paused = 1, updated_at = NOW() WHERE id = ?', [counterId]);
+
+    return id;
+  });
+}
+
+/**
+ * End the open break and resume the counter
+ */
+async function endBreak(counterId) {
+  return withLockedCounter(counterId, async (connection, counter, session) => {
+    if (!session || !session.break_id) {
+      throw new CounterSessionError('Counter is not on a break');
+    }
+
+    await connection.execute('UPDATE counter_breaks SET ended_at = NOW() WHERE id = ?', [session.break_id]);
+    await connection.execute('UPDATE counters SET is_paused = 0, updated_at = NOW() WHERE id = ?', [counterId]);
+
+    return session.break_id;
+  });
+}
+
+/**
+ * Sign a staff member out of every counter they are signed in to
+ * @returns {Promise<string[]>} ids of the counters signed out
+ */
+async function signOutStaff(staffId, reason = 'logout') {
+  const sessions = await query(
+    'SELECT counter_id FROM counter_sessions WHERE staff_id = ? AND signed_out_at IS NULL',
+    [staffId]
+  );
+
+  for (const { counter_id } of sessions) {
+    await signOut(counter_id, { reason, signedOutBy: staffId });
+  }
+
+  return sessions.map(session => session.counter_id);
+}
+
+/**
+ * Check that a staff member holds the open session at a counter
+ * Tickets record served_by, so only the signed-in staff member may serve
+ * at a counter.
+ */
+async function assertServingSession(counterId, staffId) {
+  const session = await getActiveSession(counterId);
+
+  if (!session) {
+    throw new CounterSessionError('Sign in to the counter before serving tickets', 403);
+  }
+  if (session.staff_id !== staffId) {
+    throw new CounterSessionError('Another staff member is signed in to this counter', 403);
+  }
+  if (session.break_id) {
+    throw new CounterSessionError('End your break before serving tickets', 403);
+  }
+
+  return session;
+}
+
+module.exports = {
+  BREAK_REASONS,
+  SIGN_OUT_REASONS,
+  CounterSessionError,
+  getActiveSession,
+  signIn,
+  signOut,
+  startBreak,
+  endBreak,
+  signOutStaff,
+  assertServingSession
+};
@@ -0,0 +1,26 @@
+/**
+ * Date/Time Helpers
+ * DATETIME columns hold local wall-clock time, so values are formatted
+ * from local Date parts rather than toISOString() (which is UTC)
+ */
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Format a Date as 'YYYY-MM-DD'
+ */
+function formatDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Format a Date as 'YYYY-MM-DD HH:MM:SS'
+ */
+function formatDateTime(date) {
+  return `${formatDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+module.exports = {
+  formatDate,
+  formatDateTime
+};
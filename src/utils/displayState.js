@@ -0,0 +1,186 @@
+/**
+ * Display State
+ * One snapshot of everything a branch display shows: the ticket at each
+ * counter, the next numbers per service, recent calls and active
+ * announcements. Pushed as `display:state` with a per-branch version so
+ * screens can spot a missed update and re-fetch.
+ */
+
+const { query } = require('../config/database');
+const { getBranchTimeZone, getBusinessDate, getDateRange } = require('./businessDate');
+const { queueOrderBy } = require('./queueOrder');
+
+const DEFAULT_WAITING_LIMIT = 5;
+const DEFAULT_RECENT_CALLS_LIMIT = 5;
+const MAX_LIMIT = 20;
+
+// branchId -> last pushed version (resets on restart; screens then re-sync)
+const versions = new Map();
+
+/**
+ * Version of the last display:state pushed for a branch
+ */
+function getDisplayVersion(branchId) {
+  return versions.get(branchId) || 0;
+}
+
+/**
+ * Advance a branch's display version
+ */
+function nextDisplayVersion(branchId) {
+  const version = getDisplayVersion(branchId) + 1;
+  versions.set(branchId, version);
+  return version;
+}
+
+const toLimit = (value, fallback) => Math.min(Math.max(parseInt(value) || fallback, 1), MAX_LIMIT);
+
+/**
+ * Counters with the ticket each is calling or serving
+ */
+async function getCounterBoard(branchId) {
+  const counters = await query(
+    `SELECT id, name, is_paused, is_online FROM counters
+     WHERE branch_id = ? AND is_active = 1
+     ORDER BY name ASC`,
+    [branchId]
+  );
+
+  // Newest call first, so a counter shows its latest ticket
+  const current = await query(
+    `SELECT t.id, t.ticket_number, t.status, t.counter_id, t.called_at, t.recall_count,
+            s.name as service_name, s.prefix as service_prefix
+     FROM tickets t
+     LEFT JOIN services s ON t.service_id = s.id
+     WHERE t.branch_id = ? AND t.status IN ('called', 'serving') AND t.counter_id IS NOT NULL
+     ORDER BY t.called_at DESC`,
+    [branchId]
+  );
+
+  return counters.map(counter => {
+    const ticket = current.find(row => row.counter_id === counter.id);
+    return {
+      counter_id: counter.id,
+      counter_name: counter.name,
+      is_paused: Boolean(counter.is_paused),
+      is_online: Boolean(counter.is_online),
+      ticket: ticket ? {
+        id: ticket.id,
+        ticket_number: ticket.ticket_number,
+        status: ticket.status,
+        service_name: ticket.service_name,
+        service_prefix: ticket.service_prefix,
+        called_at: ticket.called_at,
+        recall_count: ticket.recall_count || 0
+      } : null
+    };
+  });
+}
+
+/**
+ * Next waiting numbers per active service, in queue order
+ */
+async function getWaitingBoard(branchId, waitingLimit) {
+  const services = await query(
+    `SELECT id, name, prefix FROM services
+     WHERE is_active = 1 AND (branch_id = ? OR branch_id IS NULL)
+     ORDER BY name ASC`,
+    [branchId]
+  );
+
+  const waiting = await query(
+    `SELECT t.id, t.ticket_number, t.service_id, t.priority_level FROM tickets t
+     WHERE t.branch_id = ? AND t.status = 'waiting'
+     ORDER BY ${queueOrderBy()}`,
+    [branchId]
+  );
+
+  return services.map(service => {
+    const queue = waiting.filter(ticket => ticket.service_id === service.id);
+    return {
+      service_id: service.id,
+      service_name: service.name,
+      service_prefix: service.prefix,
+      waiting: queue.length,
+      next: queue.slice(0, waitingLimit).map(ticket => ({
+        id: ticket.id,
+        ticket_number: ticket.ticket_number,
+        priority_level: ticket.priority_level
+      }))
+    };
+  });
+}
+
+/**
+ * Latest calls of the business day, recalls included
+ */
+async function getRecentCalls(branchId, recentLimit) {
+  const timeZone = await getBranchTimeZone(branchId);
+  const today = getDateRange(timeZone, getBusinessDate(timeZone));
+
+  return query(
+    `SELECT t.id, t.ticket_number, t.status, t.recall_count, c.name as counter_name,
+            COALESCE(GREATEST(t.called_at, t.last_recalled_at), t.called_at) as last_called_at
+     FROM tickets t
+     LEFT JOIN counters c ON t.counter_id = c.id
+     WHERE t.branch_id = ? AND t.called_at >= ?
+     ORDER BY last_called_at DESC
+     LIMIT ${recentLimit}`,
+    [branchId, today.start]
+  );
+}
+
+/**
+ * Branch and global announcements that are active right now
+ */
+async function getActiveAnnouncements(branchId) {
+  const rows = await query(
+    `SELECT * FROM announcements
+     WHERE is_active = 1 AND (branch_id = ? OR branch_id IS NULL)
+       AND (start_date IS NULL OR start_date <= NOW())
+       AND (end_date IS NULL OR end_date >= NOW())
+     ORDER BY priority DESC, created_at DESC`,
+    [branchId]
+  );
+
+  return rows.map(row => ({
+    ...row,
+    enable_tts: Boolean(row.enable_tts),
+    play_audio_on_display: Boolean(row.play_audio_on_display),
+    loop_media: Boolean(row.loop_media),
+    is_active: Boolean(row.is_active),
+    media_urls: row.media_urls ? JSON.parse(row.media_urls) : null
+  }));
+}
+
+/**
+ * Build the display snapshot for a branch
+ *
+ * @param {string} branchId
+ * @param {Object} [options]
+ * @param {number} [options.waitingLimit] - waiting numbers shown per service
+ * @param {number} [options.recentLimit] - recent calls shown
+ * @param {number} [options.version] - version to stamp (defaults to the last pushed one)
+ */
+async function buildDisplayState(branchId, { waitingLimit, recentLimit, version } = {}) {
+  const counters = await getCounterBoard(branchId);
+  const services = await getWaitingBoard(branchId, toLimit(waitingLimit, DEFAULT_WAITING_LIMIT));
+  const recentCalls = await getRecentCalls(branchId, toLimit(recentLimit, DEFAULT_RECENT_CALLS_LIMIT));
+  const announcements = await getActiveAnnouncements(branchId);
+
+  return {
+    branch_id: branchId,
+    version: version ?? getDisplayVersion(branchId),
+    generated_at: new Date().toISOString(),
+    counters,
+    services,
+    recent_calls: recentCalls,
+    announcements
+  };
+}
+
+module.exports = {
+  getDisplayVersion,
+  nextDisplayVersion,
+  buildDisplayState
+};
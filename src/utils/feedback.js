@@ -0,0 +1,35 @@
+/**
+ * Customer Feedback
+ * Issues the one-time feedback token for a completed ticket
+ */
+
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Create the feedback request for a done ticket
+ * The token is the only way to submit feedback, so it is never part of
+ * the ticket row broadcast to displays.
+ *
+ * @param {Object} ticket - done ticket (id, branch_id, service_id, counter_id, served_by)
+ * @returns {Promise<string>} feedback token
+ */
+async function createFeedbackRequest(ticket) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await query(
+    `INSERT INTO ticket_feedback (id, ticket_id, token, branch_id, service_id, counter_id, served_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE token = token`,
+    [uuidv4(), ticket.id, token, ticket.branch_id, ticket.service_id, ticket.counter_id, ticket.served_by]
+  );
+
+  // An earlier request for the same ticket keeps its token
+  const rows = await query('SELECT token FROM ticket_feedback WHERE ticket_id = ?', [ticket.id]);
+  return rows[0].token;
+}
+
+module.exports = {
+  createFeedbackRequest
+};
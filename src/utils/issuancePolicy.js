@@ -0,0 +1,95 @@
+/**
+ * Issuance Policy
+ * Decides whether a new ticket may be issued for a service right now,
+ * based on the branch's system settings
+ */
+
+const { query } = require('../config/database');
+const { getSystemSettings } = require('./systemSettings');
+const { getOpeningHours } = require('./businessHours');
+const { estimateWait } = require('./waitEstimator');
+const { getBranchClock } = require('./businessDate');
+const { QUEUED_STATUSES } = require('./ticketStateMachine');
+
+/**
+ * minutes since midnight -> 'HH:MM'
+ */
+function toTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Check every issuance rule for a service queue
+ * Returns the reasons a ticket would be refused (empty when allowed).
+ * Each reason has a machine-readable `code` and a human `message`.
+ */
+async function getRefusalReasons(branchId, serviceId) {
+  const settings = await getSystemSettings(branchId);
+  const reasons = [];
+
+  if (settings.maintenance_mode) {
+    reasons.push({ code: 'maintenance_mode', message: settings.maintenance_message });
+  }
+
+  const clock = await getBranchClock(branchId);
+  const minutesNow = clock.minutes;
+  const hours = getOpeningHours(settings, clock.date);
+
+  if (!hours) {
+    reasons.push({ code: 'closed_today', message: 'The branch is closed today' });
+  } else if (minutesNow < hours.open) {
+    reasons.push({
+      code: 'before_opening',
+      message: `The branch opens at ${toTime(hours.open)}`,
+      opens_at: toTime(hours.open)
+    });
+  } else if (minutesNow >= hours.close) {
+    reasons.push({
+      code: 'after_closing',
+      message: `The branch closed at ${toTime(hours.close)}`,
+      closes_at: toTime(hours.close)
+    });
+  }
+
+  // Remote and held tickets come back to the queue, so they count toward its size
+  const placeholders = QUEUED_STATUSES.map(() => '?').join(',');
+  const queue = await query(
+    `SELECT COUNT(*) as queued, SUM(status = 'waiting') as waiting FROM tickets
+     WHERE branch_id = ? AND service_id = ? AND status IN (${placeholders})`,
+    [branchId, serviceId, ...QUEUED_STATUSES]
+  );
+  const queued = Number(queue[0]?.queued) || 0;
+  const peopleAhead = Number(queue[0]?.waiting) || 0;
+  const maxQueueSize = parseInt(settings.max_queue_size) || 0;
+
+  if (maxQueueSize > 0 && queued >= maxQueueSize) {
+    reasons.push({
+      code: 'queue_full',
+      message: 'This service queue is full',
+      max_queue_size: maxQueueSize,
+      waiting: peopleAhead,
+      queued
+    });
+  }
+
+  // Only worth projecting while the branch is open
+  if (hours && reasons.length === 0) {
+    const estimate = await estimateWait(branchId, serviceId, peopleAhead);
+    const minutesAtCall = minutesNow + estimate.estimated_wait_seconds / 60;
+
+    if (minutesAtCall >= hours.close) {
+      reasons.push({
+        code: 'wait_past_closing',
+        message: 'The estimated wait runs past closing time',
+        closes_at: toTime(hours.close),
+        estimated_call_time: estimate.estimated_call_time
+      });
+    }
+  }
+
+  return reasons;
+}
+
+module.exports = {
+  getRefusalReasons
+};
@@ -0,0 +1,129 @@
+/**
+ * Phone Verification
+ * One-time codes for the remote queue join, with per-phone and per-IP
+ * rate limits
+ */
+
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+const CODE_TTL_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 5;
+const RATE_WINDOW_MINUTES = 15;
+const MAX_CODES_PER_PHONE = 3;
+const MAX_CODES_PER_IP = 10;
+
+/**
+ * Raised when a code cannot be issued or accepted
+ */
+class VerificationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VerificationError';
+    this.status = status;
+  }
+}
+
+const hash = value => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+/**
+ * Strip formatting from a phone number; returns null if it isn't one
+ */
+function normalizePhone(phone) {
+  const normalized = String(phone || '').replace(/[\s\-().]/g, '');
+  return /^\+?\d{7,15}$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Create a verification and return its id and the plain code to send
+ */
+async function createVerification({ phone, branchId, ipAddress }) {
+  const [byPhone] = await query(
+    `SELECT COUNT(*) as count FROM phone_verifications
+     WHERE phone = ? AND created_at >= NOW() - INTERVAL ${RATE_WINDOW_MINUTES} MINUTE`,
+    [phone]
+  );
+  const [byIp] = await query(
+    `SELECT COUNT(*) as count FROM phone_verifications
+     WHERE ip_address = ? AND created_at >= NOW() - INTERVAL ${RATE_WINDOW_MINUTES} MINUTE`,
+    [ipAddress]
+  );
+
+  if (byPhone.count >= MAX_CODES_PER_PHONE || byIp.count >= MAX_CODES_PER_IP) {
+    throw new VerificationError('Too many verification requests, please try again later', 429);
+  }
+
+  const id = uuidv4();
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  await query(
+    `INSERT INTO phone_verifications (id, phone, branch_id, ip_address, code_hash, expires_at)
+     VALUES (?, ?, ?, ?, ?, NOW() + INTERVAL ${CODE_TTL_MINUTES} MINUTE)`,
+    [id, phone, branchId, ipAddress, hash(code)]
+  );
+
+  return { id, code, expiresInSeconds: CODE_TTL_MINUTES * 60 };
+}
+
+/**
+ * Check a code without using it up
+ * Callers mark it used with consumeVerification once the join succeeds.
+ * @returns {Promise<Object>} the verification (phone, branch_id)
+ */
+async function checkVerification(verificationId, code) {
+  const verifications = await query(
+    `SELECT *, expires_at < NOW() as is_expired FROM phone_verifications WHERE id = ?`,
+    [verificationId]
+  );
+  const verification = verifications[0];
+
+  if (!verification || verification.used_at) {
+    throw new VerificationError('Verification not found or already used', 404);
+  }
+
+  if (verification.is_expired || verification.attempts >= MAX_CODE_ATTEMPTS) {
+    throw new VerificationError('Verification code has expired, please request a new one', 410);
+  }
+
+  // Claim an attempt atomically so concurrent guesses can't exceed the limit
+  const attempt = await query(
+    'UPDATE phone_verifications SET attempts = attempts + 1 WHERE id = ? AND attempts < ?',
+    [verificationId, MAX_CODE_ATTEMPTS]
+  );
+
+  if (attempt.affectedRows === 0) {
+    throw new VerificationError('Verification code has expired, please request a new one', 410);
+  }
+
+  if (hash(code) !== verification.code_hash) {
+    throw new VerificationError('Incorrect verification code');
+  }
+
+  return verification;
+}
+
+/**
+ * Mark a checked verification used
+ * Throws when a concurrent request used it first.
+ *
+ * @param {Object} connection - pool connection with an open transaction
+ */
+async function consumeVerification(connection, verificationId) {
+  const [used] = await connection.execute(
+    'UPDATE phone_verifications SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+    [verificationId]
+  );
+
+  if (used.affectedRows === 0) {
+    throw new VerificationError('Verification not found or already used', 404);
+  }
+}
+
+module.exports = {
+  VerificationError,
+  normalizePhone,
+  createVerification,
+  checkVerification,
+  consumeVerification
+};
@@ -0,0 +1,180 @@
+/**
+ * Queue Close-Out
+ * Expires every ticket still open in a branch and records a summary
+ * of the business day
+ */
+
+const { query, pool } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const { emitTicketUpdated, emitQueueClosed } = require('../socket/socketHandler');
+const { buildTransition, OPEN_STATUSES } = require('./ticketStateMachine');
+const { fetchTicket } = require('./ticketQueries');
+const { refreshQueueTracking } = require('./queueTracking');
+const { getBranchTimeZone, getBusinessDate, getDateRange } = require('./businessDate');
+const { recordTicketEvent } = require('./ticketEvents');
+
+/**
+ * Expire a branch's open tickets in one transaction
+ *
+ * @param {string} branchId
+ * @param {Object} options
+ * @param {string} options.trigger - recorded on each expired event
+ * @param {string} [options.triggeredBy] - user id for manual close-outs
+ * @param {string} [options.createdBefore] - only tickets created before this DATETIME
+ * @returns {Promise<Object[]>} the expired tickets as they were (id, status, counter_id)
+ */
+async function expireOpenTickets(branchId, { trigger, triggeredBy = null, createdBefore = null }) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const placeholders = OPEN_STATUSES.map(() => '?').join(',');
+    const [expired] = await connection.execute(
+      `SELECT id, status, counter_id FROM tickets
+       WHERE branch_id = ? AND status IN (${placeholders})
+         AND (? IS NULL OR created_at < ?)
+       FOR UPDATE`,
+      [branchId, ...OPEN_STATUSES, createdBefore, createdBefore]
+    );
+
+    for (const ticket of expired) {
+      const { updates, params } = buildTransition(ticket, 'expired');
+      await connection.execute(`UPDATE tickets SET ${updates.join(', ')} WHERE id = ?`, [...params, ticket.id]);
+      await recordTicketEvent({
+        ticketId: ticket.id,
+        type: 'expired',
+        actorId: triggeredBy,
+        counterId: ticket.counter_id,
+        fromStatus: ticket.status,
+        toStatus: 'expired',
+        metadata: { trigger }
+      }, connection);
+    }
+
+    await connection.commit();
+    return expired;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Push the updated tickets to clients after expiring them
+ */
+async function announceExpired(io, expired) {
+  for (const { id } of expired) {
+    const ticket = await fetchTicket(id);
+    emitTicketUpdated(io, ticket);
+    await refreshQueueTracking(io, ticket);
+  }
+}
+
+/**
+ * Expire tickets left open from earlier business days
+ * The scheduler runs this on every pass, so leftovers are cleared even
+ * on days without opening hours, when no close-out runs.
+ *
+ * @returns {Promise<number>} how many tickets were expired
+ */
+async function expireStaleTickets(io, branchId) {
+  const timeZone = await getBranchTimeZone(branchId);
+  const today = getDateRange(timeZone, getBusinessDate(timeZone));
+  const expired = await expireOpenTickets(branchId, { trigger: 'stale', createdBefore: today.start });
+
+  if (expired.length > 0) {
+    await announceExpired(io, expired);
+    console.log(`🌙 Expired ${expired.length} ticket(s) left open from earlier days in branch ${branchId}`);
+  }
+
+  return expired.length;
+}
+
+/**
+ * Close out a branch's queue
+ *
+ * @param {Object} io - Socket.IO server
+ * @param {string} branchId
+ * @param {Object} options
+ * @param {'scheduled'|'manual'} options.trigger
+ * @param {string} [options.triggeredBy] - user id for manual close-outs
+ * @returns {Promise<Object>} the close-out record
+ */
+async function closeOutBranch(io, branchId, { trigger, triggeredBy = null }) {
+  const timeZone = await getBranchTimeZone(branchId);
+  const businessDate = getBusinessDate(timeZone);
+  const day = getDateRange(timeZone, businessDate);
+  const expired = await expireOpenTickets(branchId, { trigger, triggeredBy });
+
+  // Day totals after expiring, plus what state the leftovers were in
+  const totals = await query(
+    `SELECT 
+      COUNT(*) as total_tickets,
+      SUM(CASE WHEN status = 'done' THEN 1 ELSE 0 END) as completed,
+      SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled,
+      SUM(CASE WHEN status = 'skipped' THEN 1 ELSE 0 END) as skipped,
+      SUM(CASE WHEN status = 'expired' THEN 1 ELSE 0 END) as expired
+    FROM tickets
+    WHERE branch_id = ? AND created_at >= ? AND created_at < ?`,
+    [branchId, day.start, day.end]
+  );
+
+  const expiredByStatus = OPEN_STATUSES.reduce((counts, status) => {
+    counts[status] = expired.filter(ticket => ticket.status === status).length;
+    return counts;
+  }, {});
+
+  const summary = {
+    total_tickets: Number(totals[0].total_tickets) || 0,
+    completed: Number(totals[0].completed) || 0,
+    cancelled: Number(totals[0].cancelled) || 0,
+    skipped: Number(totals[0].skipped) || 0,
+    expired: Number(totals[0].expired) || 0,
+    expired_by_status: expiredByStatus
+  };
+
+  const closeout = {
+    id: uuidv4(),
+    branch_id: branchId,
+    business_date: businessDate,
+    trigger,
+    triggered_by: triggeredBy,
+    expired_count: expired.length,
+    total_tickets: summary.total_tickets,
+    completed_count: summary.completed,
+    summary
+  };
+
+  await query(
+    `INSERT INTO queue_closeouts (
+      id, branch_id, business_date, \`trigger\`, triggered_by,
+      expired_count, total_tickets, completed_count, summary
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      closeout.id,
+      branchId,
+      businessDate,
+      trigger,
+      triggeredBy,
+      closeout.expired_count,
+      closeout.total_tickets,
+      closeout.completed_count,
+      JSON.stringify(summary)
+    ]
+  );
+
+  // Emit real-time events
+  await announceExpired(io, expired);
+  emitQueueClosed(io, closeout);
+
+  console.log(`🌙 Closed out branch ${branchId}: ${expired.length} ticket(s) expired (${trigger})`);
+  return closeout;
+}
+
+module.exports = {
+  closeOutBranch,
+  expireStaleTickets
+};
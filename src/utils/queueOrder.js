@@ -0,0 +1,47 @@
+/**
+ * Queue Order
+ * The one ordering of waiting tickets. Call-next, public queue positions,
+ * the approaching-turn SMS and the display board all sort with it so they
+ * agree on who is next.
+ */
+
+const { query } = require('../config/database');
+
+/**
+ * ORDER BY terms for waiting tickets
+ *
+ * @param {Object} [options]
+ * @param {string} [options.alias] - alias of the tickets table
+ * @param {boolean} [options.preferRegular] - interleave: regular tickets before priority ones
+ * @param {string} [options.routingWeight] - SQL for a counter's weight of the ticket's service;
+ *   only breaks ties within the same priority
+ * @returns {string}
+ */
+function queueOrderBy({ alias = 't', preferRegular = false, routingWeight = null } = {}) {
+  return [
+    `${alias}.front_of_queue DESC`,
+    preferRegular && `${alias}.priority_level > 0 ASC`,
+    `${alias}.priority_level DESC`,
+    routingWeight && `${routingWeight} DESC`,
+    `${alias}.queued_at ASC`
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Waiting ticket ids for a service queue, in the order call-next picks them
+ * Interleaving only changes the very next call, so it is left out here.
+ */
+async function getQueueOrder(branchId, serviceId) {
+  const rows = await query(
+    `SELECT t.id FROM tickets t
+     WHERE t.status = 'waiting' AND t.branch_id = ? AND t.service_id = ?
+     ORDER BY ${queueOrderBy()}`,
+    [branchId, serviceId]
+  );
+  return rows.map(row => row.id);
+}
+
+module.exports = {
+  queueOrderBy,
+  getQueueOrder
+};
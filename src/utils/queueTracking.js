@@ -0,0 +1,143 @@
+/**
+ * Queue Tracking
+ * Public, per-ticket view of queue position and estimated call time.
+ * A refresh also lets customers who moved near the front know by SMS.
+ */
+
+const { query } = require('../config/database');
+const { emitTicketTracking } = require('../socket/socketHandler');
+const { getSystemSettings } = require('./systemSettings');
+const { getQueueRate, toEstimate } = require('./waitEstimator');
+const { getQueueOrder } = require('./queueOrder');
+const { notifyQueueMoved } = require('../notifications/notificationService');
+
+/**
+ * Build the public tracking payload for a ticket
+ * Estimates are only included while the ticket waits and
+ * wait times are enabled in system settings.
+ */
+function buildTracking(ticket, peopleAhead, rate) {
+  const tracking = {
+    ticket_id: ticket.id,
+    ticket_number: ticket.ticket_number,
+    status: ticket.status,
+    service_name: ticket.service_name,
+    counter_name: ticket.counter_name,
+    branch_name: ticket.branch_name,
+    current_step: ticket.current_step,
+    total_steps: ticket.total_steps,
+    next_service_name: ticket.next_service_name || null,
+    people_ahead: null,
+    active_counters: rate ? rate.active_counters : null,
+    estimated_wait_seconds: null,
+    estimated_wait_minutes: null,
+    estimated_call_time: null,
+    updated_at: new Date().toISOString()
+  };
+
+  if (ticket.status === 'waiting' && peopleAhead !== null) {
+    tracking.people_ahead = peopleAhead;
+    if (rate) {
+      Object.assign(tracking, toEstimate(rate, peopleAhead));
+    }
+  }
+
+  return tracking;
+}
+
+/**
+ * Queue rate for estimates, or null when wait times are hidden
+ */
+async function getVisibleRate(branchId, serviceId) {
+  const settings = await getSystemSettings(branchId);
+  return settings.show_wait_times ? getQueueRate(branchId, serviceId) : null;
+}
+
+/**
+ * Fetch the fields the tracking payload needs
+ */
+async function fetchTrackedTickets(ticketIds) {
+  if (ticketIds.length === 0) {
+    return [];
+  }
+
+  const placeholders = ticketIds.map(() => '?').join(',');
+  return query(
+    `SELECT t.id, t.ticket_number, t.status, t.branch_id, t.service_id,
+            t.current_step, t.total_steps,
+            s.name as service_name, ns.name as next_service_name,
+            c.name as counter_name, b.name as branch_name
+     FROM tickets t
+     LEFT JOIN services s ON t.service_id = s.id
+     LEFT JOIN services ns ON ns.id = JSON_UNQUOTE(JSON_EXTRACT(t.journey, CONCAT('$[', t.current_step, ']')))
+     LEFT JOIN counters c ON t.counter_id = c.id
+     LEFT JOIN branches b ON t.branch_id = b.id
+     WHERE t.id IN (${placeholders})`,
+    ticketIds
+  );
+}
+
+/**
+ * Get tracking information for a single ticket
+ * Returns null when the ticket does not exist
+ */
+async function getTicketTracking(ticketId) {
+  const [ticket] = await fetchTrackedTickets([ticketId]);
+
+  if (!ticket) {
+    return null;
+  }
+
+  let peopleAhead = null;
+  if (ticket.status === 'waiting') {
+    const order = await getQueueOrder(ticket.branch_id, ticket.service_id);
+    peopleAhead = Math.max(order.indexOf(ticket.id), 0);
+  }
+
+  const rate = await getVisibleRate(ticket.branch_id, ticket.service_id);
+  return buildTracking(ticket, peopleAhead, rate);
+}
+
+/**
+ * Push fresh tracking data to every watcher of a service queue
+ * Called after a ticket changes; only tickets with a subscribed
+ * tracking page are looked up.
+ *
+ * @param {Object} io - Socket.IO server
+ * @param {Object} ticket - changed ticket (id, branch_id, service_id)
+ */
+async function refreshQueueTracking(io, ticket) {
+  // Calls, cancels, skips, transfers and expiries all move the queue
+  notifyQueueMoved(ticket.branch_id, ticket.service_id);
+
+  try {
+    const rooms = io.sockets.adapter.rooms;
+    const isWatched = id => rooms.has(`ticket:${id}`);
+
+    const order = await getQueueOrder(ticket.branch_id, ticket.service_id);
+    const watched = order.filter(isWatched);
+
+    if (isWatched(ticket.id) && !watched.includes(ticket.id)) {
+      watched.push(ticket.id);
+    }
+
+    if (watched.length === 0) {
+      return;
+    }
+
+    const rate = await getVisibleRate(ticket.branch_id, ticket.service_id);
+    const tickets = await fetchTrackedTickets(watched);
+
+    tickets.forEach(watchedTicket => {
+      const position = order.indexOf(watchedTicket.id);
+      emitTicketTracking(io, watchedTicket.id, buildTracking(watchedTicket, position === -1 ? null : position, rate));
+    });
+  } catch (error) {
+    console.error('Queue tracking refresh error:', error);
+  }
+}
+
+module.exports = {
+  getTicketTracking,
+  refreshQueueTracking
+};
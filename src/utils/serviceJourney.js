@@ -0,0 +1,103 @@
+/**
+ * Service Journeys
+ * A ticket for a service with a route visits each routed service in turn,
+ * keeping its number; every finished step is logged to ticket_steps
+ */
+
+const { query } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const { assertTransition, buildTransition } = require('./ticketStateMachine');
+
+/**
+ * Ordered service ids that follow a service
+ *
+ * @param {Object} connection - optional connection inside a transaction
+ */
+async function getRoute(serviceId, connection = null) {
+  const sql = `SELECT step_service_id FROM service_route_steps
+               WHERE service_id = ?
+               ORDER BY step_order ASC`;
+
+  const rows = connection
+    ? (await connection.execute(sql, [serviceId]))[0]
+    : await query(sql, [serviceId]);
+
+  return rows.map(row => row.step_service_id);
+}
+
+/**
+ * Full journey for a new ticket, or null for a single-step service
+ */
+async function buildJourney(serviceId, connection = null) {
+  const route = await getRoute(serviceId, connection);
+  return route.length > 0 ? [serviceId, ...route] : null;
+}
+
+/**
+ * Service id of the ticket's next step, or null on its last step
+ */
+function getNextStepService(ticket) {
+  if (!ticket.journey) {
+    return null;
+  }
+
+  const journey = typeof ticket.journey === 'string' ? JSON.parse(ticket.journey) : ticket.journey;
+  return journey[ticket.current_step] || null;
+}
+
+/**
+ * Build the SET clauses that finish the current step and queue the
+ * ticket for the next service instead of closing it
+ */
+function buildStepAdvance(ticket, nextServiceId) {
+  // Same rules as closing the ticket
+  assertTransition(ticket.status, 'done');
+
+  const { updates, params, setsCounter } = buildTransition(ticket, 'waiting');
+  updates.push(
+    'service_id = ?',
+    'current_step = current_step + 1',
+    'queued_at = NOW()',
+    'recall_count = 0'
+  );
+  params.push(nextServiceId);
+
+  return { updates, params, setsCounter };
+}
+
+/**
+ * Log a finished step from the ticket row as it was before closing it
+ * @param {Object} [connection] - connection when part of a transaction
+ */
+async function recordStep(ticket, servedBy, connection = null) {
+  const sql = `INSERT INTO ticket_steps (
+      id, ticket_id, step_number, service_id, counter_id, served_by,
+      queued_at, called_at, started_at, ended_at, hold_seconds
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?)`;
+  const params = [
+    uuidv4(),
+    ticket.id,
+    ticket.current_step,
+    ticket.service_id,
+    ticket.counter_id,
+    servedBy || null,
+    ticket.queued_at || ticket.created_at,
+    ticket.called_at,
+    ticket.started_at,
+    ticket.hold_seconds || 0
+  ];
+
+  if (connection) {
+    await connection.execute(sql, params);
+  } else {
+    await query(sql, params);
+  }
+}
+
+module.exports = {
+  getRoute,
+  buildJourney,
+  getNextStepService,
+  buildStepAdvance,
+  recordStep
+};
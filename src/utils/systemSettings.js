@@ -0,0 +1,93 @@
+/**
+ * System Settings Helpers
+ * Shared access to the `system_config` setting with defaults applied
+ */
+
+const { query } = require('../config/database');
+
+// Defaults used when no system_config row exists or a key is missing
+const DEFAULT_SYSTEM_SETTINGS = {
+  max_queue_size: 100,
+  auto_call_next: true,
+  display_refresh_interval: 5,
+  show_wait_times: true,
+  language: 'en',
+  default_ticker_message: 'Welcome to CASURECO II Queue Management System • Please wait for your number to be called • Thank you for your patience',
+  monday_open: '08:00',
+  monday_close: '17:00',
+  tuesday_open: '08:00',
+  tuesday_close: '17:00',
+  wednesday_open: '08:00',
+  wednesday_close: '17:00',
+  thursday_open: '08:00',
+  thursday_close: '17:00',
+  friday_open: '08:00',
+  friday_close: '17:00',
+  saturday_open: '08:00',
+  saturday_close: '12:00',
+  sunday_open: '08:00',
+  sunday_close: '12:00',
+  is_monday_open: true,
+  is_tuesday_open: true,
+  is_wednesday_open: true,
+  is_thursday_open: true,
+  is_friday_open: true,
+  is_saturday_open: false,
+  is_sunday_open: false,
+  maintenance_mode: false,
+  maintenance_message: 'System is currently under maintenance. Please check back later.',
+  organization_name: 'NAGA Queue System',
+  support_email: 'support@example.com',
+  support_phone: '+1234567890',
+  // call-next starts service straight away, as it always has; turn off to
+  // leave tickets 'called' until staff start serving (recall and no-show)
+  call_next_starts_service: true,
+  max_recalls: 3,
+  no_show_grace_minutes: 5,
+  // Regular tickets called after each priority ticket (0 = priority always first)
+  priority_interleave_ratio: 0,
+  appointment_slot_capacity: 1,
+  appointment_booking_days_ahead: 14,
+  appointment_checkin_early_minutes: 30,
+  appointment_late_grace_minutes: 15,
+  appointment_priority_level: 1,
+  // Opted-in customers get an SMS when this many people are ahead (0 = off)
+  notify_people_ahead: 3,
+  // Counters without a console heartbeat for this long go offline (0 = never)
+  counter_offline_seconds: 60
+};
+
+// Stored as TINYINT, returned as boolean
+const BOOLEAN_FIELDS = ['auto_call_next', 'show_wait_times', 'is_monday_open', 'is_tuesday_open',
+                        'is_wednesday_open', 'is_thursday_open', 'is_friday_open', 'is_saturday_open',
+                        'is_sunday_open', 'maintenance_mode', 'call_next_starts_service'];
+
+/**
+ * Get system settings merged over the defaults
+ * When a branch is given, its own system_config row (if any) overrides
+ * the global one.
+ */
+async function getSystemSettings(branchId = null) {
+  const rows = await query(
+    `SELECT setting_value FROM system_settings
+     WHERE setting_key = ? AND (branch_id IS NULL OR branch_id = ?)
+     ORDER BY branch_id IS NULL DESC`,
+    ['system_config', branchId]
+  );
+  const settings = { ...DEFAULT_SYSTEM_SETTINGS };
+  rows.forEach(row => Object.assign(settings, JSON.parse(row.setting_value)));
+
+  BOOLEAN_FIELDS.forEach(field => {
+    if (settings[field] !== undefined) {
+      settings[field] = Boolean(settings[field]);
+    }
+  });
+
+  return settings;
+}
+
+module.exports = {
+  DEFAULT_SYSTEM_SETTINGS,
+  BOOLEAN_FIELDS,
+  getSystemSettings
+};
@@ -0,0 +1,238 @@
+/**
+ * Ticket Dispatcher
+ * Picks and calls the next waiting ticket for a counter. Shared by
+ * POST /api/tickets/call-next and the automatic call after a counter
+ * finishes a ticket, so both use the same ordering and row locks.
+ */
+
+const { pool } = require('../config/database');
+const { emitTicketUpdated, emitTicketCalled } = require('../socket/socketHandler');
+const { getSystemSettings } = require('./systemSettings');
+const { buildTransition } = require('./ticketStateMachine');
+const { recordTicketEvent } = require('./ticketEvents');
+const { fetchTicket } = require('./ticketQueries');
+const { refreshQueueTracking } = require('./queueTracking');
+const { queueOrderBy } = require('./queueOrder');
+const { getBranchTimeZone, getBusinessDate, getDateRange } = require('./businessDate');
+const { notifyTicketCalled } = require('../notifications/notificationService');
+
+/**
+ * Lock and call the next eligible ticket for a counter
+ * Must run inside the caller's transaction.
+ *
+ * @param {Object} connection - pool connection with an open transaction
+ * @param {Object} options
+ * @param {string} options.counterId
+ * @param {string} [options.serviceId] - only call from this service
+ * @param {string} options.actorId - user recorded on the called event
+ * @param {boolean} [options.auto] - called automatically rather than by staff
+ * @returns {Promise<string|null>} id of the called ticket, or null when the queue is empty
+ */
+async function callNextTicket(connection, { counterId, serviceId = null, actorId, auto = false }) {
+  // Without an explicit service, only pick from the services routed to this counter
+  const [routes] = await connection.execute(
+    'SELECT COUNT(*) as count FROM counter_services WHERE counter_id = ?',
+    [counterId]
+  );
+  const hasRoutes = Number(routes[0].count) > 0;
+
+  // Fairness: after a priority ticket, call N regular tickets before the next one
+  const [counterRows] = await connection.execute('SELECT branch_id FROM counters WHERE id = ?', [counterId]);
+  const settings = await getSystemSettings(counterRows[0]?.branch_id || null);
+  const interleaveRatio = parseInt(settings.priority_interleave_ratio) || 0;
+  let preferRegular = false;
+
+  if (interleaveRatio > 0 && counterRows.length > 0) {
+    const timeZone = await getBranchTimeZone(counterRows[0].branch_id);
+    const today = getDateRange(timeZone, getBusinessDate(timeZone));
+    const [recentCalls] = await connection.execute(
+      `SELECT priority_level FROM tickets
+       WHERE branch_id = ? AND called_at >= ?
+       ORDER BY called_at DESC
+       LIMIT ${interleaveRatio}`,
+      [counterRows[0].branch_id, today.start]
+    );
+    preferRegular = recentCalls.some(call => call.priority_level > 0);
+  }
+
+  let serviceFilter = '';
+  const selectParams = [counterId, counterId, counterId];
+  if (serviceId) {
+    serviceFilter = 'AND t.service_id = ?';
+    selectParams.push(serviceId);
+  } else if (hasRoutes) {
+    serviceFilter = 'AND cs.service_id IS NOT NULL';
+  }
+
+  // Get next waiting ticket with row lock (prevents race conditions)
+  // Tickets transferred directly to this counter are called first; the
+  // counter's preferred services only break ties within the same priority
+  const [tickets] = await connection.execute(
+    `SELECT t.id FROM tickets t
+     LEFT JOIN counter_services cs ON cs.service_id = t.service_id AND cs.counter_id = ?
+     WHERE t.status = 'waiting' 
+     AND t.branch_id = (SELECT branch_id FROM counters WHERE id = ?)
+     AND (t.counter_id = ? OR (t.counter_id IS NULL ${serviceFilter}))
+     ORDER BY 
+       t.counter_id IS NOT NULL DESC,
+       ${queueOrderBy({ preferRegular, routingWeight: 'COALESCE(cs.priority, 0)' })}
+     LIMIT 1
+     FOR UPDATE`,
+    selectParams
+  );
+
+  if (!tickets || tickets.length === 0) {
+    return null;
+  }
+
+  const ticketId = tickets[0].id;
+
+  // Update ticket status atomically
+  const { updates, params } = buildTransition({ status: 'waiting' }, 'called', { counterId });
+  await connection.execute(
+    `UPDATE tickets SET ${updates.join(', ')} WHERE id = ?`,
+    [...params, ticketId]
+  );
+
+  await recordTicketEvent({
+    ticketId,
+    type: 'called',
+    actorId,
+    counterId,
+    fromStatus: 'waiting',
+    toStatus: 'called',
+    metadata: auto ? { auto: true } : null
+  }, connection);
+
+  // Unless the branch waits for staff to start serving, service starts with the call
+  if (settings.call_next_starts_service) {
+    const serving = buildTransition({ status: 'called', counter_id: counterId }, 'serving');
+    await connection.execute(
+      `UPDATE tickets SET ${serving.updates.join(', ')} WHERE id = ?`,
+      [...serving.params, ticketId]
+    );
+
+    await recordTicketEvent({
+      ticketId,
+      type: 'status_changed',
+      actorId,
+      counterId,
+      fromStatus: 'called',
+      toStatus: 'serving',
+      metadata: auto ? { auto: true } : null
+    }, connection);
+  }
+
+  return ticketId;
+}
+
+/**
+ * Fetch a called ticket with nested service, counter and branch objects
+ */
+async function fetchCalledTicket(ticketId) {
+  const rawTicket = await fetchTicket(ticketId);
+
+  // Transform to include nested objects
+  return {
+    ...rawTicket,
+    service: rawTicket.service_name ? {
+      name: rawTicket.service_name,
+      prefix: rawTicket.service_prefix
+    } : null,
+    counter: rawTicket.counter_name ? {
+      name: rawTicket.counter_name
+    } : null,
+    branch: rawTicket.branch_name ? {
+      name: rawTicket.branch_name
+    } : null
+  };
+}
+
+/**
+ * Emit the real-time events and notifications for a called ticket
+ */
+function announceCall(io, ticket) {
+  emitTicketUpdated(io, ticket);
+  refreshQueueTracking(io, ticket);
+  emitTicketCalled(io, ticket);
+  notifyTicketCalled(ticket);
+}
+
+/**
+ * Whether a counter should call its next ticket on its own
+ * The counter's own setting wins over the branch's auto_call_next;
+ * paused, inactive, offline or unstaffed counters never auto-call.
+ */
+async function isAutoCallEnabled(counter) {
+  if (!counter.is_active || counter.is_paused || !counter.is_online || !counter.staff_id) {
+    return false;
+  }
+
+  if (counter.auto_call_next !== null && counter.auto_call_next !== undefined) {
+    return Boolean(counter.auto_call_next);
+  }
+
+  const settings = await getSystemSettings(counter.branch_id);
+  return settings.auto_call_next;
+}
+
+/**
+ * Call the next ticket for a counter that just finished one
+ * Does nothing when auto-call is off for the counter, or when the
+ * counter already has a called or serving ticket.
+ *
+ * @returns {Promise<Object|null>} the called ticket
+ */
+async function autoCallNext(io, counterId, actorId) {
+  const connection = await pool.getConnection();
+  let ticketId = null;
+
+  try {
+    await connection.beginTransaction();
+
+    // Lock the counter so a pause or sign-out committed meanwhile is honoured
+    const [counters] = await connection.execute(
+      `SELECT id, branch_id, staff_id, is_active, is_paused, is_online, auto_call_next
+       FROM counters WHERE id = ? FOR UPDATE`,
+      [counterId]
+    );
+
+    const counter = counters[0];
+    let busy = false;
+
+    if (counter) {
+      const [active] = await connection.execute(
+        "SELECT id FROM tickets WHERE counter_id = ? AND status IN ('called', 'serving') LIMIT 1",
+        [counterId]
+      );
+      busy = active.length > 0;
+    }
+
+    if (counter && !busy && await isAutoCallEnabled(counter)) {
+      ticketId = await callNextTicket(connection, { counterId, actorId, auto: true });
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  if (!ticketId) {
+    return null;
+  }
+
+  const ticket = await fetchCalledTicket(ticketId);
+  announceCall(io, ticket);
+  return ticket;
+}
+
+module.exports = {
+  callNextTicket,
+  fetchCalledTicket,
+  announceCall,
+  isAutoCallEnabled,
+  autoCallNext
+};
@@ -0,0 +1,73 @@
+/**
+ * Ticket Events
+ * Append-only log of every change made to a ticket
+ */
+
+const { query } = require('../config/database');
+
+/**
+ * Record a ticket event
+ *
+ * @param {Object} event
+ * @param {string} event.ticketId
+ * @param {string} event.type - created, called, status_changed, transferred, ...
+ * @param {string} [event.actorId] - user who made the change (null for system jobs)
+ * @param {string} [event.counterId]
+ * @param {string} [event.fromStatus]
+ * @param {string} [event.toStatus]
+ * @param {Object} [event.metadata]
+ * @param {Object} [connection] - connection when part of a transaction
+ */
+async function recordTicketEvent({
+  ticketId,
+  type,
+  actorId = null,
+  counterId = null,
+  fromStatus = null,
+  toStatus = null,
+  metadata = null
+}, connection = null) {
+  const sql = `INSERT INTO ticket_events (
+      ticket_id, event_type, actor_id, counter_id, from_status, to_status, metadata
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+  const params = [
+    ticketId,
+    type,
+    actorId,
+    counterId,
+    fromStatus,
+    toStatus,
+    metadata ? JSON.stringify(metadata) : null
+  ];
+
+  if (connection) {
+    await connection.execute(sql, params);
+  } else {
+    await query(sql, params);
+  }
+}
+
+/**
+ * Full history of a ticket, oldest first
+ */
+async function getTicketHistory(ticketId) {
+  const events = await query(
+    `SELECT e.*, u.name as actor_name, c.name as counter_name
+     FROM ticket_events e
+     LEFT JOIN users u ON e.actor_id = u.id
+     LEFT JOIN counters c ON e.counter_id = c.id
+     WHERE e.ticket_id = ?
+     ORDER BY e.id ASC`,
+    [ticketId]
+  );
+
+  return events.map(event => ({
+    ...event,
+    metadata: typeof event.metadata === 'string' ? JSON.parse(event.metadata) : event.metadata
+  }));
+}
+
+module.exports = {
+  recordTicketEvent,
+  getTicketHistory
+};
@@ -0,0 +1,84 @@
+/**
+ * Ticket Issuer
+ * Allocates the next ticket number and inserts the ticket row.
+ * Must run inside the caller's transaction so the sequence lock is held
+ * until the ticket is committed.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { buildJourney } = require('./serviceJourney');
+const { recordTicketEvent } = require('./ticketEvents');
+const { allocateTicketNumber } = require('./ticketNumbering');
+
+/**
+ * Issue a new ticket
+ *
+ * @param {Object} connection - pool connection with an open transaction
+ * @param {Object} data
+ * @returns {Promise<{ ticketId: string, ticketNumber: string }>}
+ */
+async function issueTicket(connection, {
+  serviceId,
+  branchId,
+  priorityLevel = 0,
+  priorityCategoryId = null,
+  customerName = null,
+  customerPhone = null,
+  notifyOptIn = false,
+  notes = null,
+  issuedBy = null,
+  status = 'waiting'
+}) {
+  console.log('🎫 Creating ticket for service_id:', serviceId);
+
+  // Allocate the number with the service's numbering scheme
+  const ticketNumber = await allocateTicketNumber(connection, serviceId, branchId);
+  console.log('🔢 Generated ticket number:', ticketNumber);
+
+  // Services with a route send the ticket through several steps
+  const journey = await buildJourney(serviceId, connection);
+
+  // Create ticket
+  const ticketId = uuidv4();
+  await connection.execute(
+    `INSERT INTO tickets (
+      id, ticket_number, service_id, journey, total_steps, branch_id, priority_level, priority_category_id,
+      customer_name, customer_phone, notify_opt_in, notes, issued_by, status, queued_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      ticketId,
+      ticketNumber,
+      serviceId,
+      journey ? JSON.stringify(journey) : null,
+      journey ? journey.length : 1,
+      branchId,
+      priorityLevel,
+      priorityCategoryId,
+      customerName,
+      customerPhone,
+      notifyOptIn && customerPhone ? 1 : 0,
+      notes,
+      issuedBy,
+      status
+    ]
+  );
+
+  await recordTicketEvent({
+    ticketId,
+    type: 'created',
+    actorId: issuedBy,
+    toStatus: status,
+    metadata: {
+      ticket_number: ticketNumber,
+      service_id: serviceId,
+      priority_level: priorityLevel,
+      priority_category_id: priorityCategoryId
+    }
+  }, connection);
+
+  return { ticketId, ticketNumber };
+}
+
+module.exports = {
+  issueTicket
+};
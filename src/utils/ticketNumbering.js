@@ -0,0 +1,231 @@
+/**
+ * Ticket Numbering
+ * Per-service numbering schemes: [BRANCH<sep>]PREFIX<sep>NNN
+ * Sequences live in ticket_sequences, keyed by a period date that
+ * follows the service's reset policy. Numbers wrap back to the start
+ * once the padding width is used up, skipping any still held by an
+ * open ticket.
+ */
+
+const { query } = require('../config/database');
+const { OPEN_STATUSES } = require('./ticketStateMachine');
+const { getBranchTimeZone, getBusinessDate, getWeekStart } = require('./businessDate');
+
+const RESET_POLICIES = ['daily', 'weekly', 'never'];
+const MAX_PADDING = 8;
+
+// Sequence key for services that never reset
+const NEVER_RESET_DATE = '1970-01-01';
+
+// Numbering columns accepted on service create/update
+const NUMBERING_FIELDS = ['number_padding', 'number_separator', 'number_reset', 'number_start', 'include_branch_code'];
+
+/**
+ * Validate numbering fields on a service
+ * Pass the stored values merged with the update so number_start is
+ * checked against the padding it will be rendered with.
+ * @returns {string|null} error message
+ */
+function validateNumberingConfig(config) {
+  const width = config.number_padding !== undefined ? Number(config.number_padding) : 3;
+
+  if (config.number_padding !== undefined &&
+      (!Number.isInteger(width) || width < 1 || width > MAX_PADDING)) {
+    return `number_padding must be an integer between 1 and ${MAX_PADDING}`;
+  }
+
+  if (config.number_separator !== undefined &&
+      (typeof config.number_separator !== 'string' || config.number_separator.length > 3)) {
+    return 'number_separator must be a string of at most 3 characters';
+  }
+
+  if (config.number_reset !== undefined && !RESET_POLICIES.includes(config.number_reset)) {
+    return `number_reset must be one of: ${RESET_POLICIES.join(', ')}`;
+  }
+
+  if (config.number_start !== undefined) {
+    const start = Number(config.number_start);
+    // 0 is the stored value of a fresh sequence, so numbers start at 1 or later
+    if (!Number.isInteger(start) || start < 1 || start > 10 ** width - 1) {
+      return `number_start must be between 1 and ${10 ** width - 1}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run a query on a transaction connection when given, else on the pool
+ */
+async function run(connection, sql, params) {
+  if (connection) {
+    const [rows] = await connection.execute(sql, params);
+    return rows;
+  }
+  return query(sql, params);
+}
+
+/**
+ * Load the numbering scheme for a service in a branch
+ */
+async function getNumberingScheme(serviceId, branchId, connection = null) {
+  const services = await run(
+    connection,
+    `SELECT prefix, number_padding, number_separator, number_reset, number_start, include_branch_code
+     FROM services WHERE id = ?`,
+    [serviceId]
+  );
+
+  if (services.length === 0) {
+    throw new Error(`Service ${serviceId} not found`);
+  }
+
+  const service = services[0];
+  let branchCode = null;
+
+  if (service.include_branch_code) {
+    const branches = await run(connection, 'SELECT code FROM branches WHERE id = ?', [branchId]);
+    branchCode = branches[0]?.code || null;
+  }
+
+  // Resets follow the branch's business day, not the server's
+  const timeZone = await getBranchTimeZone(branchId, connection);
+
+  const padding = Math.min(Math.max(parseInt(service.number_padding) || 3, 1), MAX_PADDING);
+
+  return {
+    prefix: service.prefix,
+    padding,
+    separator: service.number_separator ?? '-',
+    reset: RESET_POLICIES.includes(service.number_reset) ? service.number_reset : 'daily',
+    start: Math.max(parseInt(service.number_start) || 1, 1),
+    max: 10 ** padding - 1,
+    branchCode,
+    timeZone
+  };
+}
+
+/**
+ * Sequence period for a reset policy: the branch's business date,
+ * that week's Monday, or a fixed date
+ */
+function getSequenceDate(reset, timeZone, now = new Date()) {
+  if (reset === 'never') {
+    return NEVER_RESET_DATE;
+  }
+
+  const today = getBusinessDate(timeZone, now);
+  return reset === 'weekly' ? getWeekStart(today) : today;
+}
+
+/**
+ * Render a sequence number with the service's scheme
+ */
+function formatTicketNumber(scheme, number) {
+  const parts = [scheme.prefix, String(number).padStart(scheme.padding, '0')];
+  if (scheme.branchCode) {
+    parts.unshift(scheme.branchCode);
+  }
+  return parts.join(scheme.separator);
+}
+
+/**
+ * The number after `current`, wrapping back to the start
+ * A fresh sequence (current 0) begins at the start offset.
+ */
+function nextNumber(scheme, current) {
+  const candidate = current <= 0 ? scheme.start : current + 1;
+  return candidate > scheme.max || candidate < scheme.start ? scheme.start : candidate;
+}
+
+/**
+ * First free number after `current`, skipping numbers held by open tickets
+ * Checked across the whole branch: a transferred ticket keeps its number
+ * under its new service.
+ */
+async function findFreeNumber(scheme, branchId, current, connection) {
+  const placeholders = OPEN_STATUSES.map(() => '?').join(',');
+  const capacity = scheme.max - scheme.start + 1;
+  let candidate = nextNumber(scheme, current);
+
+  for (let tried = 0; tried < capacity; tried++) {
+    const ticketNumber = formatTicketNumber(scheme, candidate);
+    const taken = await run(
+      connection,
+      `SELECT id FROM tickets
+       WHERE branch_id = ? AND ticket_number = ? AND status IN (${placeholders})
+       LIMIT 1`,
+      [branchId, ticketNumber, ...OPEN_STATUSES]
+    );
+
+    if (taken.length === 0) {
+      return { number: candidate, ticketNumber };
+    }
+
+    candidate = nextNumber(scheme, candidate);
+  }
+
+  throw new Error('No free ticket numbers left for this service');
+}
+
+/**
+ * Consume the next ticket number
+ * Must run inside the caller's transaction so the sequence row stays
+ * locked until the ticket is inserted.
+ */
+async function allocateTicketNumber(connection, serviceId, branchId) {
+  const scheme = await getNumberingScheme(serviceId, branchId, connection);
+  const period = getSequenceDate(scheme.reset, scheme.timeZone);
+
+  // Lock and get/create sequence row (prevents race conditions)
+  await connection.execute(
+    `INSERT INTO ticket_sequences (service_id, branch_id, current_number, date)
+     VALUES (?, ?, 0, ?)
+     ON DUPLICATE KEY UPDATE current_number = current_number`,
+    [serviceId, branchId, period]
+  );
+
+  const [sequences] = await connection.execute(
+    `SELECT current_number FROM ticket_sequences
+     WHERE service_id = ? AND branch_id = ? AND date = ?
+     FOR UPDATE`,
+    [serviceId, branchId, period]
+  );
+
+  const { number, ticketNumber } = await findFreeNumber(
+    scheme, branchId, sequences[0]?.current_number || 0, connection
+  );
+
+  await connection.execute(
+    `UPDATE ticket_sequences 
+     SET current_number = ?
+     WHERE service_id = ? AND branch_id = ? AND date = ?`,
+    [number, serviceId, branchId, period]
+  );
+
+  return ticketNumber;
+}
+
+/**
+ * What the next ticket number would be, without consuming it
+ */
+async function previewTicketNumber(serviceId, branchId) {
+  const scheme = await getNumberingScheme(serviceId, branchId);
+  const sequences = await query(
+    'SELECT current_number FROM ticket_sequences WHERE service_id = ? AND branch_id = ? AND date = ?',
+    [serviceId, branchId, getSequenceDate(scheme.reset, scheme.timeZone)]
+  );
+
+  return findFreeNumber(scheme, branchId, sequences[0]?.current_number || 0, null);
+}
+
+module.exports = {
+  RESET_POLICIES,
+  MAX_PADDING,
+  NUMBERING_FIELDS,
+  validateNumberingConfig,
+  getSequenceDate,
+  formatTicketNumber,
+  allocateTicketNumber,
+  previewTicketNumber
+};
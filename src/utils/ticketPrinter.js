@@ -0,0 +1,174 @@
+/**
+ * Ticket Printer
+ * Renders a ticket for printing, laid out from branding settings:
+ * raw ESC/POS bytes for thermal printers and a print-ready HTML page
+ */
+
+const QRCode = require('qrcode');
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const FS = 0x1c;
+
+/**
+ * Public page where the customer can follow the ticket
+ */
+function getTrackingUrl(ticket) {
+  const baseUrl = (process.env.PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${baseUrl}/track/${ticket.id}`;
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Lines shared by both formats, in print order
+ */
+function getTicketLines(ticket, tracking) {
+  return {
+    branch: ticket.branch_name || '',
+    service: ticket.service_name || '',
+    issued: `Issued: ${ticket.created_at}`,
+    waiting: tracking && tracking.people_ahead !== null
+      ? `${tracking.people_ahead} ahead of you`
+      : null
+  };
+}
+
+/**
+ * Build the ESC/POS command stream for a ticket
+ * The logo is printed from the printer's NV memory (slot 1), where it
+ * has to be stored once with the printer vendor's utility.
+ *
+ * @returns {Buffer}
+ */
+function renderEscPos(ticket, branding, tracking = null) {
+  const chunks = [];
+  const command = (...bytes) => chunks.push(Buffer.from(bytes));
+  const text = value => chunks.push(Buffer.from(`${value}\n`, 'latin1'));
+  const lines = getTicketLines(ticket, tracking);
+
+  command(ESC, 0x40);            // Initialize
+  command(ESC, 0x74, 16);        // Code page WPC1252
+  command(ESC, 0x61, 1);         // Center
+
+  if (branding.show_logo_on_ticket) {
+    command(FS, 0x70, 1, 0);     // Print NV bit image 1
+  }
+
+  command(ESC, 0x45, 1);         // Bold on
+  text(branding.company_name || '');
+  command(ESC, 0x45, 0);
+  text(lines.branch);
+
+  if (branding.ticket_header_text) {
+    text(branding.ticket_header_text);
+  }
+
+  text('');
+  text(lines.service);
+  command(GS, 0x21, 0x33);       // Quadruple width and height
+  text(ticket.ticket_number);
+  command(GS, 0x21, 0x00);
+  text('');
+  text(lines.issued);
+
+  if (lines.waiting) {
+    text(lines.waiting);
+  }
+
+  if (branding.show_qr_code) {
+    const data = Buffer.from(getTrackingUrl(ticket), 'latin1');
+    const length = data.length + 3;
+
+    text('');
+    command(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0);          // QR model 2
+    command(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, 6);                // Module size
+    command(GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31);             // Error correction M
+    command(GS, 0x28, 0x6b, length % 256, Math.floor(length / 256), 0x31, 0x50, 0x30);
+    chunks.push(data);                                             // Store QR data
+    command(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30);             // Print QR
+    text('');
+  }
+
+  if (branding.ticket_footer_text) {
+    text(branding.ticket_footer_text);
+  }
+
+  command(ESC, 0x64, 4);         // Feed 4 lines
+  command(GS, 0x56, 0x42, 0);    // Partial cut
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Build a print-ready HTML page for a ticket (80mm roll)
+ *
+ * @returns {Promise<string>}
+ */
+async function renderHtml(ticket, branding, tracking = null) {
+  const lines = getTicketLines(ticket, tracking);
+  const borderColor = /^#[0-9a-f]{3,8}$/i.test(branding.ticket_border_color || '')
+    ? branding.ticket_border_color
+    : '#000000';
+
+  const logo = branding.show_logo_on_ticket && branding.logo_url
+    ? `<img class="logo" src="${escapeHtml(branding.logo_url)}" alt="">`
+    : '';
+
+  const qrCode = branding.show_qr_code
+    ? `<div class="qr">${await QRCode.toString(getTrackingUrl(ticket), { type: 'svg', margin: 0 })}</div>`
+    : '';
+
+  const optional = (value, className) => value ? `<p class="${className}">${escapeHtml(value)}</p>` : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(ticket.ticket_number)}</title>
+<style>
+  @page { size: 80mm auto; margin: 0; }
+  body { margin: 0; font-family: Arial, Helvetica, sans-serif; }
+  .ticket { width: 72mm; margin: 2mm auto; padding: 3mm; box-sizing: border-box;
+            border: 2px solid ${borderColor}; text-align: center; }
+  .logo { max-width: 40mm; max-height: 20mm; }
+  .company { font-weight: bold; font-size: 14pt; margin: 1mm 0; }
+  p { margin: 1mm 0; font-size: 10pt; }
+  .service { font-size: 12pt; margin-top: 3mm; }
+  .number { font-size: 36pt; font-weight: bold; margin: 2mm 0; }
+  .qr svg { width: 30mm; height: 30mm; margin: 2mm 0; }
+</style>
+</head>
+<body>
+<div class="ticket">
+  ${logo}
+  <p class="company">${escapeHtml(branding.company_name)}</p>
+  ${optional(lines.branch, 'branch')}
+  ${optional(branding.ticket_header_text, 'header')}
+  ${optional(lines.service, 'service')}
+  <p class="number">${escapeHtml(ticket.ticket_number)}</p>
+  <p class="issued">${escapeHtml(lines.issued)}</p>
+  ${optional(lines.waiting, 'waiting')}
+  ${qrCode}
+  ${optional(branding.ticket_footer_text, 'footer')}
+</div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  getTrackingUrl,
+  renderEscPos,
+  renderHtml
+};
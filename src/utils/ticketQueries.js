@@ -0,0 +1,28 @@
+/**
+ * Shared Ticket Queries
+ */
+
+const { query } = require('../config/database');
+
+/**
+ * Fetch a ticket with its service, counter and branch names
+ */
+async function fetchTicket(ticketId) {
+  const tickets = await query(`
+    SELECT t.*, 
+           s.name as service_name, s.prefix as service_prefix,
+           c.name as counter_name,
+           b.name as branch_name
+    FROM tickets t
+    LEFT JOIN services s ON t.service_id = s.id
+    LEFT JOIN counters c ON t.counter_id = c.id
+    LEFT JOIN branches b ON t.branch_id = b.id
+    WHERE t.id = ?
+  `, [ticketId]);
+
+  return tickets[0];
+}
+
+module.exports = {
+  fetchTicket
+};
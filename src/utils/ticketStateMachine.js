@@ -0,0 +1,197 @@
+/**
+ * Ticket Lifecycle State Machine
+ * Single source of truth for ticket statuses, the transitions allowed
+ * between them and the timestamps each transition sets
+ */
+
+const TICKET_STATUSES = ['remote', 'waiting', 'called', 'serving', 'on_hold', 'done', 'skipped', 'cancelled', 'expired'];
+
+// Tickets still in the queue or at a counter
+const OPEN_STATUSES = ['remote', 'waiting', 'called', 'serving', 'on_hold'];
+
+// Open tickets that still hold a place in line: not yet checked in,
+// waiting, or parked until they are called back
+const QUEUED_STATUSES = ['remote', 'waiting', 'on_hold'];
+
+/**
+ * Allowed transitions (from -> to)
+ * - waiting back from called/serving is a transfer
+ * - waiting from skipped is a late requeue
+ * - expired is set by the end-of-day close-out
+ * - on_hold parks a ticket at its counter; resuming calls it back
+ * - remote tickets join the queue (waiting) when checked in at the branch
+ */
+const TRANSITIONS = {
+  remote: ['waiting', 'cancelled', 'expired'],
+  waiting: ['called', 'cancelled', 'expired'],
+  called: ['serving', 'waiting', 'skipped', 'cancelled', 'expired'],
+  serving: ['done', 'skipped', 'cancelled', 'on_hold', 'waiting', 'expired'],
+  on_hold: ['called', 'serving', 'cancelled', 'expired'],
+  skipped: ['waiting'],
+  done: [],
+  cancelled: [],
+  expired: []
+};
+
+/**
+ * Raised when a status change is not allowed
+ */
+class TicketTransitionError extends Error {
+  constructor(message, { from, to, status = 409 } = {}) {
+    super(message);
+    this.name = 'TicketTransitionError';
+    this.status = status;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Check whether a ticket may move from one status to another
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Throw a TicketTransitionError unless the transition is allowed
+ */
+function assertTransition(from, to) {
+  if (!TICKET_STATUSES.includes(to)) {
+    throw new TicketTransitionError(`Unknown ticket status '${to}'`, { from, to, status: 400 });
+  }
+
+  if (!canTransition(from, to)) {
+    throw new TicketTransitionError(`Cannot change ticket status from '${from}' to '${to}'`, { from, to });
+  }
+}
+
+/**
+ * Throw unless a plain status update may make the transition
+ * Tickets only go back to waiting through transfer or requeue,
+ * which reset their place in the queue and record why.
+ */
+function assertForwardTransition(from, to) {
+  // Re-applying the current status is a no-op
+  if (from === to) {
+    return;
+  }
+
+  if (to === 'waiting') {
+    throw new TicketTransitionError('Use transfer or requeue to return a ticket to the queue', { from, to });
+  }
+
+  assertTransition(from, to);
+}
+
+/**
+ * Build the SET clauses for moving a ticket to a new status
+ *
+ * @param {Object} ticket - current row (needs status and counter_id)
+ * @param {string} to - target status
+ * @param {Object} options
+ * @param {string} [options.counterId] - counter taking the ticket
+ * @param {string} [options.servedBy] - staff member closing or parking the ticket
+ * @returns {{ updates: string[], params: any[], setsCounter: boolean }}
+ *   setsCounter is true when the updates already assign counter_id
+ */
+function buildTransition(ticket, to, { counterId, servedBy } = {}) {
+  const updates = [];
+  const params = [];
+
+  // Re-applying the current status is a no-op
+  if (ticket.status === to) {
+    return { updates, params, setsCounter: false };
+  }
+
+  assertTransition(ticket.status, to);
+
+  updates.push('status = ?');
+  params.push(to);
+
+  const counter = counterId || ticket.counter_id;
+  const resuming = ticket.status === 'on_hold';
+
+  // Bank the time spent parked so it can be left out of service time
+  if (resuming) {
+    updates.push('hold_seconds = hold_seconds + TIMESTAMPDIFF(SECOND, held_at, NOW())', 'held_at = NULL');
+  }
+
+  switch (to) {
+    case 'called':
+      if (!counter) {
+        throw new TicketTransitionError('A counter is required to call a ticket', { from: ticket.status, to });
+      }
+      updates.push('counter_id = ?', 'called_at = NOW()', 'front_of_queue = 0');
+      params.push(counter);
+      // A held ticket is already part-way through service
+      if (!resuming) {
+        updates.push('started_at = NULL');
+      }
+      break;
+
+    case 'serving':
+      if (!counter) {
+        throw new TicketTransitionError('A counter is required to serve a ticket', { from: ticket.status, to });
+      }
+      // Keep the original start when resuming a held ticket
+      updates.push('counter_id = ?', 'started_at = COALESCE(started_at, NOW())');
+      params.push(counter);
+      break;
+
+    case 'on_hold':
+      updates.push('held_at = NOW()', 'hold_count = hold_count + 1');
+      if (servedBy) {
+        updates.push('held_by = ?');
+        params.push(servedBy);
+      }
+      break;
+
+    case 'waiting':
+      // Hold time belongs to the service just left, not the next one
+      updates.push(
+        'counter_id = ?',
+        'called_at = NULL',
+        'started_at = NULL',
+        'ended_at = NULL',
+        'served_by = NULL',
+        'held_at = NULL',
+        'hold_count = 0',
+        'hold_seconds = 0'
+      );
+      params.push(counterId || null);
+      break;
+
+    case 'expired':
+      updates.push('ended_at = NOW()');
+      break;
+
+    case 'done':
+    case 'skipped':
+    case 'cancelled':
+      updates.push('ended_at = NOW()');
+      if (servedBy) {
+        updates.push('served_by = ?');
+        params.push(servedBy);
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  const setsCounter = ['called', 'serving', 'waiting'].includes(to);
+  return { updates, params, setsCounter };
+}
+
+module.exports = {
+  TICKET_STATUSES,
+  OPEN_STATUSES,
+  QUEUED_STATUSES,
+  TRANSITIONS,
+  TicketTransitionError,
+  canTransition,
+  assertTransition,
+  assertForwardTransition,
+  buildTransition
+};
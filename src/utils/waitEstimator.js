@@ -0,0 +1,210 @@
+/**
+ * Wait Time Estimator
+ * Keeps a rolling per-branch, per-service model of how long customers
+ * take to serve, built from completed tickets rather than the static
+ * services.avg_service_time column
+ */
+
+const { query } = require('../config/database');
+
+const MODEL_TTL_MS = 60 * 1000;      // Rebuild a model at most once a minute
+const HISTORY_DAYS = 14;             // Rolling window of completed tickets
+const MAX_SAMPLES = 200;
+const MIN_SAMPLES = 5;               // Below this, blend toward the configured time
+const SMOOTHING = 0.2;               // EWMA weight of the newest duration
+const MAX_DURATION_SECONDS = 4 * 3600; // Ignore tickets left open by mistake
+const DEFAULT_SERVICE_SECONDS = 300;
+
+// `${branchId}:${serviceId}` -> model
+const models = new Map();
+
+/**
+ * Build a service model from recent history
+ */
+async function loadModel(branchId, serviceId) {
+  const services = await query('SELECT avg_service_time FROM services WHERE id = ?', [serviceId]);
+  const configured = parseInt(services[0]?.avg_service_time) || DEFAULT_SERVICE_SECONDS;
+
+  // Multi-step tickets contribute one sample per finished step
+  const samples = await query(
+    `SELECT duration FROM (
+       SELECT TIMESTAMPDIFF(SECOND, started_at, ended_at) - hold_seconds as duration, ended_at
+       FROM tickets
+       WHERE branch_id = ? AND service_id = ? AND status = 'done' AND total_steps = 1
+         AND started_at IS NOT NULL AND ended_at IS NOT NULL
+         AND ended_at >= NOW() - INTERVAL ${HISTORY_DAYS} DAY
+       UNION ALL
+       SELECT TIMESTAMPDIFF(SECOND, ts.started_at, ts.ended_at) - ts.hold_seconds as duration, ts.ended_at
+       FROM ticket_steps ts
+       JOIN tickets t ON ts.ticket_id = t.id
+       WHERE t.branch_id = ? AND ts.service_id = ?
+         AND ts.started_at IS NOT NULL
+         AND ts.ended_at >= NOW() - INTERVAL ${HISTORY_DAYS} DAY
+     ) completed
+     ORDER BY ended_at DESC
+     LIMIT ${MAX_SAMPLES}`,
+    [branchId, serviceId, branchId, serviceId]
+  );
+
+  // Oldest first so the newest durations carry the most weight
+  const durations = samples
+    .map(row => Number(row.duration))
+    .filter(duration => duration > 0 && duration <= MAX_DURATION_SECONDS)
+    .reverse();
+
+  let avgServiceSeconds = configured;
+  if (durations.length > 0) {
+    const ewma = durations.reduce((avg, duration) => SMOOTHING * duration + (1 - SMOOTHING) * avg);
+    const weight = Math.min(durations.length / MIN_SAMPLES, 1);
+    avgServiceSeconds = Math.round(ewma * weight + configured * (1 - weight));
+  }
+
+  // Counters that actually worked this service in the last hour
+  const throughput = await query(
+    `SELECT COUNT(*) as completed, COUNT(DISTINCT counter_id) as counters FROM (
+       SELECT counter_id FROM tickets
+       WHERE branch_id = ? AND service_id = ? AND status = 'done' AND total_steps = 1
+         AND ended_at >= NOW() - INTERVAL 1 HOUR
+       UNION ALL
+       SELECT ts.counter_id FROM ticket_steps ts
+       JOIN tickets t ON ts.ticket_id = t.id
+       WHERE t.branch_id = ? AND ts.service_id = ?
+         AND ts.ended_at >= NOW() - INTERVAL 1 HOUR
+     ) completed`,
+    [branchId, serviceId, branchId, serviceId]
+  );
+
+  return {
+    avg_service_seconds: avgServiceSeconds,
+    configured_service_seconds: configured,
+    sample_size: durations.length,
+    completed_last_hour: Number(throughput[0]?.completed) || 0,
+    counters_last_hour: Number(throughput[0]?.counters) || 0,
+    refreshed_at: Date.now()
+  };
+}
+
+/**
+ * Get the (cached) model for a service at a branch
+ */
+async function getServiceModel(branchId, serviceId) {
+  const key = `${branchId}:${serviceId}`;
+  const cached = models.get(key);
+
+  if (cached && Date.now() - cached.refreshed_at < MODEL_TTL_MS) {
+    return cached;
+  }
+
+  const model = await loadModel(branchId, serviceId);
+  models.set(key, model);
+  return model;
+}
+
+/**
+ * Drop a cached model so the next estimate uses fresh history
+ */
+function invalidateServiceModel(branchId, serviceId) {
+  models.delete(`${branchId}:${serviceId}`);
+}
+
+/**
+ * Counters currently able to call tickets for a service in a branch
+ * (counters without routing rules take every service; offline counters
+ * are left out)
+ */
+async function getActiveCounterCount(branchId, serviceId) {
+  const rows = await query(
+    `SELECT COUNT(*) as count FROM counters c
+     WHERE c.branch_id = ? AND c.is_active = 1 AND c.is_paused = 0 AND c.is_online = 1 AND c.staff_id IS NOT NULL
+       AND (
+         NOT EXISTS (SELECT 1 FROM counter_services cs WHERE cs.counter_id = c.id)
+         OR EXISTS (SELECT 1 FROM counter_services cs WHERE cs.counter_id = c.id AND cs.service_id = ?)
+       )`,
+    [branchId, serviceId]
+  );
+  return Number(rows[0]?.count) || 0;
+}
+
+/**
+ * How quickly a service queue moves
+ * Prefers the number of counters that recently served the service over
+ * every staffed counter that could take it, since shared counters split
+ * their time between services.
+ */
+async function getQueueRate(branchId, serviceId) {
+  const model = await getServiceModel(branchId, serviceId);
+  const activeCounters = await getActiveCounterCount(branchId, serviceId);
+
+  const counters = model.counters_last_hour > 0
+    ? Math.min(model.counters_last_hour, Math.max(activeCounters, 1))
+    : Math.max(activeCounters, 1);
+
+  return {
+    avg_service_seconds: model.avg_service_seconds,
+    active_counters: activeCounters,
+    serving_counters: counters,
+    seconds_per_call: model.avg_service_seconds / counters
+  };
+}
+
+/**
+ * Estimated wait for a customer with `peopleAhead` tickets in front
+ */
+function toEstimate(rate, peopleAhead) {
+  const seconds = Math.round(peopleAhead * rate.seconds_per_call);
+  return {
+    people_ahead: peopleAhead,
+    estimated_wait_seconds: seconds,
+    estimated_wait_minutes: Math.ceil(seconds / 60),
+    estimated_call_time: new Date(Date.now() + seconds * 1000).toISOString()
+  };
+}
+
+/**
+ * Estimate the wait for a position in a service queue
+ */
+async function estimateWait(branchId, serviceId, peopleAhead) {
+  const rate = await getQueueRate(branchId, serviceId);
+  return toEstimate(rate, peopleAhead);
+}
+
+/**
+ * Current estimated wait for a new ticket in every active service of a branch
+ */
+async function getServiceWaitTimes(branchId) {
+  const services = await query(
+    `SELECT s.id, s.name, s.prefix, COUNT(t.id) as waiting
+     FROM services s
+     LEFT JOIN tickets t ON t.service_id = s.id AND t.branch_id = ? AND t.status = 'waiting'
+     WHERE s.is_active = 1 AND (s.branch_id = ? OR s.branch_id IS NULL)
+     GROUP BY s.id, s.name, s.prefix
+     ORDER BY s.name ASC`,
+    [branchId, branchId]
+  );
+
+  const waitTimes = [];
+  for (const service of services) {
+    const rate = await getQueueRate(branchId, service.id);
+    waitTimes.push({
+      service_id: service.id,
+      service_name: service.name,
+      service_prefix: service.prefix,
+      waiting: Number(service.waiting),
+      avg_service_seconds: rate.avg_service_seconds,
+      serving_counters: rate.serving_counters,
+      ...toEstimate(rate, Number(service.waiting))
+    });
+  }
+
+  return waitTimes;
+}
+
+module.exports = {
+  getServiceModel,
+  invalidateServiceModel,
+  getActiveCounterCount,
+  getQueueRate,
+  toEstimate,
+  estimateWait,
+  getServiceWaitTimes
+};
@@ -0,0 +1,192 @@
+/**
+ * Fake Database
+ * Stand-in for config/database in route and job tests. Statements are
+ * answered from rules registered with when(); any other SELECT returns no
+ * rows and any other write touches one row.
+ */
+
+function createFakeDatabase() {
+  const db = {
+    rules: [],
+    executed: []
+  };
+
+  function run(sql, params = []) {
+    db.executed.push({ sql, params });
+
+    const rule = db.rules.find(({ pattern }) => pattern.test(sql));
+    if (rule) {
+      return typeof rule.result === 'function' ? rule.result(params, sql) : rule.result;
+    }
+
+    return /^\s*SELECT/i.test(sql) ? [] : { affectedRows: 1, insertId: 1 };
+  }
+
+  db.connection = {
+    beginTransaction: jest.fn(async () => {}),
+    commit: jest.fn(async () => {}),
+    rollback: jest.fn(async () => {}),
+    release: jest.fn(),
+    execute: jest.fn(async (sql, params) => [run(sql, params)])
+  };
+
+  db.query = jest.fn(async (sql, params) => run(sql, params));
+  db.callProcedure = jest.fn(async () => []);
+  db.pool = {
+    getConnection: jest.fn(async () => db.connection),
+    execute: jest.fn(async (sql, params) => [run(sql, params)])
+  };
+
+  /**
+   * Answer statements matching the pattern with the given rows/result
+   * (or a function of the params). Earlier rules win.
+   */
+  db.when = (pattern, result) => {
+    db.rules.push({ pattern, result });
+    return db;
+  };
+
+  /**
+   * Statements run so far that match the pattern
+   */
+  db.statements = pattern => db.executed.filter(({ sql }) => pattern.test(sql));
+
+  db.reset = () => {
+    db.rules = [];
+    db.executed = [];
+  };
+
+  return db;
+}
+
+/**
+ * Split on commas that are not inside parentheses
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Map the SET clause of an UPDATE to column -> value, resolving
+ * placeholders from the statement params. Literals are unquoted, NULL
+ * becomes null and anything else (NOW(), expressions) is kept as text.
+ */
+function assignments({ sql, params = [] }) {
+  const text = sql.replace(/\s+/g, ' ');
+  const set = text.slice(text.search(/\bSET\b/i) + 4, text.search(/\bWHERE\b/i));
+  const values = {};
+  let index = 0;
+
+  for (const part of splitTopLevel(set)) {
+    const [column, ...rest] = part.split('=');
+    const expression = rest.join('=').trim();
+    const placeholders = (expression.match(/\?/g) || []).length;
+
+    let value = expression;
+    if (expression === '?') {
+      value = params[index];
+    } else if (/^NULL$/i.test(expression)) {
+      value = null;
+    } else if (/^-?\d+$/.test(expression)) {
+      value = Number(expression);
+    } else if (/^'.*'$/.test(expression)) {
+      value = expression.slice(1, -1);
+    }
+
+    values[column.trim()] = value;
+    index += placeholders;
+  }
+
+  return values;
+}
+
+/**
+ * Value of a simple ORDER BY expression for a row
+ * Rows are keyed by qualified column (t.priority_level) or bare column.
+ */
+function evaluate(expression, row) {
+  const text = expression.trim();
+  let match;
+
+  if ((match = text.match(/^(.*) IS (NOT )?NULL$/i))) {
+    const isNull = evaluate(match[1], row) === null;
+    return (match[2] ? !isNull : isNull) ? 1 : 0;
+  }
+
+  if ((match = text.match(/^COALESCE\((.*)\)$/i))) {
+    const value = splitTopLevel(match[1])
+      .map(argument => evaluate(argument, row))
+      .find(argument => argument !== null);
+    return value === undefined ? null : value;
+  }
+
+  if ((match = text.match(/^(.*?)\s*(>=|<=|>|<|=)\s*(.*)$/))) {
+    const left = evaluate(match[1], row);
+    const right = evaluate(match[3], row);
+    const result = { '>': left > right, '<': left < right, '>=': left >= right, '<=': left <= right, '=': left === right };
+    return result[match[2]] ? 1 : 0;
+  }
+
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+
+  const column = text.split('.').pop();
+  const value = row[text] !== undefined ? row[text] : row[column];
+  return value === undefined ? null : value;
+}
+
+/**
+ * Sort rows the way the statement's ORDER BY would (NULLs first)
+ */
+function sortRows(sql, rows) {
+  const text = sql.replace(/\s+/g, ' ');
+  const match = text.match(/\bORDER BY (.*?)(?: LIMIT\b| FOR UPDATE\b|$)/i);
+  const terms = splitTopLevel(match[1]).map(term => {
+    const direction = term.match(/\s(ASC|DESC)$/i);
+    return {
+      expression: direction ? term.slice(0, direction.index) : term,
+      descending: Boolean(direction && /DESC/i.test(direction[1]))
+    };
+  });
+
+  return [...rows].sort((a, b) => {
+    for (const { expression, descending } of terms) {
+      const left = evaluate(expression, a);
+      const right = evaluate(expression, b);
+
+      if (left === right) continue;
+
+      let order;
+      if (left === null) order = -1;
+      else if (right === null) order = 1;
+      else order = left < right ? -1 : 1;
+
+      return descending ? -order : order;
+    }
+    return 0;
+  });
+}
+
+module.exports = {
+  createFakeDatabase,
+  assignments,
+  sortRows
+};